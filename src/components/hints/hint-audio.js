@@ -0,0 +1,106 @@
+/**
+ * 목소리 힌트 (부모가 녹음한 짧은 음성)
+ *
+ * 사용법:
+ *   <hint-audio src="data:audio/webm;base64,..." label="엄마 목소리 힌트"></hint-audio>
+ *
+ * 속성:
+ *   - src: 오디오 URL 또는 data URL (설정 화면에서 MediaRecorder로 녹음)
+ *   - label: 재생 버튼 옆 안내 문구 (선택)
+ *
+ * 이벤트:
+ *   - hint-shown: 오디오 정보 로드 완료 시 발생 (로드 실패 시에도 발생)
+ */
+import { HintBase } from './hint-base.js';
+import { escapeHtml } from '../../utils/escape-html.js';
+
+export class HintAudio extends HintBase {
+  static get observedAttributes() {
+    return ['src', 'label'];
+  }
+
+  disconnectedCallback() {
+    this.shadowRoot.querySelector('audio')?.pause();
+  }
+
+  render() {
+    const src = this.getAttribute('src') || '';
+    const label = this.getAttribute('label') || '눌러서 힌트를 들어 보세요!';
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        ${this.getBaseStyles()}
+
+        .hint-audio {
+          display: flex;
+          align-items: center;
+          gap: 0.75rem;
+        }
+
+        .hint-audio-play {
+          flex-shrink: 0;
+          width: 52px;
+          height: 52px;
+          font-size: 1.5rem;
+          color: white;
+          background: linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%);
+          border: none;
+          border-radius: 50%;
+          cursor: pointer;
+          box-shadow: 0 4px 10px rgba(0, 0, 0, 0.3);
+        }
+
+        .hint-audio-play.playing {
+          animation: audioPulse 1s ease infinite;
+        }
+
+        @keyframes audioPulse {
+          0%, 100% { box-shadow: 0 0 0 0 rgba(139, 92, 246, 0.6); }
+          50% { box-shadow: 0 0 0 12px rgba(139, 92, 246, 0); }
+        }
+      </style>
+
+      <div class="hint-container">
+        ${src ? `
+          <div class="hint-audio">
+            <button class="hint-audio-play" aria-label="힌트 듣기">▶️</button>
+            <span class="hint-content hint-text">${escapeHtml(label)}</span>
+            <audio src="${escapeHtml(src)}" preload="metadata"></audio>
+          </div>
+        ` : `
+          <div class="hint-content hint-text">녹음된 힌트가 없어요</div>
+        `}
+      </div>
+    `;
+
+    if (!src) {
+      this.notifyShown();
+      return;
+    }
+
+    const audio = this.shadowRoot.querySelector('audio');
+    const button = this.shadowRoot.querySelector('.hint-audio-play');
+    const setPlaying = (playing) => {
+      button.textContent = playing ? '⏸️' : '▶️';
+      button.classList.toggle('playing', playing);
+    };
+
+    button.addEventListener('click', () => {
+      if (audio.paused) {
+        audio.play().catch((err) => console.warn('Audio hint play failed:', err));
+      } else {
+        audio.pause();
+      }
+    });
+    audio.addEventListener('play', () => setPlaying(true));
+    audio.addEventListener('pause', () => setPlaying(false));
+    audio.addEventListener('ended', () => setPlaying(false));
+    audio.addEventListener('loadedmetadata', () => this.notifyShown(), { once: true });
+    audio.addEventListener('error', () => {
+      button.disabled = true;
+      this.notifyShown();
+    }, { once: true });
+  }
+}
+
+customElements.define('hint-audio', HintAudio);
@@ -9,15 +9,17 @@
  *   - alt: 대체 텍스트
  *   - width: 이미지 너비 (선택)
  *   - height: 이미지 높이 (선택)
+ *   - blur: 흐림 정도 px (선택, 단계별 힌트에서 점점 선명해지는 사진)
  * 
  * 이벤트:
  *   - hint-shown: 이미지 로드 완료 시 발생
  */
 import { HintBase } from './hint-base.js';
+import { escapeHtml } from '../../utils/escape-html.js';
 
 export class HintImage extends HintBase {
   static get observedAttributes() {
-    return ['src', 'alt', 'width', 'height'];
+    return ['src', 'alt', 'width', 'height', 'blur'];
   }
 
   render() {
@@ -25,10 +27,12 @@ export class HintImage extends HintBase {
     const alt = this.getAttribute('alt') || '힌트 이미지';
     const width = this.getAttribute('width');
     const height = this.getAttribute('height');
+    const blur = parseFloat(this.getAttribute('blur')) || 0;
     
     let styleAttr = 'max-width: 100%;';
     if (width) styleAttr += ` width: ${width}px;`;
     if (height) styleAttr += ` height: ${height}px;`;
+    if (blur > 0) styleAttr += ` filter: blur(${blur}px);`;
     
     this.shadowRoot.innerHTML = `
       <style>
@@ -38,6 +42,12 @@ export class HintImage extends HintBase {
           text-align: center;
         }
         
+        .hint-image-frame {
+          display: inline-block;
+          overflow: hidden;
+          border-radius: 8px;
+        }
+        
         .hint-image {
           max-width: 100%;
           max-height: 200px;
@@ -60,12 +70,14 @@ export class HintImage extends HintBase {
       
       <div class="hint-container hint-image-container">
         ${src ? `
-          <img 
-            class="hint-image" 
-            src="${src}" 
-            alt="${alt}"
-            style="${styleAttr}"
-          >
+          <div class="hint-image-frame">
+            <img 
+              class="hint-image" 
+              src="${escapeHtml(src)}" 
+              alt="${escapeHtml(alt)}"
+              style="${escapeHtml(styleAttr)}"
+            >
+          </div>
         ` : `
           <div class="hint-image-loading">이미지 로딩 중...</div>
         `}
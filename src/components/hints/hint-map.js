@@ -0,0 +1,119 @@
+/**
+ * 지도 힌트 (집 평면 스케치 + 보물 위치 표시)
+ *
+ * 사용법:
+ *   <hint-map
+ *     plan='[[[0.1,0.1],[0.9,0.1],[0.9,0.9],[0.1,0.9],[0.1,0.1]]]'
+ *     marker='[0.7,0.3]'
+ *     label="부엌 쪽을 찾아봐!">
+ *   </hint-map>
+ *
+ * 속성:
+ *   - plan: 평면도 획 JSON 배열 (획마다 0~1 좌표 [x, y] 배열, 정사각형 기준)
+ *   - marker: 보물 위치 JSON [x, y] (0~1, 선택)
+ *   - label: 지도 아래 안내 문구 (선택)
+ *
+ * 이벤트:
+ *   - hint-shown: 지도 표시 완료 시 발생
+ */
+import { HintBase } from './hint-base.js';
+import { escapeHtml } from '../../utils/escape-html.js';
+
+export class HintMap extends HintBase {
+  static get observedAttributes() {
+    return ['plan', 'marker', 'label'];
+  }
+
+  getPlan() {
+    try {
+      const plan = JSON.parse(this.getAttribute('plan') || '[]');
+      return Array.isArray(plan) ? plan : [];
+    } catch (e) {
+      console.error('Invalid plan JSON:', e);
+      return [];
+    }
+  }
+
+  getMarker() {
+    try {
+      const marker = JSON.parse(this.getAttribute('marker') || 'null');
+      return Array.isArray(marker) && marker.length === 2 ? marker : null;
+    } catch (e) {
+      console.error('Invalid marker JSON:', e);
+      return null;
+    }
+  }
+
+  render() {
+    const label = this.getAttribute('label') || '';
+    const marker = this.getMarker();
+    // viewBox 0~100 에 맞춰 좌표 변환
+    const lines = this.getPlan()
+      .filter((stroke) => stroke.length > 1)
+      .map((stroke) => `<polyline points="${stroke.map(([x, y]) => `${x * 100},${y * 100}`).join(' ')}"/>`)
+      .join('');
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        ${this.getBaseStyles()}
+
+        .hint-map {
+          display: block;
+          width: 100%;
+          max-width: 200px;
+          aspect-ratio: 1;
+          margin: 0 auto;
+          background: rgba(255, 255, 255, 0.92);
+          border-radius: 8px;
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.3);
+        }
+
+        .hint-map polyline {
+          fill: none;
+          stroke: #475569;
+          stroke-width: 2;
+          stroke-linecap: round;
+          stroke-linejoin: round;
+        }
+
+        .hint-map-marker {
+          fill: #ef4444;
+        }
+
+        .hint-map-pulse {
+          fill: none;
+          stroke: #ef4444;
+          stroke-width: 1.5;
+          transform-box: fill-box;
+          transform-origin: center;
+          animation: mapPulse 1.5s ease-out infinite;
+        }
+
+        @keyframes mapPulse {
+          from { transform: scale(1); opacity: 1; }
+          to { transform: scale(3); opacity: 0; }
+        }
+
+        .hint-map-label {
+          margin-top: 0.5rem;
+          text-align: center;
+        }
+      </style>
+
+      <div class="hint-container">
+        <svg class="hint-map" viewBox="0 0 100 100" role="img" aria-label="보물 지도">
+          ${lines}
+          ${marker ? `
+            <circle class="hint-map-pulse" cx="${marker[0] * 100}" cy="${marker[1] * 100}" r="3"/>
+            <circle class="hint-map-marker" cx="${marker[0] * 100}" cy="${marker[1] * 100}" r="3.5"/>
+          ` : ''}
+        </svg>
+        ${label ? `<div class="hint-content hint-text hint-map-label">${escapeHtml(label)}</div>` : ''}
+      </div>
+    `;
+
+    this.notifyShown();
+  }
+}
+
+customElements.define('hint-map', HintMap);
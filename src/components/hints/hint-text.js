@@ -11,6 +11,7 @@
  *   - hint-shown: 힌트 표시 완료 시 발생
  */
 import { HintBase } from './hint-base.js';
+import { escapeHtml } from '../../utils/escape-html.js';
 
 export class HintText extends HintBase {
   static get observedAttributes() {
@@ -40,7 +41,7 @@ export class HintText extends HintBase {
       </style>
       
       <div class="hint-container">
-        <p class="hint-text-content">${value}</p>
+        <p class="hint-text-content">${escapeHtml(value)}</p>
       </div>
     `;
     
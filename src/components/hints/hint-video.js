@@ -0,0 +1,75 @@
+/**
+ * 영상 힌트 (짧은 동영상)
+ *
+ * 사용법:
+ *   <hint-video src="data:video/mp4;base64,..." label="냉장고 옆을 보여줄게!"></hint-video>
+ *
+ * 속성:
+ *   - src: 영상 URL 또는 data URL
+ *   - label: 영상 아래 안내 문구 (선택)
+ *
+ * 이벤트:
+ *   - hint-shown: 첫 화면 로드 완료 시 발생 (로드 실패 시에도 발생)
+ */
+import { HintBase } from './hint-base.js';
+import { escapeHtml } from '../../utils/escape-html.js';
+
+export class HintVideo extends HintBase {
+  static get observedAttributes() {
+    return ['src', 'label'];
+  }
+
+  disconnectedCallback() {
+    this.shadowRoot.querySelector('video')?.pause();
+  }
+
+  render() {
+    const src = this.getAttribute('src') || '';
+    const label = this.getAttribute('label') || '';
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        ${this.getBaseStyles()}
+
+        .hint-video-container {
+          text-align: center;
+        }
+
+        .hint-video {
+          display: block;
+          max-height: 200px;
+          margin: 0 auto;
+          background: black;
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.3);
+        }
+
+        .hint-video-label {
+          margin-top: 0.5rem;
+        }
+      </style>
+
+      <div class="hint-container hint-video-container">
+        ${src ? `
+          <video class="hint-media hint-video" src="${escapeHtml(src)}" controls playsinline preload="metadata"></video>
+        ` : `
+          <div class="hint-content hint-text">영상 힌트가 없어요</div>
+        `}
+        ${label ? `<div class="hint-content hint-text hint-video-label">${escapeHtml(label)}</div>` : ''}
+      </div>
+    `;
+
+    if (!src) {
+      this.notifyShown();
+      return;
+    }
+
+    const video = this.shadowRoot.querySelector('video');
+    video.addEventListener('loadeddata', () => this.notifyShown(), { once: true });
+    video.addEventListener('error', () => {
+      video.style.display = 'none';
+      this.notifyShown();
+    }, { once: true });
+  }
+}
+
+customElements.define('hint-video', HintVideo);
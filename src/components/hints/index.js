@@ -13,6 +13,7 @@ import './hint-text.js';
 import './hint-image.js';
 
 // Add new components below:
-// import './hint-video.js';
-// import './hint-audio.js';
+import './hint-video.js';
+import './hint-audio.js';
+import './hint-map.js';
 // import './hint-animation.js';
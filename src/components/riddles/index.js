@@ -13,6 +13,12 @@ import './riddle-text.js';
 import './riddle-choice.js';
 
 // Add new components below:
+import './riddle-sequence.js';
+import './riddle-memory.js';
+import './riddle-connect.js';
+import './riddle-image-choice.js';
+import './riddle-object-hunt.js';
+import './riddle-voice.js';
+import './riddle-draw.js';
+import './riddle-jigsaw.js';
 // import './riddle-puzzle.js';
-// import './riddle-sequence.js';
-// import './riddle-memory.js';
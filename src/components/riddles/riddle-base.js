@@ -10,10 +10,30 @@
  * - Shadow DOM for style encapsulation
  * - submitAnswer(answer) - Dispatches 'answer-submit' event
  * - showFeedback(correct, message) - Shows feedback UI
+ * - requestHint() - Uses the next hint from the 'hints' attribute
+ * - revealAnswer() - Shows the answer and locks the riddle (attempts used up)
+ * - lock() / unlock() - While locked, submitAnswer() is ignored (keyboard too);
+ *   a correct answer locks the riddle for good
+ * - 'time-limit' attribute (seconds) - Countdown ring, 'answer-timeout' when it runs out
+ *   (the riddle stays answerable; the host decides the consequence)
+ * 
+ * Hints:
+ * - 'hints' attribute: JSON array of { type, value?, cost? }, used in order
+ * - Subclasses override applyHint(hint) for their own hint types and extend
+ *   static hintTypes ({ type: label }) so the setup editor can offer them
+ * - Type 'text' (show hint.value) works for every riddle
  * 
  * Events:
- * - answer-submit: { detail: { answer, correct, feedback } }
+ * - answer-submit: { detail: { answer, correct, feedback, timeLeft } }
+ *   (timeLeft: seconds left, null without time-limit)
+ * - hint-used: { detail: { hint, index, remaining } }
+ * - answer-timeout: { detail: { timeLimit } }
  */
+
+const TIMER_RADIUS = 20;
+const TIMER_CIRCUMFERENCE = 2 * Math.PI * TIMER_RADIUS;
+const TIMER_WARNING_SECONDS = 5;
+
 export class RiddleBase extends HTMLElement {
   constructor() {
     super();
@@ -27,12 +47,20 @@ export class RiddleBase extends HTMLElement {
     return [];
   }
 
+  /**
+   * Supported hint types { type: label } (extend in subclass)
+   */
+  static get hintTypes() {
+    return { text: '직접 쓴 힌트' };
+  }
+
   /**
    * Called when attribute changes
    */
   attributeChangedCallback(name, oldVal, newVal) {
     if (oldVal !== newVal) {
       this.render();
+      this.mountTimer();
     }
   }
 
@@ -41,6 +69,147 @@ export class RiddleBase extends HTMLElement {
    */
   connectedCallback() {
     this.render();
+    this.startTimer();
+  }
+
+  /**
+   * Called when element is removed from DOM (subclasses call super)
+   */
+  disconnectedCallback() {
+    this.stopTimer();
+  }
+
+  /**
+   * Time limit in seconds from the 'time-limit' attribute (0 = none)
+   * @returns {number}
+   */
+  get timeLimit() {
+    const limit = parseFloat(this.getAttribute('time-limit'));
+    return Number.isFinite(limit) && limit > 0 ? limit : 0;
+  }
+
+  /**
+   * Seconds left on the countdown, or null without a time limit
+   * @returns {number|null}
+   */
+  get timeLeft() {
+    if (!this.timeLimit) return null;
+    if (this._timeLeftAtStop != null) return this._timeLeftAtStop;
+    if (this._deadline == null) return this.timeLimit;
+    return Math.max(0, (this._deadline - Date.now()) / 1000);
+  }
+
+  /**
+   * Start the countdown (no-op without time-limit)
+   */
+  startTimer() {
+    this.stopTimer();
+    if (!this.timeLimit) return;
+    this._timeLeftAtStop = null;
+    this._deadline = Date.now() + this.timeLimit * 1000;
+    this.mountTimer();
+    this._timer = setInterval(() => this.tickTimer(), 200);
+  }
+
+  /**
+   * Stop the countdown, keeping the time left
+   */
+  stopTimer() {
+    if (!this._timer) return;
+    this._timeLeftAtStop = this.timeLeft;
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  tickTimer() {
+    const left = this.timeLeft;
+    this.updateTimer(left);
+    if (left > 0) return;
+
+    this.stopTimer();
+    this.dispatchEvent(new CustomEvent('answer-timeout', {
+      detail: { timeLimit: this.timeLimit },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * (Re)insert the countdown ring at the top of the riddle (render() replaces the shadow DOM)
+   */
+  mountTimer() {
+    if (!this.timeLimit || this._deadline == null) return;
+    if (!this.shadowRoot.querySelector('#timer-styles')) {
+      const style = document.createElement('style');
+      style.id = 'timer-styles';
+      style.textContent = `
+        .riddle-timer {
+          position: relative;
+          width: 52px;
+          height: 52px;
+          margin: 0 auto 0.75rem;
+        }
+        .riddle-timer svg {
+          transform: rotate(-90deg);
+        }
+        .riddle-timer-track {
+          fill: none;
+          stroke: #e2e8f0;
+          stroke-width: 5;
+        }
+        .riddle-timer-ring {
+          fill: none;
+          stroke: #6366f1;
+          stroke-width: 5;
+          stroke-linecap: round;
+          stroke-dasharray: ${TIMER_CIRCUMFERENCE};
+          transition: stroke-dashoffset 0.2s linear, stroke 0.3s ease;
+        }
+        .riddle-timer.warning .riddle-timer-ring {
+          stroke: #ef4444;
+        }
+        .riddle-timer-text {
+          position: absolute;
+          inset: 0;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          font-weight: 700;
+          color: #1e293b;
+        }
+        .riddle-timer.warning .riddle-timer-text {
+          color: #ef4444;
+        }
+      `;
+      this.shadowRoot.appendChild(style);
+    }
+
+    this.shadowRoot.querySelector('.riddle-timer')?.remove();
+    const timerEl = document.createElement('div');
+    timerEl.className = 'riddle-timer';
+    timerEl.innerHTML = `
+      <svg width="52" height="52" viewBox="0 0 52 52">
+        <circle class="riddle-timer-track" cx="26" cy="26" r="${TIMER_RADIUS}"></circle>
+        <circle class="riddle-timer-ring" cx="26" cy="26" r="${TIMER_RADIUS}"></circle>
+      </svg>
+      <span class="riddle-timer-text"></span>
+    `;
+    const container = this.shadowRoot.querySelector('.riddle-container') ?? this.shadowRoot;
+    container.prepend(timerEl);
+    this.updateTimer(this.timeLeft);
+  }
+
+  /**
+   * Update the countdown ring
+   * @param {number} left - Seconds left
+   */
+  updateTimer(left) {
+    const timerEl = this.shadowRoot.querySelector('.riddle-timer');
+    if (!timerEl) return;
+    const ratio = Math.max(0, Math.min(1, left / this.timeLimit));
+    timerEl.querySelector('.riddle-timer-ring').style.strokeDashoffset = TIMER_CIRCUMFERENCE * (1 - ratio);
+    timerEl.querySelector('.riddle-timer-text').textContent = Math.ceil(left);
+    timerEl.classList.toggle('warning', left <= TIMER_WARNING_SECONDS);
   }
 
   /**
@@ -59,17 +228,45 @@ export class RiddleBase extends HTMLElement {
   }
 
   /**
-   * Submit answer - validates and dispatches event
+   * Whether answers are currently ignored
+   * @returns {boolean}
+   */
+  get locked() {
+    return this._answerLocked === true;
+  }
+
+  /**
+   * Ignore answers until unlock() (retry cooldown, resolved riddle)
+   */
+  lock() {
+    this._answerLocked = true;
+  }
+
+  /**
+   * Accept answers again
+   */
+  unlock() {
+    this._answerLocked = false;
+  }
+
+  /**
+   * Submit answer - validates and dispatches event (ignored while locked)
    * @param {any} answer - The user's answer
    */
   submitAnswer(answer) {
+    if (this.locked) return;
     const result = this.validate(answer);
+    if (result.correct) {
+      this.stopTimer();
+      this.lock();
+    }
     
     this.dispatchEvent(new CustomEvent('answer-submit', {
       detail: {
         answer,
         correct: result.correct,
-        feedback: result.feedback
+        feedback: result.feedback,
+        timeLeft: this.timeLeft
       },
       bubbles: true,
       composed: true
@@ -90,6 +287,125 @@ export class RiddleBase extends HTMLElement {
     };
   }
 
+  /**
+   * Human-readable answer (override in subclass)
+   * @returns {string|null}
+   */
+  getAnswerText() {
+    return null;
+  }
+
+  /**
+   * Show the answer and stop further input
+   * @returns {string|null} The answer text
+   */
+  revealAnswer() {
+    this.stopTimer();
+    this.lock();
+    const answer = this.getAnswerText();
+    this.shadowRoot.querySelector('.riddle-container')?.classList.add('answer-revealed');
+    if (answer) this.showHint(`정답은 ${answer} 이었어요!`);
+    return answer;
+  }
+
+  /**
+   * Parsed hints from the 'hints' attribute
+   * @returns {Array<{ type: string, value?: string, cost?: number }>}
+   */
+  getHints() {
+    try {
+      const hints = JSON.parse(this.getAttribute('hints') || '[]');
+      return Array.isArray(hints) ? hints : [];
+    } catch (e) {
+      console.error('Invalid hints JSON:', e);
+      return [];
+    }
+  }
+
+  /**
+   * Number of hints used so far
+   * @returns {number}
+   */
+  get hintsUsed() {
+    return this._hintsUsed ?? 0;
+  }
+
+  /**
+   * Next unused hint, or null when all hints are used
+   * @returns {Object|null}
+   */
+  peekNextHint() {
+    return this.getHints()[this.hintsUsed] ?? null;
+  }
+
+  /**
+   * Use the next hint: applies it, shows its message and dispatches 'hint-used'
+   * @returns {Object|null} The used hint, or null if none left
+   */
+  requestHint() {
+    const hint = this.peekNextHint();
+    if (!hint) return null;
+
+    const index = this.hintsUsed;
+    this._hintsUsed = index + 1;
+
+    const message = this.applyHint(hint) ?? hint.value ?? null;
+    if (message) this.showHint(message);
+
+    this.dispatchEvent(new CustomEvent('hint-used', {
+      detail: {
+        hint,
+        index,
+        remaining: this.getHints().length - this._hintsUsed
+      },
+      bubbles: true,
+      composed: true
+    }));
+
+    return hint;
+  }
+
+  /**
+   * Apply a hint to the UI (override in subclass for custom hint types)
+   * @param {{ type: string, value?: string }} hint
+   * @returns {string|null} Message to show, or null for none
+   */
+  applyHint(hint) {
+    return hint.type === 'text' ? hint.value ?? null : null;
+  }
+
+  /**
+   * Show a hint message below the riddle
+   * @param {string} message
+   */
+  showHint(message) {
+    if (!this.shadowRoot.querySelector('#hint-styles')) {
+      const style = document.createElement('style');
+      style.id = 'hint-styles';
+      style.textContent = `
+        .riddle-hint {
+          padding: 0.6rem 0.9rem;
+          margin-top: 0.75rem;
+          border-radius: 8px;
+          background: #fef3c7;
+          color: #92400e;
+          font-size: 0.95rem;
+          animation: hintIn 0.3s ease;
+        }
+        @keyframes hintIn {
+          from { opacity: 0; transform: translateY(-6px); }
+          to { opacity: 1; transform: translateY(0); }
+        }
+      `;
+      this.shadowRoot.appendChild(style);
+    }
+
+    const hintEl = document.createElement('div');
+    hintEl.className = 'riddle-hint';
+    hintEl.textContent = `💡 ${message}`;
+    (this.shadowRoot.querySelector('.riddle-container') ?? this.shadowRoot).appendChild(hintEl);
+  }
+
   /**
    * Show feedback UI
    * @param {boolean} correct - Whether answer was correct
@@ -193,6 +509,14 @@ export class RiddleBase extends HTMLElement {
       .riddle-submit:active {
         transform: scale(0.98);
       }
+      
+      .riddle-container.answer-revealed {
+        pointer-events: none;
+      }
+      
+      .riddle-container.answer-revealed .riddle-submit {
+        display: none;
+      }
     `;
   }
 }
@@ -13,16 +13,24 @@
  *   - options: JSON 배열 형태의 선택지
  *   - answer-index: 정답 인덱스 (0부터 시작)
  * 
+ * 힌트 (hints 속성):
+ *   - eliminate: 오답 선택지 하나를 지움
+ * 
  * 이벤트:
  *   - answer-submit: { detail: { answer, correct, feedback } }
  */
 import { RiddleBase } from './riddle-base.js';
+import { escapeHtml } from '../../utils/escape-html.js';
 
 export class RiddleChoice extends RiddleBase {
   static get observedAttributes() {
     return ['question', 'options', 'answer-index'];
   }
 
+  static get hintTypes() {
+    return { ...super.hintTypes, eliminate: '오답 하나 지우기' };
+  }
+
   render() {
     const question = this.getAttribute('question') || '문제가 없습니다';
     let options = [];
@@ -85,6 +93,12 @@ export class RiddleChoice extends RiddleBase {
           background: #fee2e2;
         }
         
+        .choice-btn.eliminated {
+          opacity: 0.35;
+          text-decoration: line-through;
+          pointer-events: none;
+        }
+        
         .choice-number {
           width: 24px;
           height: 24px;
@@ -107,12 +121,12 @@ export class RiddleChoice extends RiddleBase {
       </style>
       
       <div class="riddle-container">
-        <div class="riddle-question">${question}</div>
+        <div class="riddle-question">${escapeHtml(question)}</div>
         <div class="choice-grid">
           ${options.map((opt, i) => `
             <button class="choice-btn" data-index="${i}">
               <span class="choice-number">${i + 1}</span>
-              <span>${opt}</span>
+              <span>${escapeHtml(opt)}</span>
             </button>
           `).join('')}
         </div>
@@ -128,6 +142,32 @@ export class RiddleChoice extends RiddleBase {
     });
   }
 
+  getAnswerText() {
+    const answerIndex = parseInt(this.getAttribute('answer-index') || '0');
+    const label = this.shadowRoot.querySelector(`.choice-btn[data-index="${answerIndex}"] span:last-child`);
+    return label ? `${answerIndex + 1}번 '${label.textContent}'` : null;
+  }
+
+  revealAnswer() {
+    const answerIndex = parseInt(this.getAttribute('answer-index') || '0');
+    this.shadowRoot.querySelector(`.choice-btn[data-index="${answerIndex}"]`)?.classList.add('correct');
+    return super.revealAnswer();
+  }
+
+  applyHint(hint) {
+    if (hint.type !== 'eliminate') return super.applyHint(hint);
+
+    const answerIndex = parseInt(this.getAttribute('answer-index') || '0');
+    const candidates = Array.from(this.shadowRoot.querySelectorAll('.choice-btn'))
+      .filter(btn => parseInt(btn.dataset.index) !== answerIndex && !btn.classList.contains('eliminated'));
+    if (candidates.length === 0) return '더 지울 선택지가 없어요!';
+
+    const btn = candidates[Math.floor(Math.random() * candidates.length)];
+    btn.classList.add('eliminated');
+    btn.disabled = true;
+    return `${parseInt(btn.dataset.index) + 1}번은 정답이 아니에요!`;
+  }
+
   validate(selectedIndex) {
     const answerIndex = parseInt(this.getAttribute('answer-index') || '0');
     const correct = selectedIndex === answerIndex;
@@ -139,10 +179,6 @@ export class RiddleChoice extends RiddleBase {
       if (i === selectedIndex) {
         btn.classList.add(correct ? 'correct' : 'wrong');
       }
-      if (!correct && i === answerIndex) {
-        // Show correct answer after a delay
-        setTimeout(() => btn.classList.add('correct'), 500);
-      }
     });
     
     return {
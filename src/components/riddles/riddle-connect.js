@@ -0,0 +1,402 @@
+/**
+ * 선 잇기 수수께끼
+ *
+ * 사용법:
+ *   <riddle-connect
+ *     instruction="동물과 울음소리를 연결하세요"
+ *     left-items='["강아지","고양이"]'
+ *     right-items='["야옹","멍멍"]'
+ *     correct-pairs="[[0,1],[1,0]]">
+ *   </riddle-connect>
+ *
+ * 속성:
+ *   - instruction: 안내 문구
+ *   - left-items: 왼쪽 열 항목 JSON 배열
+ *   - right-items: 오른쪽 열 항목 JSON 배열
+ *   - correct-pairs: [왼쪽 인덱스, 오른쪽 인덱스] 쌍의 JSON 배열
+ *
+ * 조작:
+ *   - 왼쪽(또는 오른쪽) 항목에서 반대쪽 항목으로 드래그하거나, 차례로 탭하면 연결
+ *   - 이미 연결된 항목을 다시 탭하면 연결 해제, "되돌리기"는 마지막 연결 취소
+ *
+ * 힌트 (hints 속성):
+ *   - reveal-pair: 아직 맞게 연결되지 않은 정답 쌍 하나를 연결해 줌
+ *
+ * 이벤트:
+ *   - answer-submit: { detail: { answer, correct, feedback } }
+ *     (answer는 사용자가 연결한 [왼쪽, 오른쪽] 쌍 배열)
+ */
+import { RiddleBase } from './riddle-base.js';
+import { escapeHtml } from '../../utils/escape-html.js';
+
+const LINE_COLORS = ['#6366f1', '#f59e0b', '#ec4899', '#0ea5e9', '#8b5cf6', '#14b8a6'];
+
+export class RiddleConnect extends RiddleBase {
+  static get observedAttributes() {
+    return ['instruction', 'left-items', 'right-items', 'correct-pairs'];
+  }
+
+  static get hintTypes() {
+    return { ...super.hintTypes, 'reveal-pair': '정답 한 쌍 연결해 주기' };
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this._resizeObserver?.disconnect();
+    this._resizeObserver = null;
+  }
+
+  render() {
+    const instruction = this.getAttribute('instruction') || '알맞은 것끼리 연결하세요';
+    const leftItems = this.parseJsonAttr('left-items');
+    const rightItems = this.parseJsonAttr('right-items');
+
+    /** @type {Array<[number, number]>} 연결 순서대로 저장 (되돌리기용) */
+    this._pairs = [];
+    this._pending = null;
+    this._drag = null;
+    this._wrongPairs = [];
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        ${this.getBaseStyles()}
+
+        .connect-board {
+          position: relative;
+          display: flex;
+          justify-content: space-between;
+          gap: 3rem;
+          touch-action: none;
+          user-select: none;
+          -webkit-user-select: none;
+        }
+
+        .connect-column {
+          display: flex;
+          flex-direction: column;
+          gap: 0.75rem;
+          flex: 1;
+          z-index: 1;
+        }
+
+        .connect-item {
+          position: relative;
+          padding: 0.875rem 0.5rem;
+          font-size: 1.1rem;
+          font-weight: 600;
+          color: #1e293b;
+          background: white;
+          border: 2px solid #e2e8f0;
+          border-radius: 12px;
+          cursor: pointer;
+          text-align: center;
+          transition: border-color 0.2s ease, background 0.2s ease;
+        }
+
+        .connect-item.pending {
+          border-color: #6366f1;
+          background: #eef2ff;
+        }
+
+        .connect-item.linked {
+          border-color: #a5b4fc;
+        }
+
+        .connect-item.wrong {
+          border-color: #ef4444;
+          background: #fee2e2;
+        }
+
+        .connect-lines {
+          position: absolute;
+          inset: 0;
+          width: 100%;
+          height: 100%;
+          pointer-events: none;
+          overflow: visible;
+        }
+
+        .connect-lines line {
+          stroke-width: 4;
+          stroke-linecap: round;
+        }
+
+        .connect-lines line.wrong {
+          stroke: #ef4444 !important;
+          stroke-dasharray: 8 6;
+        }
+
+        .connect-lines line.drag {
+          stroke: #94a3b8;
+          stroke-dasharray: 4 6;
+        }
+
+        .connect-actions {
+          display: flex;
+          gap: 0.5rem;
+          margin-top: 1rem;
+        }
+
+        .connect-undo {
+          flex: 0 0 auto;
+          padding: 1rem;
+          font-size: 1rem;
+          font-weight: 600;
+          color: #475569;
+          background: #f1f5f9;
+          border: none;
+          border-radius: 12px;
+          cursor: pointer;
+        }
+
+        .connect-actions .riddle-submit {
+          margin-top: 0;
+        }
+      </style>
+
+      <div class="riddle-container">
+        <div class="riddle-question">${escapeHtml(instruction)}</div>
+        <div class="connect-board">
+          <svg class="connect-lines"></svg>
+          <div class="connect-column left">
+            ${leftItems.map((item, i) => `
+              <div class="connect-item" data-side="left" data-index="${i}">${escapeHtml(item)}</div>
+            `).join('')}
+          </div>
+          <div class="connect-column right">
+            ${rightItems.map((item, i) => `
+              <div class="connect-item" data-side="right" data-index="${i}">${escapeHtml(item)}</div>
+            `).join('')}
+          </div>
+        </div>
+        <div class="connect-actions">
+          <button class="connect-undo">↩ 되돌리기</button>
+          <button class="riddle-submit">제출</button>
+        </div>
+      </div>
+    `;
+
+    const board = this.shadowRoot.querySelector('.connect-board');
+
+    board.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+    board.addEventListener('pointermove', (e) => this.onPointerMove(e));
+    board.addEventListener('pointerup', (e) => this.onPointerUp(e));
+    board.addEventListener('pointercancel', () => this.cancelDrag());
+
+    this.shadowRoot.querySelector('.connect-undo').addEventListener('click', () => {
+      this._pairs.pop();
+      this.clearWrongMarks();
+      this.drawLines();
+    });
+
+    this.shadowRoot.querySelector('.riddle-submit').addEventListener('click', () => {
+      this.submitAnswer(this._pairs.map(pair => [...pair]));
+    });
+
+    this._resizeObserver?.disconnect();
+    this._resizeObserver = new ResizeObserver(() => this.drawLines());
+    this._resizeObserver.observe(board);
+  }
+
+  /**
+   * JSON 배열 속성 파싱
+   * @param {string} name
+   * @returns {Array}
+   */
+  parseJsonAttr(name) {
+    try {
+      return JSON.parse(this.getAttribute(name) || '[]');
+    } catch (e) {
+      console.error(`Invalid ${name} JSON:`, e);
+      return [];
+    }
+  }
+
+  /**
+   * 좌표 아래의 항목 엘리먼트
+   */
+  itemAt(clientX, clientY) {
+    return this.shadowRoot.elementFromPoint(clientX, clientY)?.closest?.('.connect-item') ?? null;
+  }
+
+  onPointerDown(e) {
+    const item = e.target.closest('.connect-item');
+    if (!item) return;
+    e.preventDefault();
+    this._drag = { item, moved: false, x: e.clientX, y: e.clientY };
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+  }
+
+  onPointerMove(e) {
+    if (!this._drag) return;
+    if (!this._drag.moved && Math.hypot(e.clientX - this._drag.x, e.clientY - this._drag.y) < 8) return;
+    this._drag.moved = true;
+    this.drawLines({ from: this._drag.item, clientX: e.clientX, clientY: e.clientY });
+  }
+
+  onPointerUp(e) {
+    const drag = this._drag;
+    this._drag = null;
+    if (!drag) return;
+
+    if (drag.moved) {
+      const target = this.itemAt(e.clientX, e.clientY);
+      if (target && target.dataset.side !== drag.item.dataset.side) {
+        this.link(drag.item, target);
+      }
+      this.drawLines();
+      return;
+    }
+
+    this.onTap(drag.item);
+  }
+
+  cancelDrag() {
+    this._drag = null;
+    this.drawLines();
+  }
+
+  /**
+   * 탭: 연결된 항목이면 해제, 아니면 선택 → 반대쪽 선택 시 연결
+   * @param {HTMLElement} item
+   */
+  onTap(item) {
+    const side = item.dataset.side;
+    const index = parseInt(item.dataset.index);
+    const linkedAt = this._pairs.findIndex(pair => pair[side === 'left' ? 0 : 1] === index);
+
+    if (!this._pending && linkedAt >= 0) {
+      this._pairs.splice(linkedAt, 1);
+      this.clearWrongMarks();
+      this.drawLines();
+      return;
+    }
+
+    if (this._pending && this._pending.dataset.side !== side) {
+      this.link(this._pending, item);
+      this._pending = null;
+    } else {
+      this._pending = this._pending === item ? null : item;
+    }
+    this.drawLines();
+  }
+
+  /**
+   * 두 항목 연결 (양쪽의 기존 연결은 대체)
+   */
+  link(a, b) {
+    const left = parseInt((a.dataset.side === 'left' ? a : b).dataset.index);
+    const right = parseInt((a.dataset.side === 'right' ? a : b).dataset.index);
+    this._pairs = this._pairs.filter(([l, r]) => l !== left && r !== right);
+    this._pairs.push([left, right]);
+    this._pending = null;
+    this.clearWrongMarks();
+  }
+
+  clearWrongMarks() {
+    this._wrongPairs = [];
+    this.shadowRoot.querySelectorAll('.connect-item.wrong').forEach(el => el.classList.remove('wrong'));
+  }
+
+  /**
+   * SVG 선 다시 그리기
+   * @param {{ from: HTMLElement, clientX: number, clientY: number }} [dragLine] - 드래그 중인 임시 선
+   */
+  drawLines(dragLine = null) {
+    const board = this.shadowRoot.querySelector('.connect-board');
+    const svg = this.shadowRoot.querySelector('.connect-lines');
+    if (!board || !svg) return;
+
+    const boardRect = board.getBoundingClientRect();
+    const anchor = (item) => {
+      const r = item.getBoundingClientRect();
+      const x = item.dataset.side === 'left' ? r.right : r.left;
+      return { x: x - boardRect.left, y: r.top + r.height / 2 - boardRect.top };
+    };
+    const getItem = (side, index) =>
+      this.shadowRoot.querySelector(`.connect-item[data-side="${side}"][data-index="${index}"]`);
+
+    this.shadowRoot.querySelectorAll('.connect-item').forEach(el => {
+      el.classList.remove('linked', 'pending');
+    });
+    this._pending?.classList.add('pending');
+
+    const lines = this._pairs.map(([l, r], i) => {
+      const leftEl = getItem('left', l);
+      const rightEl = getItem('right', r);
+      if (!leftEl || !rightEl) return '';
+      leftEl.classList.add('linked');
+      rightEl.classList.add('linked');
+      const p1 = anchor(leftEl);
+      const p2 = anchor(rightEl);
+      const wrong = this._wrongPairs.some(([wl, wr]) => wl === l && wr === r);
+      return `<line x1="${p1.x}" y1="${p1.y}" x2="${p2.x}" y2="${p2.y}"
+        class="${wrong ? 'wrong' : ''}" stroke="${LINE_COLORS[l % LINE_COLORS.length]}"></line>`;
+    });
+
+    if (dragLine) {
+      const p1 = anchor(dragLine.from);
+      lines.push(`<line class="drag" x1="${p1.x}" y1="${p1.y}"
+        x2="${dragLine.clientX - boardRect.left}" y2="${dragLine.clientY - boardRect.top}"></line>`);
+    }
+
+    svg.innerHTML = lines.join('');
+  }
+
+  getAnswerText() {
+    const leftItems = this.parseJsonAttr('left-items');
+    const rightItems = this.parseJsonAttr('right-items');
+    const correctPairs = this.parseJsonAttr('correct-pairs');
+    return correctPairs.length
+      ? correctPairs.map(([l, r]) => `${leftItems[l]}-${rightItems[r]}`).join(', ')
+      : null;
+  }
+
+  applyHint(hint) {
+    if (hint.type !== 'reveal-pair') return super.applyHint(hint);
+
+    const correctPairs = this.parseJsonAttr('correct-pairs');
+    const next = correctPairs.find(([cl, cr]) => !this._pairs.some(([l, r]) => l === cl && r === cr));
+    if (!next) return '이미 모두 맞게 연결했어요!';
+
+    const [left, right] = next;
+    this._pairs = this._pairs.filter(([l, r]) => l !== left && r !== right);
+    this._pairs.push([left, right]);
+    this._pending = null;
+    this.clearWrongMarks();
+    this.drawLines();
+    const leftItems = this.parseJsonAttr('left-items');
+    const rightItems = this.parseJsonAttr('right-items');
+    return `'${leftItems[left]}' 은(는) '${rightItems[right]}' 와(과) 연결돼요!`;
+  }
+
+  validate(pairs) {
+    const correctPairs = this.parseJsonAttr('correct-pairs');
+    const leftItems = this.parseJsonAttr('left-items');
+    const isCorrectPair = ([l, r]) => correctPairs.some(([cl, cr]) => cl === l && cr === r);
+
+    const wrongPairs = pairs.filter(pair => !isCorrectPair(pair));
+    const missing = correctPairs.length - (pairs.length - wrongPairs.length);
+    const correct = wrongPairs.length === 0 && missing === 0;
+
+    this._wrongPairs = wrongPairs;
+    this.shadowRoot.querySelectorAll('.connect-item').forEach(el => {
+      const index = parseInt(el.dataset.index);
+      const side = el.dataset.side === 'left' ? 0 : 1;
+      el.classList.toggle('wrong', wrongPairs.some(pair => pair[side] === index));
+    });
+    this.drawLines();
+
+    let feedback = '정답이에요! 🎉';
+    if (wrongPairs.length > 0) {
+      const names = wrongPairs.map(([l]) => `'${leftItems[l]}'`).join(', ');
+      feedback = `${names} 연결이 틀렸어요! 다시 해봐요! 💪`;
+    } else if (!correct) {
+      feedback = `아직 ${missing}개를 더 연결해야 해요! 💭`;
+    }
+
+    return { correct, feedback };
+  }
+}
+
+customElements.define('riddle-connect', RiddleConnect);
@@ -0,0 +1,166 @@
+/**
+ * 따라 그리기 수수께끼 (캔버스 + 점 구름 인식)
+ *
+ * 사용법:
+ *   <riddle-draw
+ *     instruction="'ㄱ'을 따라 그려 보세요"
+ *     template='[[[0.2,0.2],[0.8,0.2],[0.8,0.8]]]'
+ *     tolerance="0.15">
+ *   </riddle-draw>
+ *
+ * 속성:
+ *   - instruction: 안내 문구
+ *   - template: 본보기 획 JSON 배열 (획마다 0~1 좌표 [x, y] 배열)
+ *   - tolerance: 허용 거리 (점당 평균, 기본 0.15. 클수록 너그러움)
+ *   - hide-guide: 있으면 본보기 점선을 보여주지 않음 (기억해서 그리기)
+ *
+ * 힌트 (hints 속성):
+ *   - show-guide: 숨긴 본보기 점선을 보여줌
+ *
+ * 이벤트:
+ *   - answer-submit: { detail: { answer, correct, feedback } }
+ *     (answer는 아이가 그린 획 배열)
+ */
+import { RiddleBase } from './riddle-base.js';
+import { escapeHtml } from '../../utils/escape-html.js';
+import { StrokePad } from '../../utils/stroke-pad.js';
+import { compareStrokes } from '../../utils/point-cloud.js';
+
+const DEFAULT_TOLERANCE = 0.15;
+
+export class RiddleDraw extends RiddleBase {
+  static get observedAttributes() {
+    return ['instruction', 'template', 'tolerance', 'hide-guide'];
+  }
+
+  static get hintTypes() {
+    return { ...super.hintTypes, 'show-guide': '본보기 점선 보여주기' };
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this._pad?.destroy();
+    this._pad = null;
+  }
+
+  getTemplate() {
+    try {
+      const template = JSON.parse(this.getAttribute('template') || '[]');
+      return Array.isArray(template) ? template : [];
+    } catch (e) {
+      console.error('Invalid template JSON:', e);
+      return [];
+    }
+  }
+
+  get tolerance() {
+    const tolerance = parseFloat(this.getAttribute('tolerance'));
+    return Number.isFinite(tolerance) && tolerance > 0 ? tolerance : DEFAULT_TOLERANCE;
+  }
+
+  render() {
+    const instruction = this.getAttribute('instruction') || '점선을 따라 그려 보세요!';
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        ${this.getBaseStyles()}
+
+        .draw-canvas {
+          display: block;
+          width: 100%;
+          aspect-ratio: 1;
+          background: white;
+          border: 2px solid #e2e8f0;
+          border-radius: 12px;
+          cursor: crosshair;
+        }
+
+        .draw-canvas.correct {
+          border-color: #10b981;
+        }
+
+        .draw-canvas.wrong {
+          border-color: #ef4444;
+        }
+
+        .draw-tools {
+          display: flex;
+          gap: 0.5rem;
+          margin-top: 0.75rem;
+        }
+
+        .draw-tools button {
+          flex: 1;
+          padding: 0.6rem;
+          font-size: 1rem;
+          color: #475569;
+          background: #f1f5f9;
+          border: none;
+          border-radius: 10px;
+          cursor: pointer;
+        }
+      </style>
+
+      <div class="riddle-container">
+        <div class="riddle-question">${escapeHtml(instruction)}</div>
+        <canvas class="draw-canvas"></canvas>
+        <div class="draw-tools">
+          <button class="draw-undo">↩️ 한 획 지우기</button>
+          <button class="draw-clear">🧽 모두 지우기</button>
+        </div>
+        <button class="riddle-submit">다 그렸어요!</button>
+      </div>
+    `;
+
+    const canvas = this.shadowRoot.querySelector('.draw-canvas');
+    const clearMarks = () => canvas.classList.remove('correct', 'wrong');
+
+    this._pad?.destroy();
+    this._pad = new StrokePad(canvas, {
+      guide: this.hasAttribute('hide-guide') ? null : this.getTemplate(),
+      onChange: clearMarks
+    });
+
+    this.shadowRoot.querySelector('.draw-undo').addEventListener('click', () => this._pad.undo());
+    this.shadowRoot.querySelector('.draw-clear').addEventListener('click', () => this._pad.clear());
+    this.shadowRoot.querySelector('.riddle-submit').addEventListener('click', () => {
+      const strokes = this._pad.strokes.filter(stroke => stroke.length > 1);
+      if (strokes.length === 0) {
+        // 빈 그림은 오답으로 세지 않음
+        this.showFeedback(false, '먼저 그림을 그려 주세요! ✏️');
+        return;
+      }
+      this.submitAnswer(strokes.map(stroke => [...stroke]));
+    });
+  }
+
+  revealAnswer() {
+    if (this._pad) {
+      this._pad.guide = this.getTemplate();
+      this._pad.redraw();
+    }
+    return super.revealAnswer();
+  }
+
+  applyHint(hint) {
+    if (hint.type !== 'show-guide') return super.applyHint(hint);
+    this._pad.guide = this.getTemplate();
+    this._pad.redraw();
+    return '점선을 따라 그려 보세요!';
+  }
+
+  validate(strokes) {
+    const canvas = this.shadowRoot.querySelector('.draw-canvas');
+    const distance = compareStrokes(strokes, this.getTemplate());
+    const correct = distance <= this.tolerance;
+    canvas.classList.remove('correct', 'wrong');
+    canvas.classList.add(correct ? 'correct' : 'wrong');
+
+    return {
+      correct,
+      feedback: correct ? '잘 그렸어요! 🎉' : '모양이 조금 달라요! 다시 그려 봐요! 💪'
+    };
+  }
+}
+
+customElements.define('riddle-draw', RiddleDraw);
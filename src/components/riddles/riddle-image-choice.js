@@ -0,0 +1,154 @@
+/**
+ * 그림 고르기 수수께끼 (글을 아직 못 읽는 아이용)
+ *
+ * 사용법:
+ *   <riddle-image-choice
+ *     question="방금 찾은 물건은 어느 사진일까요?"
+ *     options='["data:image/jpeg;base64,...","/images/cup.png"]'
+ *     answer-index="0">
+ *   </riddle-image-choice>
+ *
+ * 속성:
+ *   - question: 문제 텍스트 (🔊 버튼으로 읽어줌)
+ *   - options: JSON 배열 형태의 이미지 URL 또는 data URL
+ *   - answer-index: 정답 인덱스 (0부터 시작)
+ *
+ * 힌트 (hints 속성):
+ *   - eliminate: 오답 그림 하나를 지움
+ *
+ * 이벤트:
+ *   - answer-submit: { detail: { answer, correct, feedback } }
+ */
+import { RiddleChoice } from './riddle-choice.js';
+import { escapeHtml } from '../../utils/escape-html.js';
+
+export class RiddleImageChoice extends RiddleChoice {
+  render() {
+    const question = this.getAttribute('question') || '알맞은 그림을 골라보세요!';
+    let options = [];
+
+    try {
+      options = JSON.parse(this.getAttribute('options') || '[]');
+    } catch (e) {
+      console.error('Invalid options JSON:', e);
+    }
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        ${this.getBaseStyles()}
+
+        .riddle-question {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+        }
+
+        .speak-btn {
+          flex-shrink: 0;
+          width: 40px;
+          height: 40px;
+          font-size: 1.2rem;
+          background: #eef2ff;
+          border: none;
+          border-radius: 50%;
+          cursor: pointer;
+        }
+
+        .choice-grid {
+          display: grid;
+          grid-template-columns: repeat(2, 1fr);
+          gap: 0.75rem;
+        }
+
+        .choice-btn {
+          position: relative;
+          padding: 0;
+          aspect-ratio: 1;
+          background: white;
+          border: 4px solid #e2e8f0;
+          border-radius: 16px;
+          overflow: hidden;
+          cursor: pointer;
+          transition: all 0.2s ease;
+        }
+
+        .choice-btn img {
+          width: 100%;
+          height: 100%;
+          object-fit: cover;
+          display: block;
+          pointer-events: none;
+        }
+
+        .choice-btn:active {
+          transform: scale(0.97);
+        }
+
+        .choice-btn.correct {
+          border-color: #10b981;
+        }
+
+        .choice-btn.wrong {
+          border-color: #ef4444;
+        }
+
+        .choice-btn.eliminated {
+          opacity: 0.25;
+          filter: grayscale(1);
+          pointer-events: none;
+        }
+
+        .choice-number {
+          position: absolute;
+          top: 6px;
+          left: 6px;
+          width: 26px;
+          height: 26px;
+          background: rgba(255, 255, 255, 0.9);
+          color: #1e293b;
+          border-radius: 50%;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          font-size: 0.85rem;
+          font-weight: 700;
+        }
+      </style>
+
+      <div class="riddle-container">
+        <div class="riddle-question">
+          ${'speechSynthesis' in window ? '<button class="speak-btn" aria-label="문제 읽어주기">🔊</button>' : ''}
+          <span>${escapeHtml(question)}</span>
+        </div>
+        <div class="choice-grid">
+          ${options.map((src, i) => `
+            <button class="choice-btn" data-index="${i}" aria-label="${i + 1}번 그림">
+              <img src="${escapeHtml(src)}" alt="" draggable="false">
+              <span class="choice-number">${i + 1}</span>
+            </button>
+          `).join('')}
+        </div>
+      </div>
+    `;
+
+    this.shadowRoot.querySelector('.speak-btn')?.addEventListener('click', () => {
+      const utterance = new SpeechSynthesisUtterance(question);
+      utterance.lang = 'ko-KR';
+      speechSynthesis.cancel();
+      speechSynthesis.speak(utterance);
+    });
+
+    this.shadowRoot.querySelectorAll('.choice-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.submitAnswer(parseInt(btn.dataset.index));
+      });
+    });
+  }
+
+  getAnswerText() {
+    const answerIndex = parseInt(this.getAttribute('answer-index') || '0');
+    return `${answerIndex + 1}번 그림`;
+  }
+}
+
+customElements.define('riddle-image-choice', RiddleImageChoice);
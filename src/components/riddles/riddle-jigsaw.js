@@ -0,0 +1,305 @@
+/**
+ * 사진 조각 맞추기 수수께끼
+ *
+ * 사용법:
+ *   <riddle-jigsaw image="data:image/jpeg;base64,..." difficulty="medium"></riddle-jigsaw>
+ *
+ * 속성:
+ *   - image: 이미지 URL 또는 data URL (게임에서는 비어 있으면 보물의 capturedImage 사용)
+ *   - instruction: 안내 문구
+ *   - difficulty: easy(2×2) | medium(3×3) | hard(4×4) — 기본 easy
+ *   - rows, cols: 직접 지정하면 difficulty 보다 우선
+ *
+ * 조작:
+ *   - 조각을 차례로 탭하거나, 다른 조각 위로 드래그하면 두 조각이 바뀜
+ *   - 원래 그림이 완성되면 자동으로 정답 제출
+ *
+ * 힌트 (hints 속성):
+ *   - place-tile: 조각 하나를 제자리에 놓아 줌
+ *
+ * 이벤트:
+ *   - answer-submit: { detail: { answer, correct, feedback } }
+ *     (answer는 자리마다 놓인 조각 번호 배열)
+ */
+import { RiddleBase } from './riddle-base.js';
+import { escapeHtml } from '../../utils/escape-html.js';
+
+const GRID_BY_DIFFICULTY = { easy: 2, medium: 3, hard: 4 };
+const DRAG_THRESHOLD = 8;
+
+export class RiddleJigsaw extends RiddleBase {
+  static get observedAttributes() {
+    return ['image', 'instruction', 'difficulty', 'rows', 'cols'];
+  }
+
+  static get hintTypes() {
+    return { ...super.hintTypes, 'place-tile': '조각 하나 맞춰 주기' };
+  }
+
+  /**
+   * [rows, cols]
+   * @returns {number[]}
+   */
+  getGridSize() {
+    const base = GRID_BY_DIFFICULTY[this.getAttribute('difficulty')] ?? GRID_BY_DIFFICULTY.easy;
+    const rows = parseInt(this.getAttribute('rows')) || base;
+    const cols = parseInt(this.getAttribute('cols')) || base;
+    return [Math.max(2, rows), Math.max(2, cols)];
+  }
+
+  render() {
+    const instruction = this.getAttribute('instruction') || '조각을 바꿔서 사진을 완성하세요!';
+    const image = this.getAttribute('image');
+    const [rows, cols] = this.getGridSize();
+    const count = rows * cols;
+
+    /** 자리(pos)마다 놓인 조각 번호 */
+    this._order = scramble(count);
+    this._selected = null;
+    this._moves = 0;
+    this._solved = false;
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        ${this.getBaseStyles()}
+
+        .jigsaw-board {
+          display: grid;
+          grid-template-columns: repeat(${cols}, 1fr);
+          grid-template-rows: repeat(${rows}, 1fr);
+          gap: 3px;
+          aspect-ratio: 4 / 3;
+          padding: 3px;
+          background: #cbd5e1;
+          border-radius: 12px;
+          touch-action: none;
+          user-select: none;
+          -webkit-user-select: none;
+        }
+
+        .jigsaw-tile {
+          border-radius: 4px;
+          background-repeat: no-repeat;
+          background-size: ${cols * 100}% ${rows * 100}%;
+          cursor: pointer;
+          transition: transform 0.15s ease, box-shadow 0.15s ease;
+        }
+
+        .jigsaw-tile.selected {
+          transform: scale(0.92);
+          box-shadow: 0 0 0 3px #6366f1;
+        }
+
+        .jigsaw-tile.dragging {
+          opacity: 0.6;
+        }
+
+        .jigsaw-tile.drop-target {
+          box-shadow: 0 0 0 3px #f59e0b;
+        }
+
+        .jigsaw-tile.placed {
+          cursor: default;
+        }
+
+        .jigsaw-board.solved {
+          gap: 0;
+          background: #10b981;
+        }
+
+        .jigsaw-empty {
+          padding: 2rem 1rem;
+          text-align: center;
+          color: #64748b;
+          background: #f1f5f9;
+          border-radius: 12px;
+        }
+
+        .jigsaw-status {
+          margin-top: 0.75rem;
+          font-size: 0.9rem;
+          color: #64748b;
+          text-align: center;
+        }
+      </style>
+
+      <div class="riddle-container">
+        <div class="riddle-question">${escapeHtml(instruction)}</div>
+        ${image
+          ? `<div class="jigsaw-board"></div>
+             <div class="jigsaw-status">바꾼 횟수 <span class="jigsaw-moves">0</span></div>`
+          : '<div class="jigsaw-empty">🧩 보물 사진으로 퍼즐이 만들어져요</div>'}
+      </div>
+    `;
+
+    if (!image) return;
+
+    const board = this.shadowRoot.querySelector('.jigsaw-board');
+    // 사진 비율에 맞춰 판 모양 조정
+    const img = new Image();
+    img.onload = () => {
+      if (img.naturalWidth && img.naturalHeight) {
+        board.style.aspectRatio = `${img.naturalWidth} / ${img.naturalHeight}`;
+      }
+    };
+    img.src = image;
+
+    board.innerHTML = this._order.map((_, pos) => `<div class="jigsaw-tile" data-pos="${pos}"></div>`).join('');
+    this.paintTiles();
+
+    board.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+    board.addEventListener('pointermove', (e) => this.onPointerMove(e));
+    board.addEventListener('pointerup', (e) => this.onPointerUp(e));
+    board.addEventListener('pointercancel', () => this.cancelDrag());
+  }
+
+  /**
+   * 자리마다 조각 그림(background-position) 갱신
+   */
+  paintTiles() {
+    const [rows, cols] = this.getGridSize();
+    const image = this.getAttribute('image');
+    this.shadowRoot.querySelectorAll('.jigsaw-tile').forEach(tile => {
+      const pos = parseInt(tile.dataset.pos);
+      const piece = this._order[pos];
+      const r = Math.floor(piece / cols);
+      const c = piece % cols;
+      tile.style.backgroundImage = `url("${image}")`;
+      tile.style.backgroundPosition = `${(c / (cols - 1)) * 100}% ${(r / (rows - 1)) * 100}%`;
+      tile.classList.toggle('selected', this._selected === pos);
+    });
+    const moves = this.shadowRoot.querySelector('.jigsaw-moves');
+    if (moves) moves.textContent = this._moves;
+  }
+
+  tileAt(clientX, clientY) {
+    return this.shadowRoot.elementFromPoint(clientX, clientY)?.closest('.jigsaw-tile') ?? null;
+  }
+
+  onPointerDown(e) {
+    const tile = e.target.closest('.jigsaw-tile');
+    if (!tile || this._solved) return;
+    e.preventDefault();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    this._drag = { tile, x: e.clientX, y: e.clientY, moved: false, over: null };
+  }
+
+  onPointerMove(e) {
+    if (!this._drag) return;
+    const { tile, x, y } = this._drag;
+    if (!this._drag.moved && Math.hypot(e.clientX - x, e.clientY - y) < DRAG_THRESHOLD) return;
+    this._drag.moved = true;
+    tile.classList.add('dragging');
+
+    const over = this.tileAt(e.clientX, e.clientY);
+    if (over !== this._drag.over) {
+      this._drag.over?.classList.remove('drop-target');
+      this._drag.over = over !== tile ? over : null;
+      this._drag.over?.classList.add('drop-target');
+    }
+  }
+
+  onPointerUp(e) {
+    if (!this._drag) return;
+    const { tile, moved } = this._drag;
+    const target = moved ? this.tileAt(e.clientX, e.clientY) : null;
+    this.cancelDrag();
+
+    if (!moved) {
+      this.onTap(tile);
+    } else if (target && target !== tile) {
+      this._selected = null;
+      this.swap(parseInt(tile.dataset.pos), parseInt(target.dataset.pos));
+    }
+  }
+
+  cancelDrag() {
+    if (!this._drag) return;
+    this._drag.tile.classList.remove('dragging');
+    this._drag.over?.classList.remove('drop-target');
+    this._drag = null;
+  }
+
+  /**
+   * 탭: 첫 번째 조각 선택 → 두 번째 조각과 교환
+   * @param {HTMLElement} tile
+   */
+  onTap(tile) {
+    const pos = parseInt(tile.dataset.pos);
+    if (this._selected == null) {
+      this._selected = pos;
+    } else if (this._selected === pos) {
+      this._selected = null;
+    } else {
+      const first = this._selected;
+      this._selected = null;
+      this.swap(first, pos);
+      return;
+    }
+    this.paintTiles();
+  }
+
+  swap(a, b) {
+    [this._order[a], this._order[b]] = [this._order[b], this._order[a]];
+    this._moves++;
+    this.paintTiles();
+    this.checkSolved();
+  }
+
+  checkSolved() {
+    if (!this._order.every((piece, pos) => piece === pos)) return;
+    this._solved = true;
+    this.shadowRoot.querySelector('.jigsaw-board')?.classList.add('solved');
+    this.shadowRoot.querySelectorAll('.jigsaw-tile').forEach(tile => tile.classList.add('placed'));
+    this.submitAnswer([...this._order]);
+  }
+
+  applyHint(hint) {
+    if (hint.type !== 'place-tile') return super.applyHint(hint);
+    const pos = this._order.findIndex((piece, p) => piece !== p);
+    if (pos < 0) return '이미 다 맞췄어요!';
+    const from = this._order.indexOf(pos);
+    this._selected = null;
+    [this._order[pos], this._order[from]] = [this._order[from], this._order[pos]];
+    this.paintTiles();
+    this.checkSolved();
+    return `${pos + 1}번째 자리 조각을 맞춰 줬어요!`;
+  }
+
+  revealAnswer() {
+    this._order = this._order.map((_, pos) => pos);
+    this._selected = null;
+    this._solved = true;
+    this.paintTiles();
+    this.shadowRoot.querySelector('.jigsaw-board')?.classList.add('solved');
+    return super.revealAnswer();
+  }
+
+  validate(order) {
+    const correct = order.length > 0 && order.every((piece, pos) => piece === pos);
+    return {
+      correct,
+      feedback: correct
+        ? `사진을 완성했어요! (${this._moves}번 만에) 🎉`
+        : '아직 제자리에 없는 조각이 있어요! 💭'
+    };
+  }
+}
+
+/**
+ * 0..n-1 을 섞은 배열 (완성된 순서는 피함)
+ * @param {number} n
+ * @returns {number[]}
+ */
+function scramble(n) {
+  const out = Array.from({ length: n }, (_, i) => i);
+  do {
+    for (let i = n - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [out[i], out[j]] = [out[j], out[i]];
+    }
+  } while (n > 1 && out.every((v, i) => v === i));
+  return out;
+}
+
+customElements.define('riddle-jigsaw', RiddleJigsaw);
@@ -0,0 +1,278 @@
+/**
+ * 카드 뒤집기(짝 맞추기) 수수께끼
+ *
+ * 사용법:
+ *   <riddle-memory
+ *     instruction="같은 뜻의 카드를 찾아보세요"
+ *     pairs='[{"id":1,"front":"apple","back":"사과"},{"id":2,"front":"banana","back":"바나나"}]'
+ *     match-type="text-text">
+ *   </riddle-memory>
+ *
+ * 속성:
+ *   - instruction: 안내 문구 (선택)
+ *   - pairs: JSON 배열 [{ id, front, back }]
+ *   - match-type: "{front 종류}-{back 종류}" (text | image). 예: text-text, image-text, image-image
+ *                 image 쪽 값은 이미지 URL 또는 data URL
+ *   - flip-delay: 틀린 짝을 다시 뒤집기까지 대기 시간 ms (기본: 900)
+ *
+ * 힌트 (hints 속성):
+ *   - peek: 모든 카드를 잠깐 보여줌
+ *
+ * 이벤트:
+ *   - answer-submit: { detail: { answer, correct, feedback } }
+ *     (모든 짝을 맞추면 answer = 맞춘 pair id 배열, correct: true)
+ */
+import { RiddleBase } from './riddle-base.js';
+import { escapeHtml } from '../../utils/escape-html.js';
+
+const DEFAULT_FLIP_DELAY = 900;
+const PEEK_DURATION = 1500;
+
+export class RiddleMemory extends RiddleBase {
+  static get observedAttributes() {
+    return ['instruction', 'pairs', 'match-type', 'flip-delay'];
+  }
+
+  static get hintTypes() {
+    return { ...super.hintTypes, peek: '카드 잠깐 보여주기' };
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    clearTimeout(this._flipTimer);
+    clearTimeout(this._peekTimer);
+  }
+
+  render() {
+    const instruction = this.getAttribute('instruction') || '같은 짝의 카드를 찾아보세요!';
+    const [frontKind, backKind] = this.getMatchKinds();
+    let pairs = [];
+
+    try {
+      pairs = JSON.parse(this.getAttribute('pairs') || '[]');
+    } catch (e) {
+      console.error('Invalid pairs JSON:', e);
+    }
+
+    const cards = shuffle(pairs.flatMap(pair => [
+      { pairId: pair.id, side: 'front', kind: frontKind, value: pair.front },
+      { pairId: pair.id, side: 'back', kind: backKind, value: pair.back }
+    ]));
+
+    clearTimeout(this._flipTimer);
+    clearTimeout(this._peekTimer);
+    this._opened = [];
+    this._matched = new Set();
+    this._locked = false;
+    this._moves = 0;
+
+    const columns = cards.length <= 8 ? 4 : Math.ceil(Math.sqrt(cards.length));
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        ${this.getBaseStyles()}
+
+        .memory-grid {
+          display: grid;
+          grid-template-columns: repeat(${columns}, 1fr);
+          gap: 0.5rem;
+        }
+
+        .memory-card {
+          position: relative;
+          aspect-ratio: 3 / 4;
+          padding: 0;
+          border: none;
+          background: none;
+          cursor: pointer;
+          perspective: 600px;
+        }
+
+        .memory-card-inner {
+          position: absolute;
+          inset: 0;
+          transition: transform 0.35s ease;
+          transform-style: preserve-3d;
+        }
+
+        .memory-card.open .memory-card-inner,
+        .memory-card.matched .memory-card-inner,
+        .memory-grid.peek .memory-card-inner {
+          transform: rotateY(180deg);
+        }
+
+        .memory-face {
+          position: absolute;
+          inset: 0;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          border-radius: 10px;
+          backface-visibility: hidden;
+          -webkit-backface-visibility: hidden;
+          overflow: hidden;
+        }
+
+        .memory-face.cover {
+          background: linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%);
+          color: white;
+          font-size: 1.5rem;
+        }
+
+        .memory-face.content {
+          transform: rotateY(180deg);
+          background: white;
+          border: 2px solid #e2e8f0;
+          color: #1e293b;
+          font-size: 0.95rem;
+          font-weight: 600;
+          padding: 0.25rem;
+          text-align: center;
+          word-break: keep-all;
+        }
+
+        .memory-face.content img {
+          width: 100%;
+          height: 100%;
+          object-fit: cover;
+        }
+
+        .memory-card.matched .memory-face.content {
+          border-color: #10b981;
+          background: #d1fae5;
+        }
+
+        .memory-card.mismatch .memory-face.content {
+          border-color: #ef4444;
+          background: #fee2e2;
+        }
+
+        .memory-status {
+          margin-top: 0.75rem;
+          font-size: 0.9rem;
+          color: #64748b;
+          text-align: center;
+        }
+      </style>
+
+      <div class="riddle-container">
+        <div class="riddle-question">${escapeHtml(instruction)}</div>
+        <div class="memory-grid">
+          ${cards.map((card, i) => `
+            <button class="memory-card" data-index="${i}" data-pair-id="${escapeHtml(card.pairId)}" data-side="${card.side}">
+              <span class="memory-card-inner">
+                <span class="memory-face cover">?</span>
+                <span class="memory-face content">
+                  ${card.kind === 'image'
+                    ? `<img src="${escapeHtml(card.value)}" alt="" draggable="false">`
+                    : escapeHtml(card.value)}
+                </span>
+              </span>
+            </button>
+          `).join('')}
+        </div>
+        <div class="memory-status">
+          맞춘 짝 <span class="memory-matched">0</span> / ${pairs.length}
+        </div>
+      </div>
+    `;
+
+    this._pairCount = pairs.length;
+
+    this.shadowRoot.querySelectorAll('.memory-card').forEach(card => {
+      card.addEventListener('click', () => this.flipCard(card));
+    });
+  }
+
+  /**
+   * match-type 을 [front 종류, back 종류] 로 분해
+   * @returns {string[]}
+   */
+  getMatchKinds() {
+    const [front, back] = (this.getAttribute('match-type') || 'text-text').split('-');
+    const normalize = kind => (kind === 'image' ? 'image' : 'text');
+    return [normalize(front), normalize(back ?? front)];
+  }
+
+  /**
+   * 카드 한 장 뒤집기 (2장이 열리면 짝 판정)
+   * @param {HTMLElement} card
+   */
+  flipCard(card) {
+    if (this._locked) return;
+    if (card.classList.contains('open') || card.classList.contains('matched')) return;
+
+    card.classList.add('open');
+    this._opened.push(card);
+    if (this._opened.length < 2) return;
+
+    this._moves++;
+    const [a, b] = this._opened;
+    const isPair = a.dataset.pairId === b.dataset.pairId && a.dataset.side !== b.dataset.side;
+
+    if (isPair) {
+      a.classList.replace('open', 'matched');
+      b.classList.replace('open', 'matched');
+      this._matched.add(a.dataset.pairId);
+      this._opened = [];
+      this.shadowRoot.querySelector('.memory-matched').textContent = this._matched.size;
+
+      if (this._matched.size === this._pairCount) {
+        this.submitAnswer([...this._matched]);
+      }
+      return;
+    }
+
+    const delay = parseInt(this.getAttribute('flip-delay')) || DEFAULT_FLIP_DELAY;
+    this._locked = true;
+    a.classList.add('mismatch');
+    b.classList.add('mismatch');
+    this._flipTimer = setTimeout(() => {
+      a.classList.remove('open', 'mismatch');
+      b.classList.remove('open', 'mismatch');
+      this._opened = [];
+      this._locked = false;
+    }, delay);
+  }
+
+  applyHint(hint) {
+    if (hint.type !== 'peek') return super.applyHint(hint);
+
+    const grid = this.shadowRoot.querySelector('.memory-grid');
+    this._locked = true;
+    grid.classList.add('peek');
+    clearTimeout(this._peekTimer);
+    this._peekTimer = setTimeout(() => {
+      grid.classList.remove('peek');
+      this._locked = this._opened.length >= 2;
+    }, PEEK_DURATION);
+    return '카드를 잘 기억해 두세요! 👀';
+  }
+
+  validate(matchedIds) {
+    const correct = this._pairCount > 0 && matchedIds.length === this._pairCount;
+
+    return {
+      correct,
+      feedback: correct
+        ? `모든 짝을 찾았어요! (${this._moves}번 만에) 🎉`
+        : '아직 못 찾은 짝이 있어요! 💭'
+    };
+  }
+}
+
+/**
+ * Fisher-Yates shuffle (새 배열 반환)
+ * @param {Array} arr
+ * @returns {Array}
+ */
+function shuffle(arr) {
+  const out = [...arr];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+customElements.define('riddle-memory', RiddleMemory);
@@ -0,0 +1,238 @@
+/**
+ * 물건 보여주기 수수께끼 (카메라 + COCO-SSD)
+ *
+ * 사용법:
+ *   <riddle-object-hunt
+ *     target-class="cup"
+ *     frames="5"
+ *     score-threshold="0.6">
+ *   </riddle-object-hunt>
+ *
+ * 속성:
+ *   - target-class: 보여줘야 하는 COCO 클래스 (예: cup, book)
+ *   - prompt: 안내 문구 (기본: "{한글 이름}을 보여줘!")
+ *   - frames: 연속으로 인식돼야 하는 프레임 수 (기본: 5)
+ *   - score-threshold: 인식 점수 기준 0~1 (기본: 0.6)
+ *
+ * 이벤트:
+ *   - answer-submit: { detail: { answer, correct, feedback } }
+ *     (answer는 인식된 클래스 이름, 기준을 넘기면 한 번만 발생)
+ */
+import { RiddleBase } from './riddle-base.js';
+import { loadDetectionModel, runDetection } from '../../utils/detection.js';
+import { getCocoLabel } from '../../utils/coco-labels.js';
+import { escapeHtml } from '../../utils/escape-html.js';
+
+const DEFAULT_FRAMES = 5;
+const DEFAULT_SCORE_THRESHOLD = 0.6;
+const DETECT_INTERVAL = 120;
+
+export class RiddleObjectHunt extends RiddleBase {
+  static get observedAttributes() {
+    return ['target-class', 'prompt', 'frames', 'score-threshold'];
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.stopCamera();
+  }
+
+  get targetClass() {
+    return this.getAttribute('target-class') || '';
+  }
+
+  get requiredFrames() {
+    return parseInt(this.getAttribute('frames')) || DEFAULT_FRAMES;
+  }
+
+  get scoreThreshold() {
+    const threshold = parseFloat(this.getAttribute('score-threshold'));
+    return Number.isFinite(threshold) ? threshold : DEFAULT_SCORE_THRESHOLD;
+  }
+
+  render() {
+    this.stopCamera();
+    const label = getCocoLabel(this.targetClass);
+    const prompt = this.getAttribute('prompt') || `${withObjectParticle(label)} 보여줘!`;
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        ${this.getBaseStyles()}
+
+        .hunt-stage {
+          position: relative;
+          aspect-ratio: 4 / 3;
+          background: #1e293b;
+          border-radius: 12px;
+          overflow: hidden;
+        }
+
+        .hunt-stage video {
+          width: 100%;
+          height: 100%;
+          object-fit: cover;
+          display: none;
+        }
+
+        .hunt-stage.live video {
+          display: block;
+        }
+
+        .hunt-status {
+          position: absolute;
+          inset: auto 0 0 0;
+          padding: 0.5rem;
+          color: white;
+          font-size: 0.95rem;
+          text-align: center;
+          background: rgba(15, 23, 42, 0.6);
+        }
+
+        .hunt-stage:not(.live) .hunt-status {
+          inset: 0;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          background: none;
+        }
+
+        .hunt-progress {
+          height: 10px;
+          margin-top: 0.75rem;
+          background: #e2e8f0;
+          border-radius: 5px;
+          overflow: hidden;
+        }
+
+        .hunt-progress-bar {
+          width: 0;
+          height: 100%;
+          background: #10b981;
+          transition: width 0.15s ease;
+        }
+      </style>
+
+      <div class="riddle-container">
+        <div class="riddle-question">${escapeHtml(prompt)}</div>
+        <div class="hunt-stage">
+          <video autoplay playsinline muted></video>
+          <div class="hunt-status">카메라를 켜고 ${escapeHtml(withObjectParticle(label))} 비춰 주세요</div>
+        </div>
+        <div class="hunt-progress"><div class="hunt-progress-bar"></div></div>
+        <button class="riddle-submit">📷 카메라 켜기</button>
+      </div>
+    `;
+
+    this.shadowRoot.querySelector('.riddle-submit').addEventListener('click', () => this.startCamera());
+  }
+
+  /**
+   * 카메라를 켜고 검출 루프 시작
+   */
+  async startCamera() {
+    const button = this.shadowRoot.querySelector('.riddle-submit');
+    const stage = this.shadowRoot.querySelector('.hunt-stage');
+    const video = this.shadowRoot.querySelector('video');
+    button.disabled = true;
+    this.setStatus('카메라를 켜는 중...');
+
+    try {
+      this._stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+    } catch (err) {
+      console.error('Camera error:', err);
+      this.setStatus('카메라를 사용할 수 없어요 😢');
+      button.disabled = false;
+      return;
+    }
+    if (!this.isConnected) {
+      this.stopCamera();
+      return;
+    }
+
+    video.srcObject = this._stream;
+    stage.classList.add('live');
+    button.style.display = 'none';
+    this.setStatus('물체 인식 준비 중...');
+
+    const model = await loadDetectionModel();
+    if (!model) {
+      this.setStatus('물체 인식을 사용할 수 없어요 😢');
+      return;
+    }
+    if (!this._stream) return;
+
+    this._streak = 0;
+    this.setStatus(`${withObjectParticle(getCocoLabel(this.targetClass))} 찾는 중... 🔍`);
+    this.detectLoop(model, video);
+  }
+
+  async detectLoop(model, video) {
+    if (!this._stream) return;
+
+    if (video.readyState >= 2) {
+      const predictions = await runDetection(model, video, { scoreThreshold: this.scoreThreshold });
+      if (!this._stream) return;
+      const found = predictions.some(p => p.class === this.targetClass);
+      this._streak = found ? this._streak + 1 : 0;
+      this.updateProgress();
+
+      if (this._streak >= this.requiredFrames) {
+        this.stopCamera();
+        this.submitAnswer(this.targetClass);
+        return;
+      }
+    }
+
+    this._loopTimer = setTimeout(() => this.detectLoop(model, video), DETECT_INTERVAL);
+  }
+
+  updateProgress() {
+    const ratio = Math.min(1, this._streak / this.requiredFrames);
+    this.shadowRoot.querySelector('.hunt-progress-bar').style.width = `${ratio * 100}%`;
+    if (this._streak > 0) this.setStatus('찾았다! 그대로 잠깐만 있어요 ✋');
+    else this.setStatus(`${withObjectParticle(getCocoLabel(this.targetClass))} 찾는 중... 🔍`);
+  }
+
+  setStatus(message) {
+    const status = this.shadowRoot.querySelector('.hunt-status');
+    if (status) status.textContent = message;
+  }
+
+  stopCamera() {
+    clearTimeout(this._loopTimer);
+    this._stream?.getTracks().forEach(track => track.stop());
+    this._stream = null;
+  }
+
+  getAnswerText() {
+    return this.targetClass ? `'${getCocoLabel(this.targetClass)}'` : null;
+  }
+
+  revealAnswer() {
+    this.stopCamera();
+    return super.revealAnswer();
+  }
+
+  validate(detectedClass) {
+    const correct = !!this.targetClass && detectedClass === this.targetClass;
+    return {
+      correct,
+      feedback: correct
+        ? `${getCocoLabel(this.targetClass)} 찾기 성공! 🎉`
+        : '다른 물건이에요! 다시 찾아봐요! 💪'
+    };
+  }
+}
+
+/**
+ * 받침 유무에 맞는 목적격 조사 붙이기 (한글이 아니면 "을(를)")
+ * @param {string} word
+ * @returns {string}
+ */
+function withObjectParticle(word) {
+  const code = word.charCodeAt(word.length - 1) - 0xac00;
+  if (code < 0 || code > 11171) return `${word}을(를)`;
+  return `${word}${code % 28 ? '을' : '를'}`;
+}
+
+customElements.define('riddle-object-hunt', RiddleObjectHunt);
@@ -0,0 +1,253 @@
+/**
+ * 순서 맞추기 수수께끼
+ *
+ * 사용법:
+ *   <riddle-sequence
+ *     instruction="숫자를 순서대로 정렬하세요"
+ *     items='["3","1","4","2"]'
+ *     correct-order="[1,3,0,2]">
+ *   </riddle-sequence>
+ *
+ * 속성:
+ *   - instruction: 안내 문구
+ *   - items: JSON 배열 형태의 항목 (표시 순서)
+ *   - correct-order: 정답 순서대로 나열한 items 인덱스 JSON 배열
+ *
+ * 힌트 (hints 속성):
+ *   - reveal-position: 아직 공개되지 않은 맨 앞 자리의 정답 항목을 제자리로 옮김
+ *
+ * 이벤트:
+ *   - answer-submit: { detail: { answer, correct, feedback } }
+ *     (answer는 사용자가 정렬한 items 인덱스 배열)
+ */
+import Sortable from 'sortablejs';
+import { RiddleBase } from './riddle-base.js';
+import { escapeHtml } from '../../utils/escape-html.js';
+
+export class RiddleSequence extends RiddleBase {
+  static get observedAttributes() {
+    return ['instruction', 'items', 'correct-order'];
+  }
+
+  static get hintTypes() {
+    return { ...super.hintTypes, 'reveal-position': '한 자리 정답 보여주기' };
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this._sortable?.destroy();
+    this._sortable = null;
+  }
+
+  render() {
+    const instruction = this.getAttribute('instruction') || '순서대로 정렬하세요';
+    let items = [];
+
+    try {
+      items = JSON.parse(this.getAttribute('items') || '[]');
+    } catch (e) {
+      console.error('Invalid items JSON:', e);
+    }
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        ${this.getBaseStyles()}
+
+        .sequence-list {
+          display: flex;
+          flex-direction: column;
+          gap: 0.5rem;
+          margin: 0;
+          padding: 0;
+          list-style: none;
+        }
+
+        .sequence-item {
+          display: flex;
+          align-items: center;
+          gap: 0.75rem;
+          padding: 0.875rem 1rem;
+          font-size: 1.2rem;
+          font-weight: 600;
+          color: #1e293b;
+          background: white;
+          border: 2px solid #e2e8f0;
+          border-radius: 12px;
+          cursor: grab;
+          user-select: none;
+          -webkit-user-select: none;
+          touch-action: none;
+          transition: border-color 0.2s ease, background 0.2s ease;
+        }
+
+        .sequence-item:active {
+          cursor: grabbing;
+        }
+
+        .sequence-item.sortable-ghost {
+          opacity: 0.4;
+          border-style: dashed;
+        }
+
+        .sequence-item.sortable-chosen {
+          border-color: #6366f1;
+          background: #eef2ff;
+        }
+
+        .sequence-item.correct {
+          border-color: #10b981;
+          background: #d1fae5;
+        }
+
+        .sequence-item.wrong {
+          border-color: #ef4444;
+          background: #fee2e2;
+        }
+
+        .sequence-item.revealed .sequence-position {
+          background: #fbbf24;
+          color: white;
+        }
+
+        .sequence-position {
+          width: 28px;
+          height: 28px;
+          background: #e2e8f0;
+          color: #64748b;
+          border-radius: 50%;
+          display: inline-flex;
+          align-items: center;
+          justify-content: center;
+          font-size: 0.85rem;
+          flex-shrink: 0;
+        }
+
+        .sequence-label {
+          flex: 1;
+        }
+
+        .sequence-handle {
+          color: #94a3b8;
+          font-size: 1.1rem;
+        }
+      </style>
+
+      <div class="riddle-container">
+        <div class="riddle-question">${escapeHtml(instruction)}</div>
+        <ul class="sequence-list">
+          ${items.map((item, i) => `
+            <li class="sequence-item" data-index="${i}">
+              <span class="sequence-position">${i + 1}</span>
+              <span class="sequence-label">${escapeHtml(item)}</span>
+              <span class="sequence-handle">☰</span>
+            </li>
+          `).join('')}
+        </ul>
+        <button class="riddle-submit">제출</button>
+      </div>
+    `;
+
+    const list = this.shadowRoot.querySelector('.sequence-list');
+    const submitBtn = this.shadowRoot.querySelector('.riddle-submit');
+
+    this._sortable?.destroy();
+    this._sortable = new Sortable(list, {
+      animation: 150,
+      forceFallback: true,
+      fallbackOnBody: false,
+      onStart: () => this.clearMarks(),
+      onEnd: () => this.updatePositions()
+    });
+
+    submitBtn.addEventListener('click', () => {
+      this.submitAnswer(this.getCurrentOrder());
+    });
+  }
+
+  /**
+   * 현재 화면에 정렬된 items 인덱스 배열
+   * @returns {number[]}
+   */
+  getCurrentOrder() {
+    return Array.from(this.shadowRoot.querySelectorAll('.sequence-item'))
+      .map(el => parseInt(el.dataset.index));
+  }
+
+  /**
+   * 드래그 후 위치 번호 갱신
+   */
+  updatePositions() {
+    this.shadowRoot.querySelectorAll('.sequence-position').forEach((el, i) => {
+      el.textContent = i + 1;
+    });
+  }
+
+  /**
+   * 정답/오답 표시 제거
+   */
+  clearMarks() {
+    this.shadowRoot.querySelectorAll('.sequence-item').forEach(el => {
+      el.classList.remove('correct', 'wrong');
+    });
+  }
+
+  /**
+   * 정답 순서 (items 인덱스 배열)
+   * @returns {number[]}
+   */
+  getCorrectOrder() {
+    try {
+      return JSON.parse(this.getAttribute('correct-order') || '[]');
+    } catch (e) {
+      console.error('Invalid correct-order JSON:', e);
+      return [];
+    }
+  }
+
+  getAnswerText() {
+    const labels = Array.from(this.shadowRoot.querySelectorAll('.sequence-item'));
+    const labelOf = index => labels.find(el => parseInt(el.dataset.index) === index)
+      ?.querySelector('.sequence-label').textContent;
+    const order = this.getCorrectOrder();
+    return order.length ? order.map(labelOf).join(' → ') : null;
+  }
+
+  applyHint(hint) {
+    if (hint.type !== 'reveal-position') return super.applyHint(hint);
+
+    const correctOrder = this.getCorrectOrder();
+    const list = this.shadowRoot.querySelector('.sequence-list');
+    const els = Array.from(list.querySelectorAll('.sequence-item'));
+    const itemAt = (index) => els.find(el => parseInt(el.dataset.index) === index);
+    const pos = correctOrder.findIndex(index => itemAt(index) && !itemAt(index).classList.contains('revealed'));
+    if (pos < 0) return '이미 모든 자리를 알려줬어요!';
+
+    const target = itemAt(correctOrder[pos]);
+    const anchor = list.children[pos];
+    if (anchor !== target) list.insertBefore(target, anchor ?? null);
+    target.classList.add('revealed');
+    this.clearMarks();
+    this.updatePositions();
+    return `${pos + 1}번째는 '${target.querySelector('.sequence-label').textContent}' 이에요!`;
+  }
+
+  validate(order) {
+    const correctOrder = this.getCorrectOrder();
+
+    const correct = order.length === correctOrder.length &&
+      order.every((index, pos) => index === correctOrder[pos]);
+
+    // Mark each position
+    this.shadowRoot.querySelectorAll('.sequence-item').forEach((el, pos) => {
+      el.classList.remove('correct', 'wrong');
+      el.classList.add(order[pos] === correctOrder[pos] ? 'correct' : 'wrong');
+    });
+
+    return {
+      correct,
+      feedback: correct ? '정답이에요! 🎉' : '순서가 조금 달라요! 다시 해봐요! 💪'
+    };
+  }
+}
+
+customElements.define('riddle-sequence', RiddleSequence);
@@ -3,21 +3,55 @@
  * 
  * 사용법:
  *   <riddle-text question="7 + 8 = ?" answer="15"></riddle-text>
+ *   <riddle-text question="'친구'를 영어로?" answers='["friend","buddy"]' fuzzy="1"></riddle-text>
  * 
  * 속성:
  *   - question: 문제 텍스트
  *   - answer: 정답
+ *   - answers: 추가로 인정할 정답 JSON 배열 (answer와 함께 사용 가능)
  *   - case-sensitive: 대소문자 구분 여부 (기본: false)
+ *   - fuzzy: 오타 허용 편집 거리 (숫자). 값 없이 지정하면 정답 길이에 따라 자동
  *   - placeholder: 입력창 플레이스홀더
  * 
+ * 공백·문장부호는 항상 무시하고, 숫자 정답은 "15" / "십오" / "열다섯"을 같은 답으로 본다.
+ * 
+ * 힌트 (hints 속성):
+ *   - first-letter: 정답의 첫 글자 공개
+ *   - length: 정답 글자 수 공개
+ * 
  * 이벤트:
  *   - answer-submit: { detail: { answer, correct, feedback } }
  */
 import { RiddleBase } from './riddle-base.js';
+import { matchAnswer } from '../../utils/answer-match.js';
+import { escapeHtml } from '../../utils/escape-html.js';
 
 export class RiddleText extends RiddleBase {
   static get observedAttributes() {
-    return ['question', 'answer', 'case-sensitive', 'placeholder'];
+    return ['question', 'answer', 'answers', 'case-sensitive', 'fuzzy', 'placeholder'];
+  }
+
+  static get hintTypes() {
+    return {
+      ...super.hintTypes,
+      'first-letter': '첫 글자 알려주기',
+      'length': '글자 수 알려주기'
+    };
+  }
+
+  /**
+   * answer + answers 속성을 합친 허용 정답 목록
+   * @returns {string[]}
+   */
+  getAcceptedAnswers() {
+    let answers = [];
+    try {
+      answers = JSON.parse(this.getAttribute('answers') || '[]');
+    } catch (e) {
+      console.error('Invalid answers JSON:', e);
+    }
+    const answer = this.getAttribute('answer');
+    return [...(answer ? [answer] : []), ...answers.map(String)];
   }
 
   render() {
@@ -30,11 +64,11 @@ export class RiddleText extends RiddleBase {
       </style>
       
       <div class="riddle-container">
-        <div class="riddle-question">${question}</div>
+        <div class="riddle-question">${escapeHtml(question)}</div>
         <input 
           type="text" 
           class="riddle-input" 
-          placeholder="${placeholder}"
+          placeholder="${escapeHtml(placeholder)}"
           autocomplete="off"
           autocapitalize="off"
         >
@@ -59,23 +93,36 @@ export class RiddleText extends RiddleBase {
     });
   }
 
+  getAnswerText() {
+    const answer = this.getAcceptedAnswers()[0];
+    return answer ? `'${answer}'` : null;
+  }
+
+  applyHint(hint) {
+    const answer = (this.getAcceptedAnswers()[0] || '').trim();
+    if (hint.type === 'first-letter' && answer) {
+      return `첫 글자는 '${[...answer][0]}' 이에요!`;
+    }
+    if (hint.type === 'length' && answer) {
+      return `정답은 ${[...answer.replace(/\s+/g, '')].length}글자예요!`;
+    }
+    return super.applyHint(hint);
+  }
+
   validate(userAnswer) {
-    const answer = this.getAttribute('answer') || '';
-    const caseSensitive = this.hasAttribute('case-sensitive');
-    
-    const normalizedUser = caseSensitive 
-      ? userAnswer.trim() 
-      : userAnswer.trim().toLowerCase();
-    const normalizedAnswer = caseSensitive 
-      ? answer.trim() 
-      : answer.trim().toLowerCase();
+    const fuzzyAttr = this.getAttribute('fuzzy');
+    const result = matchAnswer(userAnswer, {
+      answers: this.getAcceptedAnswers(),
+      caseSensitive: this.hasAttribute('case-sensitive'),
+      fuzzy: fuzzyAttr === '' ? 'auto' : fuzzyAttr
+    });
     
-    const correct = normalizedUser === normalizedAnswer;
+    let feedback = '다시 생각해봐요! 💭';
+    if (result.correct) {
+      feedback = result.exact ? '정답이에요! 🎉' : `정답이에요! 정확한 답은 '${result.matched}' 🎉`;
+    }
     
-    return {
-      correct,
-      feedback: correct ? '정답이에요! 🎉' : '다시 생각해봐요! 💭'
-    };
+    return { correct: result.correct, feedback };
   }
 }
 
@@ -0,0 +1,181 @@
+/**
+ * 말로 대답하는 수수께끼 (Web Speech API, ko-KR)
+ *
+ * 사용법:
+ *   <riddle-voice question="빨갛고 동그란 과일은?" answer="사과" answers='["능금"]'></riddle-voice>
+ *
+ * 속성: riddle-text 와 같음 (question, answer, answers, case-sensitive, fuzzy, placeholder)
+ *
+ * 음성 인식(SpeechRecognition)을 쓸 수 없는 환경에서는 riddle-text 와 같은 입력창으로 바뀌고,
+ * 인식이 되는 환경에서도 "글자로 쓸래요"로 입력창을 쓸 수 있다.
+ * 판정은 utils/answer-match.js 의 matchSpokenAnswer (말버릇 제거 + matchAnswer).
+ *
+ * 이벤트:
+ *   - answer-submit: { detail: { answer, correct, feedback } }
+ *     (answer는 인식 후보 문자열 배열 또는 입력한 문자열)
+ */
+import { RiddleText } from './riddle-text.js';
+import { matchSpokenAnswer } from '../../utils/answer-match.js';
+import { escapeHtml } from '../../utils/escape-html.js';
+
+const SpeechRecognitionImpl = typeof window !== 'undefined'
+  ? window.SpeechRecognition || window.webkitSpeechRecognition
+  : undefined;
+
+export class RiddleVoice extends RiddleText {
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this._recognition?.abort();
+  }
+
+  render() {
+    this._recognition?.abort();
+    this._recognition = null;
+
+    if (!SpeechRecognitionImpl || this._typing) {
+      super.render();
+      return;
+    }
+
+    const question = this.getAttribute('question') || '문제가 없습니다';
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        ${this.getBaseStyles()}
+
+        .voice-mic {
+          display: block;
+          width: 96px;
+          height: 96px;
+          margin: 0 auto;
+          font-size: 2.5rem;
+          color: white;
+          background: linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%);
+          border: none;
+          border-radius: 50%;
+          cursor: pointer;
+          box-shadow: 0 4px 14px rgba(99, 102, 241, 0.4);
+        }
+
+        .voice-mic.listening {
+          background: #ef4444;
+          animation: voicePulse 1s ease infinite;
+        }
+
+        @keyframes voicePulse {
+          0%, 100% { box-shadow: 0 0 0 0 rgba(239, 68, 68, 0.5); }
+          50% { box-shadow: 0 0 0 16px rgba(239, 68, 68, 0); }
+        }
+
+        .voice-status {
+          min-height: 1.5rem;
+          margin-top: 1rem;
+          text-align: center;
+          font-size: 1.1rem;
+          color: #475569;
+        }
+
+        .voice-type-btn {
+          display: block;
+          margin: 1rem auto 0;
+          padding: 0.5rem 1rem;
+          font-size: 0.9rem;
+          color: #64748b;
+          background: none;
+          border: 1px solid #cbd5e1;
+          border-radius: 999px;
+          cursor: pointer;
+        }
+      </style>
+
+      <div class="riddle-container">
+        <div class="riddle-question">${escapeHtml(question)}</div>
+        <button class="voice-mic" aria-label="말하기">🎤</button>
+        <div class="voice-status">마이크를 누르고 정답을 말해 보세요!</div>
+        <button class="voice-type-btn">⌨️ 글자로 쓸래요</button>
+      </div>
+    `;
+
+    this.shadowRoot.querySelector('.voice-mic').addEventListener('click', () => this.listen());
+    this.shadowRoot.querySelector('.voice-type-btn').addEventListener('click', () => this.switchToTyping());
+  }
+
+  /**
+   * 입력창으로 바꾸기 — render()가 shadow DOM을 갈아 끼우므로 타이머 링과 이미 보여 준 힌트를 되살린다
+   */
+  switchToTyping() {
+    const hintStyles = this.shadowRoot.querySelector('#hint-styles');
+    const hints = [...this.shadowRoot.querySelectorAll('.riddle-hint')];
+    this._typing = true;
+    this.render();
+    this.mountTimer();
+    if (hintStyles) this.shadowRoot.appendChild(hintStyles);
+    (this.shadowRoot.querySelector('.riddle-container') ?? this.shadowRoot).append(...hints);
+  }
+
+  /**
+   * 한 번 듣고 인식 후보들을 제출
+   */
+  listen() {
+    if (this._recognition) {
+      this._recognition.stop();
+      return;
+    }
+
+    const mic = this.shadowRoot.querySelector('.voice-mic');
+    const recognition = new SpeechRecognitionImpl();
+    recognition.lang = 'ko-KR';
+    recognition.interimResults = false;
+    recognition.maxAlternatives = 5;
+
+    recognition.onstart = () => {
+      mic.classList.add('listening');
+      this.setStatus('듣고 있어요... 👂');
+    };
+    recognition.onresult = (e) => {
+      const transcripts = Array.from(e.results[0] ?? [], alt => alt.transcript);
+      this.submitAnswer(transcripts);
+    };
+    recognition.onerror = (e) => {
+      console.warn('Speech recognition error:', e.error);
+      this.setStatus(e.error === 'not-allowed'
+        ? '마이크를 쓸 수 없어요. 글자로 써 주세요!'
+        : '잘 못 들었어요. 다시 말해 볼까요?');
+    };
+    recognition.onend = () => {
+      mic.classList.remove('listening');
+      if (this._recognition === recognition) this._recognition = null;
+    };
+
+    this._recognition = recognition;
+    recognition.start();
+  }
+
+  setStatus(message) {
+    const status = this.shadowRoot.querySelector('.voice-status');
+    if (status) status.textContent = message;
+  }
+
+  validate(answer) {
+    const transcripts = Array.isArray(answer) ? answer : [answer];
+    const fuzzyAttr = this.getAttribute('fuzzy');
+    const result = matchSpokenAnswer(transcripts, {
+      answers: this.getAcceptedAnswers(),
+      caseSensitive: this.hasAttribute('case-sensitive'),
+      fuzzy: fuzzyAttr === '' ? 'auto' : fuzzyAttr
+    });
+
+    if (result.transcript) this.setStatus(`"${result.transcript}"`);
+
+    let feedback = result.transcript
+      ? `'${result.transcript}' 라고 들었어요. 다시 생각해봐요! 💭`
+      : '다시 생각해봐요! 💭';
+    if (result.correct) {
+      feedback = result.exact ? '정답이에요! 🎉' : `정답이에요! 정확한 답은 '${result.matched}' 🎉`;
+    }
+
+    return { correct: result.correct, feedback };
+  }
+}
+
+customElements.define('riddle-voice', RiddleVoice);
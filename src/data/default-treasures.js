@@ -1,7 +1,13 @@
 /**
  * Levels & Treasures Data Model
  *
- * Stored structure:
+ * Stored in IndexedDB (see level-db.js, images as Blobs) and mirrored in memory,
+ * so reads stay synchronous once initLevelStore() has resolved. Writes update the
+ * mirror at once and persist in the background; failures roll the mirror back
+ * and are reported to onStorageError listeners. Data saved by a newer app
+ * version is left untouched: the store stays empty and refuses writes.
+ *
+ * Structure:
  * {
  *   levels: Level[],
  *   activeLevelId: string | null
@@ -14,67 +20,194 @@
  *   order: number,
  *   initialScore: number,
  *   scoreDecayPerSecond: number,
+ *   hintCost: number,
+ *   maxAttempts: number,          // 0 = unlimited
+ *   wrongPenalty: number,         // points lost per wrong answer
+ *   retryCooldown: number,        // seconds before the next try
+ *   onAttemptsExhausted: 'reveal' | 'skip',
+ *   riddleTimeLimit: number,      // seconds, 0 = untimed (a riddle's own timeLimit wins)
+ *   timeoutAction: 'penalty' | 'skip',
+ *   timeoutPenalty: number,
+ *   proximityMeter: 'off' | 'on' | 'vibrate',  // hot/cold meter in the AR view
  *   items: Treasure[]
  * }
  *
- * Treasure: (unchanged)
+ * Treasure:
  * {
- *   id, order, name, detectedObject?, featureLabel?, featureEmbedding?, marker,
- *   capturedImage?, riddle?, riddleId?, hint
+ *   id, order, name, detectedObject?, featureLabel?, featureEmbedding?,
+ *   capturedImage?, predictions?, sourceWidth?, sourceHeight?,  // capture fields only with capturedImage
+ *   riddle?, riddleId?, riddleRule?, hints?
  * }
+ *
+ * Documents carry schemaVersion; older shapes (root items, single `hint`,
+ * AR.js `marker`, blank placeholder hints) are upgraded by level-migrations.js.
+ *
+ * hints: ordered { type, config, unlockAfter?, cost? } — hint N unlocks after
+ * unlockAfter seconds of searching, or earlier by spending points (see getTreasureHints).
+ * An image hint without src is a crop of capturedImage (blurred via config.blur).
+ *
+ * riddleRule: { category?, difficulty?, type?, packId? } — a fresh bank riddle
+ * is drawn at play time instead of a fixed riddleId
  */
 
+import { loadRiddlePacks, mergeRiddlePacks, packsUsedByLevels } from './riddle-packs.js';
+import { readLevelData, writeLevelData } from './level-db.js';
+import { SCHEMA_VERSION, isNewerSchema, migrateLevelData } from './level-migrations.js';
+import { reportStorageError } from './storage-errors.js';
+import { validateLevelData, validateRiddlePacks } from './level-validation.js';
+import { getAllRiddles } from './riddles/index.js';
+import { verifyLevelPackage } from './level-package.js';
+
+/** Legacy localStorage key (migrated to IndexedDB once, then used only as a fallback) */
 const STORAGE_KEY = 'webar_treasures';
 
 const defaultLevelConfig = {
   initialScore: 1000,
   scoreDecayPerSecond: 1,
+  hintCost: 50,
+  maxAttempts: 0,
+  wrongPenalty: 0,
+  retryCooldown: 0,
+  onAttemptsExhausted: 'reveal',
+  riddleTimeLimit: 0,
+  timeoutAction: 'penalty',
+  timeoutPenalty: 100,
+  proximityMeter: 'off',
   items: []
 };
 
+/** Level gameplay settings (everything in defaultLevelConfig except items) */
+const SETTING_KEYS = Object.keys(defaultLevelConfig).filter((key) => key !== 'items');
+
 /**
- * Load raw data from localStorage (with migration from legacy single-treasures format)
- * @returns {{ levels: Array, activeLevelId: string|null }}
+ * Pick gameplay settings from source, falling back per key
+ * @param {Object} source
+ * @param {Object} fallback
+ * @returns {Object}
  */
-function loadRaw() {
+function pickSettings(source, fallback) {
+  return Object.fromEntries(SETTING_KEYS.map((key) => [key, source?.[key] ?? fallback[key]]));
+}
+
+/**
+ * Read the localStorage document (pre-IndexedDB data, or the fallback store)
+ * @returns {Object|null} Unmigrated document, null when nothing is stored
+ */
+function readLocalStorage() {
   try {
     const stored = localStorage.getItem(STORAGE_KEY);
-    if (!stored) {
-      return { levels: [], activeLevelId: null };
-    }
-    const parsed = JSON.parse(stored);
-    // Legacy: root has items (no levels array) -> migrate to levels
-    if (Array.isArray(parsed.items) && !Array.isArray(parsed.levels)) {
-      const level = {
-        id: 'default',
-        name: '기본',
-        order: 0,
-        initialScore: parsed.initialScore ?? defaultLevelConfig.initialScore,
-        scoreDecayPerSecond: parsed.scoreDecayPerSecond ?? defaultLevelConfig.scoreDecayPerSecond,
-        items: parsed.items || []
-      };
-      return { levels: [level], activeLevelId: 'default' };
-    }
-    return {
-      levels: Array.isArray(parsed.levels) ? parsed.levels : [],
-      activeLevelId: parsed.activeLevelId ?? null
-    };
+    return stored ? JSON.parse(stored) : null;
   } catch (e) {
     console.error('Failed to load levels:', e);
-    return { levels: [], activeLevelId: null };
+    return null;
   }
 }
 
+/** In-memory mirror of the store */
+let cache = { levels: [], activeLevelId: null };
+/** Last state known to be on disk; level objects are compared by reference */
+let committed = { levels: [], activeLevelId: null };
+/** false when IndexedDB could not be opened (localStorage fallback) */
+let useIndexedDb = true;
+/** Serialises background writes */
+let writeQueue = Promise.resolve();
+/** true when the stored data comes from a newer app version (nothing is loaded or written) */
+let newerSchemaStored = false;
+
+export { onStorageError } from './storage-errors.js';
+
 /**
- * Save full levels data
- * @param {{ levels: Array, activeLevelId: string|null }} data
+ * Load levels into memory. Must resolve before any other function here is used.
+ * On first run, copies existing localStorage data into IndexedDB and removes it;
+ * older schema versions are migrated and written back.
+ * @returns {Promise<{ newerSchema: boolean }>} newerSchema: the saved levels come from a
+ *   newer app version, so none are loaded and saving is refused until the app is updated
  */
-function saveRaw(data) {
+export async function initLevelStore() {
+  let stored = null;
   try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    stored = await readLevelData();
   } catch (e) {
-    console.error('Failed to save levels:', e);
+    console.error('IndexedDB unavailable, using localStorage:', e);
+    useIndexedDb = false;
+  }
+  const doc = (useIndexedDb ? stored : null) ?? readLocalStorage() ?? {};
+  if (isNewerSchema(doc)) {
+    console.error(`Stored levels use schema version ${doc.schemaVersion}, this app reads up to ${SCHEMA_VERSION}`);
+    newerSchemaStored = true;
+    return { newerSchema: true };
   }
+
+  const data = migrateLevelData(doc);
+  if (useIndexedDb && stored?.schemaVersion !== SCHEMA_VERSION) {
+    try {
+      await writeLevelData({ put: data.levels, activeLevelId: data.activeLevelId, schemaVersion: SCHEMA_VERSION });
+      if (!stored) localStorage.removeItem(STORAGE_KEY);
+    } catch (e) {
+      console.error('IndexedDB unavailable, using localStorage:', e);
+      useIndexedDb = false;
+    }
+  }
+  cache = { levels: data.levels, activeLevelId: data.activeLevelId };
+  committed = cache;
+  return { newerSchema: false };
+}
+
+/**
+ * Current levels data (in-memory mirror)
+ * @returns {{ levels: Array, activeLevelId: string|null }}
+ */
+function loadRaw() {
+  return cache;
+}
+
+/**
+ * Write state to disk: only levels whose object changed since the last commit
+ * @param {{ levels: Array, activeLevelId: string|null }} data
+ * @returns {Promise<void>}
+ */
+async function persist(data) {
+  if (!useIndexedDb) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ schemaVersion: SCHEMA_VERSION, ...data }));
+    return;
+  }
+  const previous = new Map(committed.levels.map((l) => [l.id, l]));
+  const ids = new Set(data.levels.map((l) => l.id));
+  await writeLevelData({
+    put: data.levels.filter((l) => previous.get(l.id) !== l),
+    remove: [...previous.keys()].filter((id) => !ids.has(id)),
+    activeLevelId: data.activeLevelId,
+    schemaVersion: SCHEMA_VERSION
+  });
+}
+
+/**
+ * Save full levels data. Memory is updated immediately; on a failed write it
+ * rolls back to the last saved state and onStorageError listeners are told.
+ * @param {{ levels: Array, activeLevelId: string|null }} data
+ * @returns {Promise<boolean>} Whether the data reached storage
+ */
+function saveRaw(data) {
+  if (newerSchemaStored) {
+    // Writing would overwrite levels this version cannot read
+    reportStorageError(new Error('Stored levels are from a newer app version'), { newerSchema: true });
+    return Promise.resolve(false);
+  }
+  cache = data;
+  const write = writeQueue.then(async () => {
+    try {
+      await persist(data);
+      committed = data;
+      return true;
+    } catch (e) {
+      console.error('Failed to save levels:', e);
+      if (cache === data) cache = committed;
+      reportStorageError(e);
+      return false;
+    }
+  });
+  writeQueue = write;
+  return write;
 }
 
 /**
@@ -88,9 +221,10 @@ export function loadLevels() {
 /**
  * Save levels and activeLevelId
  * @param {{ levels: Array, activeLevelId: string|null }} data
+ * @returns {Promise<boolean>} Whether the data reached storage
  */
 export function saveLevels(data) {
-  saveRaw(data);
+  return saveRaw(data);
 }
 
 /**
@@ -123,15 +257,16 @@ export function getActiveLevel() {
 function toLegacyShape(level) {
   if (!level) return null;
   return {
-    initialScore: level.initialScore ?? defaultLevelConfig.initialScore,
-    scoreDecayPerSecond: level.scoreDecayPerSecond ?? defaultLevelConfig.scoreDecayPerSecond,
-    items: level.items || []
+    ...pickSettings(level, defaultLevelConfig),
+    // Copy so callers editing the list don't touch the stored level before saving
+    items: [...(level.items || [])]
   };
 }
 
 /**
  * Save a single level (by id). Merges into levels array and saves.
  * @param {Object} level - Full level object with id
+ * @returns {Promise<boolean>} Whether the data reached storage
  */
 export function saveLevel(level) {
   const data = loadRaw();
@@ -142,7 +277,7 @@ export function saveLevel(level) {
   } else {
     levels.push(level);
   }
-  saveRaw({ ...data, levels });
+  return saveRaw({ ...data, levels });
 }
 
 /**
@@ -158,8 +293,7 @@ export function createLevel(name = '새 레벨') {
     id,
     name,
     order,
-    initialScore: defaultLevelConfig.initialScore,
-    scoreDecayPerSecond: defaultLevelConfig.scoreDecayPerSecond,
+    ...pickSettings(null, defaultLevelConfig),
     items: []
   };
   const levels = [...data.levels, level];
@@ -170,17 +304,19 @@ export function createLevel(name = '새 레벨') {
 /**
  * Delete a level by id
  * @param {string} id
+ * @returns {Promise<boolean>} Whether the data reached storage
  */
 export function deleteLevel(id) {
   const data = loadRaw();
   const levels = data.levels.filter((l) => l.id !== id);
   const activeLevelId = data.activeLevelId === id ? (levels[0]?.id ?? null) : data.activeLevelId;
-  saveRaw({ levels, activeLevelId });
+  return saveRaw({ levels, activeLevelId });
 }
 
 /**
  * Reorder levels by array of ids (order becomes index)
  * @param {string[]} orderedIds
+ * @returns {Promise<boolean>} Whether the data reached storage
  */
 export function reorderLevels(orderedIds) {
   const data = loadRaw();
@@ -191,16 +327,28 @@ export function reorderLevels(orderedIds) {
   }).filter(Boolean);
   const rest = data.levels.filter((l) => !orderedIds.includes(l.id));
   const reordered = [...levels, ...rest].sort((a, b) => a.order - b.order);
-  saveRaw({ ...data, levels: reordered });
+  return saveRaw({ ...data, levels: reordered });
 }
 
 /**
  * Set active level id (e.g. after user selects level to play)
  * @param {string|null} id
+ * @returns {Promise<boolean>} Whether the data reached storage
  */
 export function setActiveLevelId(id) {
   const data = loadRaw();
-  saveRaw({ ...data, activeLevelId: id });
+  return saveRaw({ ...data, activeLevelId: id });
+}
+
+/**
+ * Ordered hint steps of a treasure. The first step is always unlocked at 0 seconds.
+ * @param {Object} treasure
+ * @returns {Array<{ type: string, config: Object, unlockAfter: number, cost?: number }>}
+ */
+export function getTreasureHints(treasure) {
+  return (treasure.hints ?? [])
+    .map((hint, i) => ({ ...hint, unlockAfter: i === 0 ? 0 : Math.max(0, Number(hint.unlockAfter) || 0) }))
+    .sort((a, b) => a.unlockAfter - b.unlockAfter);
 }
 
 // --- Compatibility: single "treasures" shape for game and setup ---
@@ -213,12 +361,13 @@ export function setActiveLevelId(id) {
 export function loadTreasures() {
   const level = getActiveLevel();
   if (level) return level;
-  return { ...defaultLevelConfig };
+  return { ...defaultLevelConfig, items: [] };
 }
 
 /**
  * Save current level data (legacy shape). Finds level by activeLevelId or first level.
- * @param {Object} legacy - { initialScore, scoreDecayPerSecond, items }
+ * @param {Object} legacy - { ...level settings (see Level), items }
+ * @returns {Promise<boolean>} Whether the data reached storage
  */
 export function saveTreasures(legacy) {
   const data = loadRaw();
@@ -229,22 +378,18 @@ export function saveTreasures(legacy) {
       id: newLevel.id,
       name: newLevel.name,
       order: 0,
-      initialScore: legacy.initialScore ?? defaultLevelConfig.initialScore,
-      scoreDecayPerSecond: legacy.scoreDecayPerSecond ?? defaultLevelConfig.scoreDecayPerSecond,
+      ...pickSettings(legacy, defaultLevelConfig),
       items: legacy.items || []
     });
-    saveRaw({ levels: loadRaw().levels, activeLevelId: newLevel.id });
-    return;
+    return saveRaw({ levels: loadRaw().levels, activeLevelId: newLevel.id });
   }
   const level = getLevel(targetId);
-  if (level) {
-    saveLevel({
-      ...level,
-      initialScore: legacy.initialScore ?? level.initialScore,
-      scoreDecayPerSecond: legacy.scoreDecayPerSecond ?? level.scoreDecayPerSecond,
-      items: legacy.items ?? level.items
-    });
-  }
+  if (!level) return Promise.resolve(false);
+  return saveLevel({
+    ...level,
+    ...pickSettings(legacy, level),
+    items: legacy.items ?? level.items
+  });
 }
 
 // --- Sample / export / import (operate on full store or active level) ---
@@ -257,23 +402,20 @@ const sampleTreasures = {
       id: 'treasure-1',
       order: 1,
       name: '냉장고 안 보물',
-      marker: { type: 'pattern', patternUrl: '/markers/marker-0.patt' },
       riddleId: 'math-001',
-      hint: { type: 'text', config: { value: '차가운 곳을 찾아봐! 음식을 보관하는 곳이야.' } }
+      hints: [{ type: 'text', config: { value: '차가운 곳을 찾아봐! 음식을 보관하는 곳이야.' } }]
     },
     {
       id: 'treasure-2',
       order: 2,
       name: '신발장 보물',
-      marker: { type: 'pattern', patternUrl: '/markers/marker-1.patt' },
       riddleId: 'nonsense-001',
-      hint: { type: 'text', config: { value: '밖에 나갈 때 신는 것을 보관하는 곳이야!' } }
+      hints: [{ type: 'text', config: { value: '밖에 나갈 때 신는 것을 보관하는 곳이야!' } }]
     },
     {
       id: 'treasure-3',
       order: 3,
       name: '책상 서랍 보물',
-      marker: { type: 'pattern', patternUrl: '/markers/marker-2.patt' },
       riddle: {
         type: 'choice',
         config: {
@@ -282,7 +424,7 @@ const sampleTreasures = {
           answerIndex: 1
         }
       },
-      hint: { type: 'text', config: { value: '축하해! 마지막 보물을 찾았어!' } }
+      hints: [{ type: 'text', config: { value: '축하해! 마지막 보물을 찾았어!' } }]
     }
   ]
 };
@@ -311,10 +453,10 @@ export function clearTreasures() {
 }
 
 /**
- * Export data as JSON (full levels structure)
+ * Export data as JSON (full levels structure + riddle packs so riddleId keeps resolving)
  */
 export function exportTreasures() {
-  const data = loadRaw();
+  const data = { schemaVersion: SCHEMA_VERSION, ...loadRaw(), riddlePacks: loadRiddlePacks() };
   const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
@@ -325,40 +467,239 @@ export function exportTreasures() {
 }
 
 /**
- * Import from JSON file (full levels or legacy single level)
+ * @typedef {Object} ImportPlan
+ * @property {boolean} append - Legacy single-level file: can only be merged in, as a new level
+ * @property {string|null} activeLevelId
+ * @property {Array<{ level: string, treasure?: string, field: string, message: string }>} errors
+ * @property {Array} levels - Levels that pass validation (invalid treasures left out)
+ * @property {Array} riddlePacks - Riddle packs without invalid riddles
+ * @property {number} droppedTreasures - Treasures left out by a partial import
+ */
+
+/**
+ * Read an exported JSON file (full export, level package or legacy single level).
+ * Nothing is saved; pass the plan to importTreasures.
  * @param {File} file
- * @returns {Promise<Object>}
- */
-export function importTreasures(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const parsed = JSON.parse(e.target.result);
-        if (Array.isArray(parsed.levels)) {
-          saveRaw({ levels: parsed.levels, activeLevelId: parsed.activeLevelId ?? null });
-          resolve(loadRaw());
-        } else if (Array.isArray(parsed.items)) {
-          const level = {
-            id: `level-${Date.now()}`,
-            name: '가져온 레벨',
-            order: 0,
-            initialScore: parsed.initialScore ?? defaultLevelConfig.initialScore,
-            scoreDecayPerSecond: parsed.scoreDecayPerSecond ?? defaultLevelConfig.scoreDecayPerSecond,
-            items: parsed.items
-          };
-          const data = loadRaw();
-          const levels = [...data.levels, level];
-          saveRaw({ levels, activeLevelId: level.id });
-          resolve(getLevel(level.id));
-        } else {
-          reject(new Error('Invalid format'));
-        }
-      } catch (err) {
-        reject(err);
-      }
+ * @returns {Promise<ImportPlan>}
+ * @throws {Error} See prepareImport; also when the file is not JSON
+ */
+export async function readImportFile(file) {
+  return prepareImport(JSON.parse(await file.text()));
+}
+
+/**
+ * Migrate an exported document (file or share code) to the current schema and validate it
+ * @param {Object} parsed
+ * @returns {Promise<ImportPlan>}
+ * @throws {Error} When it has no levels/items, fails its package checksum, or is from a newer app version
+ */
+export async function prepareImport(parsed) {
+  if (!Array.isArray(parsed?.levels) && !Array.isArray(parsed?.items)) {
+    throw new Error('Invalid format');
+  }
+  if (!(await verifyLevelPackage(parsed))) {
+    throw new Error('Checksum mismatch');
+  }
+  const migrated = migrateLevelData(parsed);
+  const packs = validateRiddlePacks(parsed.riddlePacks);
+  const riddleIds = new Set([
+    ...getAllRiddles(),
+    ...packs.packs.flatMap((pack) => pack.items)
+  ].map((r) => r.id));
+  const result = validateLevelData(migrated, { riddleIds });
+  const append = !Array.isArray(parsed.levels);
+  return {
+    append,
+    activeLevelId: migrated.activeLevelId,
+    errors: [...packs.errors, ...result.errors],
+    levels: append
+      ? result.levels.map((level) => ({ ...level, id: `level-${Date.now()}`, name: '가져온 레벨' }))
+      : result.levels,
+    riddlePacks: packs.packs,
+    droppedTreasures: result.droppedTreasures
+  };
+}
+
+/**
+ * Name for a merged-in level whose id is already taken
+ * @param {string} name
+ * @returns {string}
+ */
+function importedCopyName(name) {
+  return `${name || '레벨'} (가져옴)`;
+}
+
+/**
+ * What an import would do to each level of the plan (for the pre-import preview)
+ * @param {ImportPlan} plan
+ * @returns {Array<{ id: string, name: string, treasures: string[], existingName: string|null, copyName: string,
+ *   added: string[], changed: string[], removed: string[], unchanged: number }>}
+ *   existingName is set when a saved level has the same id (copyName is used when it is
+ *   renamed); treasure lists hold names and compare the incoming level with that saved level
+ */
+export function getImportPreview(plan) {
+  const { levels } = loadRaw();
+  return plan.levels.map((incoming) => {
+    const existing = levels.find((l) => l.id === incoming.id);
+    const existingById = new Map((existing?.items || []).map((t) => [t.id, t]));
+    const incomingIds = new Set(incoming.items.map((t) => t.id));
+    const added = [];
+    const changed = [];
+    let unchanged = 0;
+    for (const treasure of incoming.items) {
+      const current = existingById.get(treasure.id);
+      if (!current) added.push(treasure.name);
+      else if (JSON.stringify({ ...current, order: 0 }) !== JSON.stringify({ ...treasure, order: 0 })) changed.push(treasure.name);
+      else unchanged++;
+    }
+    return {
+      id: incoming.id,
+      name: incoming.name,
+      treasures: incoming.items.map((t) => t.name),
+      existingName: existing ? (existing.name || '') : null,
+      copyName: importedCopyName(incoming.name),
+      added,
+      changed,
+      removed: (existing?.items || []).filter((t) => !incomingIds.has(t.id)).map((t) => t.name),
+      unchanged
     };
-    reader.onerror = reject;
-    reader.readAsText(file);
   });
 }
+
+/**
+ * Whether two riddles ask the same thing (ids, pack and category aside)
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function sameRiddle(a, b) {
+  return a.type === b.type && JSON.stringify(a.config) === JSON.stringify(b.config);
+}
+
+/**
+ * Levels of a plan that an import adds or overwrites (merge leaves out levels resolved as 'skip')
+ * @param {ImportPlan} plan
+ * @param {{ mode?: 'merge'|'replace', resolutions?: Object<string, 'rename'|'overwrite'|'skip'> }} [opts]
+ * @returns {Array}
+ */
+export function getImportedLevels(plan, opts = {}) {
+  if (opts.mode === 'replace' && !plan.append) return plan.levels;
+  const savedLevelIds = new Set(loadRaw().levels.map((l) => l.id));
+  return plan.levels.filter((level) => !savedLevelIds.has(level.id)
+    || (opts.resolutions?.[level.id] ?? 'rename') !== 'skip');
+}
+
+/**
+ * Riddle packs an import brings in: only the riddles used by levels that are actually
+ * imported (not skipped). A riddle whose id is taken by a different saved or bundled
+ * riddle is added under a new id and the imported levels point at the copy; the saved
+ * riddle is left as it is.
+ * @param {ImportPlan} plan
+ * @param {{ mode?: 'merge'|'replace', resolutions?: Object<string, 'rename'|'overwrite'|'skip'> }} opts
+ * @returns {{ levels: Array, riddlePacks: Array,
+ *   collisions: Array<{ id: string, newId: string, question: string, packName: string }> }}
+ *   levels: all plan levels with riddleId pointing at renamed copies
+ */
+function resolveImportRiddles(plan, opts) {
+  const imported = getImportedLevels(plan, opts);
+
+  const savedRiddles = new Map(getAllRiddles().map((r) => [r.id, r]));
+  const stamp = Date.now().toString(36);
+  const newIds = new Map();
+  const collisions = [];
+  const riddlePacks = packsUsedByLevels(plan.riddlePacks, imported).map((pack) => ({
+    ...pack,
+    items: pack.items.map((riddle) => {
+      const existing = savedRiddles.get(riddle.id);
+      if (!existing || sameRiddle(existing, riddle)) return riddle;
+      const newId = `${riddle.id}-${stamp}-${collisions.length}`;
+      newIds.set(riddle.id, newId);
+      collisions.push({
+        id: riddle.id,
+        newId,
+        question: riddle.config?.question || riddle.config?.instruction || riddle.type,
+        packName: pack.name || ''
+      });
+      return { ...riddle, id: newId };
+    })
+  }));
+
+  const levels = newIds.size === 0 ? plan.levels : plan.levels.map((level) => ({
+    ...level,
+    items: level.items.map((t) => (newIds.has(t.riddleId) ? { ...t, riddleId: newIds.get(t.riddleId) } : t))
+  }));
+  return { levels, riddlePacks, collisions };
+}
+
+/**
+ * Imported riddles whose id is already used by a different riddle (for the pre-import
+ * preview); they are imported as copies under a new id
+ * @param {ImportPlan} plan
+ * @param {{ mode?: 'merge'|'replace', resolutions?: Object<string, 'rename'|'overwrite'|'skip'> }} [opts]
+ * @returns {Array<{ id: string, newId: string, question: string, packName: string }>}
+ */
+export function getImportRiddleCollisions(plan, opts = {}) {
+  return resolveImportRiddles(plan, opts).collisions;
+}
+
+/**
+ * Merge imported levels into the saved ones
+ * @param {Array} incoming - Validated levels
+ * @param {Object<string, 'rename'|'overwrite'|'skip'>} resolutions - For ids that already exist (default rename)
+ * @returns {{ levels: Array, activeLevelId: string|null }}
+ */
+function mergeLevels(incoming, resolutions) {
+  const data = loadRaw();
+  const levels = [...data.levels];
+  incoming.forEach((level, i) => {
+    const idx = levels.findIndex((l) => l.id === level.id);
+    if (idx < 0) {
+      levels.push({ ...level, order: levels.length });
+      return;
+    }
+    const resolution = resolutions[level.id] ?? 'rename';
+    if (resolution === 'overwrite') {
+      levels[idx] = { ...level, order: levels[idx].order };
+    } else if (resolution === 'rename') {
+      levels.push({
+        ...level,
+        id: `level-${Date.now()}-${i}`,
+        name: importedCopyName(level.name),
+        order: levels.length
+      });
+    }
+  });
+  return { levels, activeLevelId: data.activeLevelId ?? levels[0]?.id ?? null };
+}
+
+/**
+ * Save a checked import. A plan with errors is only imported when partial is set
+ * (the valid part); otherwise it is refused.
+ * - merge (default): keep saved levels; a level whose id is already saved is
+ *   renamed (added as a copy), overwrites the saved one, or is skipped, per resolutions
+ * - replace: saved levels are removed first (not available for legacy single-level files)
+ * Only the riddle packs used by imported levels are merged in (see resolveImportRiddles),
+ * before the levels are saved so a saved level never points at a missing riddle.
+ * @param {ImportPlan} plan - From readImportFile
+ * @param {{ partial?: boolean, mode?: 'merge'|'replace',
+ *   resolutions?: Object<string, 'rename'|'overwrite'|'skip'> }} [opts]
+ * @returns {Promise<boolean>} Whether the levels and their riddle packs were imported and saved
+ */
+export async function importTreasures(plan, opts = {}) {
+  if (plan.errors.length > 0 && !opts.partial) return false;
+  if (plan.levels.length === 0) return false;
+
+  const { levels, riddlePacks } = resolveImportRiddles(plan, opts);
+  if (!mergeRiddlePacks(riddlePacks)) return false;
+
+  let data;
+  if (opts.mode === 'replace' && !plan.append) {
+    const activeLevelId = levels.some((l) => l.id === plan.activeLevelId)
+      ? plan.activeLevelId
+      : levels[0].id;
+    data = { levels: levels.map((level, order) => ({ ...level, order })), activeLevelId };
+  } else {
+    data = mergeLevels(levels, opts.resolutions ?? {});
+  }
+  return saveRaw(data);
+}
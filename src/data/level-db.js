@@ -0,0 +1,156 @@
+/**
+ * IndexedDB persistence for levels
+ *
+ * Stores:
+ *   levels: one record per Level (keyPath id)
+ *   meta:   activeLevelId (absent until the store has been initialised), schemaVersion
+ *
+ * base64 data URLs inside a level (captured photos, jigsaw images, hint
+ * audio/video) are kept as Blobs on disk and turned back into data URLs on read,
+ * so the rest of the app keeps working with plain strings.
+ */
+
+import { blobToDataUrl, dataUrlToBlob } from '../utils/image-data-url.js';
+
+const DB_NAME = 'webar_treasures';
+const DB_VERSION = 1;
+const LEVEL_STORE = 'levels';
+const META_STORE = 'meta';
+const ACTIVE_LEVEL_KEY = 'activeLevelId';
+const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+const BASE64_DATA_URL = /^data:[^,]*;base64,/;
+
+let dbPromise = null;
+
+/**
+ * Open (and create on first use) the levels database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(LEVEL_STORE)) {
+          db.createObjectStore(LEVEL_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolves when the transaction commits; rejects with its error (e.g. QuotaExceededError)
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort = () => reject(tx.error ?? new DOMException('Transaction aborted', 'AbortError'));
+  });
+}
+
+/**
+ * Replace base64 data URLs with Blobs (deep)
+ * @param {*} value
+ * @returns {*}
+ */
+function packMedia(value) {
+  if (typeof value === 'string') {
+    return BASE64_DATA_URL.test(value) ? dataUrlToBlob(value) : value;
+  }
+  if (Array.isArray(value)) return value.map(packMedia);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, packMedia(v)]));
+  }
+  return value;
+}
+
+/**
+ * Replace Blobs with data URLs (deep)
+ * @param {*} value
+ * @returns {Promise<*>}
+ */
+async function unpackMedia(value) {
+  if (value instanceof Blob) return blobToDataUrl(value);
+  if (Array.isArray(value)) return Promise.all(value.map(unpackMedia));
+  if (value && typeof value === 'object') {
+    const entries = await Promise.all(
+      Object.entries(value).map(async ([key, v]) => [key, await unpackMedia(v)])
+    );
+    return Object.fromEntries(entries);
+  }
+  return value;
+}
+
+/**
+ * Whether an error means the browser refused to store more data
+ * @param {*} err
+ * @returns {boolean}
+ */
+export function isQuotaError(err) {
+  return err?.name === 'QuotaExceededError' || err?.name === 'NS_ERROR_DOM_QUOTA_REACHED';
+}
+
+/**
+ * Read all levels
+ * @returns {Promise<{ schemaVersion: number, levels: Array, activeLevelId: string|null }|null>} null when never initialised
+ */
+export async function readLevelData() {
+  const db = await openDb();
+  const tx = db.transaction([LEVEL_STORE, META_STORE], 'readonly');
+  const meta = tx.objectStore(META_STORE);
+  const [records, activeLevelId, schemaVersion] = await Promise.all([
+    requestResult(tx.objectStore(LEVEL_STORE).getAll()),
+    requestResult(meta.get(ACTIVE_LEVEL_KEY)),
+    requestResult(meta.get(SCHEMA_VERSION_KEY))
+  ]);
+  if (activeLevelId === undefined && records.length === 0) return null;
+  return {
+    schemaVersion: schemaVersion ?? 0,
+    levels: await Promise.all(records.map(unpackMedia)),
+    activeLevelId: activeLevelId ?? null
+  };
+}
+
+/**
+ * Write changed levels, delete removed ones and store activeLevelId / schemaVersion in one transaction
+ * @param {{ put?: Array, remove?: string[], activeLevelId: string|null, schemaVersion: number }} changes
+ * @returns {Promise<void>}
+ */
+export async function writeLevelData({ put = [], remove = [], activeLevelId, schemaVersion }) {
+  const records = put.map(packMedia);
+  const db = await openDb();
+  const tx = db.transaction([LEVEL_STORE, META_STORE], 'readwrite');
+  const levelStore = tx.objectStore(LEVEL_STORE);
+  records.forEach((record) => levelStore.put(record));
+  remove.forEach((id) => levelStore.delete(id));
+  const meta = tx.objectStore(META_STORE);
+  meta.put(activeLevelId ?? null, ACTIVE_LEVEL_KEY);
+  meta.put(schemaVersion, SCHEMA_VERSION_KEY);
+  return transactionDone(tx);
+}
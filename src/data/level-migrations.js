@@ -0,0 +1,113 @@
+/**
+ * Schema migrations for saved levels
+ *
+ * The stored / exported document carries a schemaVersion. A document without one
+ * is version 0. MIGRATIONS[i] upgrades version i to i + 1; each step only knows
+ * about the shape it receives and must never change once released (append a new
+ * step instead).
+ *
+ * Used on load (initLevelStore) and on import (importTreasures).
+ */
+
+/**
+ * @typedef {{ schemaVersion?: number, levels?: Array, activeLevelId?: string|null, items?: Array }} LevelDocument
+ */
+
+/**
+ * Apply fn to every treasure of every level
+ * @param {LevelDocument} doc
+ * @param {(treasure: Object) => Object} fn
+ * @returns {LevelDocument}
+ */
+function mapTreasures(doc, fn) {
+  return {
+    ...doc,
+    levels: doc.levels.map((level) => ({ ...level, items: (level.items || []).map(fn) }))
+  };
+}
+
+/** Ordered steps; exported for the fixture tests */
+export const MIGRATIONS = [
+  // 0 -> 1: single treasure list at the root becomes one level
+  (doc) => {
+    if (Array.isArray(doc.levels) || !Array.isArray(doc.items)) {
+      return {
+        levels: Array.isArray(doc.levels) ? doc.levels : [],
+        activeLevelId: doc.activeLevelId ?? null
+      };
+    }
+    return {
+      levels: [{
+        id: 'default',
+        name: '기본',
+        order: 0,
+        initialScore: doc.initialScore ?? 1000,
+        scoreDecayPerSecond: doc.scoreDecayPerSecond ?? 1,
+        items: doc.items
+      }],
+      activeLevelId: 'default'
+    };
+  },
+
+  // 1 -> 2: single `hint` becomes the first of ordered `hints`
+  (doc) => mapTreasures(doc, (treasure) => {
+    if (!('hint' in treasure)) return treasure;
+    const { hint, ...rest } = treasure;
+    return { ...rest, hints: rest.hints ?? (hint ? [hint] : []) };
+  }),
+
+  // 2 -> 3: drop the unused AR.js `marker`, and capture fields that no longer
+  // describe a photo (no capturedImage) or are empty
+  (doc) => mapTreasures(doc, (treasure) => {
+    const { marker, ...rest } = treasure;
+    if (!rest.capturedImage) {
+      delete rest.predictions;
+      delete rest.sourceWidth;
+      delete rest.sourceHeight;
+    }
+    if (!Array.isArray(rest.featureEmbedding) || rest.featureEmbedding.length === 0) {
+      delete rest.featureEmbedding;
+    }
+    return rest;
+  }),
+
+  // 3 -> 4: drop blank text hints. Old setup filled the hint with the next
+  // treasure's name, so the last treasure got { type: 'text', config: { value: '' } }
+  (doc) => mapTreasures(doc, (treasure) => {
+    if (!Array.isArray(treasure.hints)) return treasure;
+    const hints = treasure.hints.filter((hint) => !(hint?.type === 'text'
+      && typeof hint.config?.value === 'string' && hint.config.value.trim() === ''));
+    return hints.length === treasure.hints.length ? treasure : { ...treasure, hints };
+  })
+];
+
+/** Schema version written by this build */
+export const SCHEMA_VERSION = MIGRATIONS.length;
+
+/**
+ * Whether a document was written by a newer version of the app (migrateLevelData would throw)
+ * @param {LevelDocument} doc
+ * @returns {boolean}
+ */
+export function isNewerSchema(doc) {
+  return (Number(doc?.schemaVersion) || 0) > SCHEMA_VERSION;
+}
+
+/**
+ * Upgrade a stored or imported document to SCHEMA_VERSION
+ * @param {LevelDocument} doc
+ * @returns {{ schemaVersion: number, levels: Array, activeLevelId: string|null }}
+ * @throws {Error} When the document comes from a newer version of the app
+ */
+export function migrateLevelData(doc) {
+  const from = Number(doc?.schemaVersion) || 0;
+  if (isNewerSchema(doc)) {
+    throw new Error(`Unsupported schema version ${from} (this app reads up to ${SCHEMA_VERSION})`);
+  }
+  const migrated = MIGRATIONS.slice(from).reduce((current, migrate) => migrate(current), doc);
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    levels: migrated.levels,
+    activeLevelId: migrated.activeLevelId ?? null
+  };
+}
@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import { MIGRATIONS, SCHEMA_VERSION, isNewerSchema, migrateLevelData } from './level-migrations.js';
+import v0RootItems from './__fixtures__/migrations/v0-root-items.json';
+import v1SingleHint from './__fixtures__/migrations/v1-single-hint.json';
+import v2MarkerCapture from './__fixtures__/migrations/v2-marker-capture.json';
+import baselineExport from './__fixtures__/migrations/baseline-export.json';
+
+describe('MIGRATIONS[0]: root items -> levels', () => {
+  it('wraps a root treasure list into one default level', () => {
+    expect(MIGRATIONS[0](v0RootItems)).toEqual({
+      levels: [{
+        id: 'default',
+        name: '기본',
+        order: 0,
+        initialScore: 500,
+        scoreDecayPerSecond: 2,
+        items: v0RootItems.items
+      }],
+      activeLevelId: 'default'
+    });
+  });
+
+  it('keeps a document that already has levels', () => {
+    const doc = { levels: [{ id: 'a', items: [] }], activeLevelId: 'a' };
+    expect(MIGRATIONS[0](doc)).toEqual(doc);
+  });
+
+  it('turns an empty document into no levels', () => {
+    expect(MIGRATIONS[0]({})).toEqual({ levels: [], activeLevelId: null });
+  });
+});
+
+describe('MIGRATIONS[1]: hint -> hints', () => {
+  const [t1, t2, t3] = MIGRATIONS[1](v1SingleHint).levels[0].items;
+
+  it('moves a single hint into the hints list', () => {
+    expect(t1).toEqual({ id: 't1', name: '소파', hints: [{ type: 'text', config: { value: '푹신한 곳!' } }] });
+  });
+
+  it('drops an empty hint', () => {
+    expect(t2).toEqual({ id: 't2', name: '책장', hints: [] });
+  });
+
+  it('leaves treasures that already use hints alone', () => {
+    expect(t3).toEqual(v1SingleHint.levels[0].items[2]);
+  });
+});
+
+describe('MIGRATIONS[2]: marker and orphan capture fields', () => {
+  const [withPhoto, withoutPhoto] = MIGRATIONS[2](v2MarkerCapture).levels[0].items;
+
+  it('drops marker but keeps capture fields that belong to a photo', () => {
+    expect(withPhoto).not.toHaveProperty('marker');
+    expect(withPhoto).toMatchObject({
+      capturedImage: 'data:image/jpeg;base64,AAAA',
+      sourceWidth: 640,
+      sourceHeight: 480,
+      featureEmbedding: [0.1, 0.2]
+    });
+    expect(withPhoto.predictions).toHaveLength(1);
+  });
+
+  it('strips capture fields without a photo and empty embeddings', () => {
+    expect(withoutPhoto).toEqual({ id: 't2', name: '사진 없는 보물', hints: [] });
+  });
+});
+
+describe('MIGRATIONS[3]: blank text hints', () => {
+  it('drops the empty hint old setup gave the last treasure', () => {
+    const doc = {
+      levels: [{
+        id: 'a',
+        items: [
+          { id: 't1', hints: [{ type: 'text', config: { value: '  ' } }, { type: 'audio', config: { src: 'x' } }] },
+          { id: 't2', hints: [{ type: 'text', config: { value: '소파' } }] }
+        ]
+      }]
+    };
+    const [t1, t2] = MIGRATIONS[3](doc).levels[0].items;
+    expect(t1.hints).toEqual([{ type: 'audio', config: { src: 'x' } }]);
+    expect(t2).toBe(doc.levels[0].items[1]);
+  });
+});
+
+describe('migrateLevelData', () => {
+  it('runs every step from version 0', () => {
+    const legacy = {
+      items: [{
+        id: 't1',
+        name: '신발장',
+        marker: { type: 'pattern', patternUrl: '/markers/marker-1.patt' },
+        sourceWidth: 320,
+        hint: { type: 'text', config: { value: '밖에 나갈 때!' } }
+      }]
+    };
+    expect(migrateLevelData(legacy)).toEqual({
+      schemaVersion: SCHEMA_VERSION,
+      levels: [{
+        id: 'default',
+        name: '기본',
+        order: 0,
+        initialScore: 1000,
+        scoreDecayPerSecond: 1,
+        items: [{ id: 't1', name: '신발장', hints: [{ type: 'text', config: { value: '밖에 나갈 때!' } }] }]
+      }],
+      activeLevelId: 'default'
+    });
+  });
+
+  it('upgrades a file exported by the first levels version', () => {
+    const [first, last] = migrateLevelData(baselineExport).levels[0].items;
+    expect(first.hints).toEqual([{ type: 'text', config: { value: '소파' } }]);
+    expect(last.hints).toEqual([]);
+    expect(last).not.toHaveProperty('hint');
+    expect(last).not.toHaveProperty('marker');
+  });
+
+  it('starts from the stored schemaVersion', () => {
+    const current = { schemaVersion: SCHEMA_VERSION, levels: [{ id: 'a', items: [{ id: 't', hint: 'kept' }] }], activeLevelId: 'a' };
+    expect(migrateLevelData(current).levels).toEqual(current.levels);
+  });
+
+  it('throws for a document from a newer version', () => {
+    expect(() => migrateLevelData({ schemaVersion: SCHEMA_VERSION + 1, levels: [] }))
+      .toThrow(/Unsupported schema version/);
+  });
+});
+
+describe('isNewerSchema', () => {
+  it('is true only above SCHEMA_VERSION', () => {
+    expect(isNewerSchema({ schemaVersion: SCHEMA_VERSION + 1 })).toBe(true);
+    expect(isNewerSchema({ schemaVersion: SCHEMA_VERSION })).toBe(false);
+    expect(isNewerSchema({ items: [] })).toBe(false);
+  });
+});
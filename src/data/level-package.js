@@ -0,0 +1,238 @@
+/**
+ * Single-level packages and share codes
+ *
+ * Package: one self-contained JSON file per level
+ * {
+ *   format: 'webar-level-package', packageVersion: 1, schemaVersion, createdAt,
+ *   checksum,          // SHA-256 (hex) of { schemaVersion, levels, riddlePacks }
+ *   levels: [Level],   // photos re-encoded as JPEG, optionally downscaled
+ *   riddlePacks        // only the packs this level's riddles come from
+ * }
+ * It has the same shape as a full export, so readImportFile takes it as is.
+ *
+ * Share code: a level without photos or recordings, deflated and base64url-encoded,
+ * carried in a URL fragment (#level=<code>) that main.js picks up on load.
+ */
+
+import { loadImage, imageToDataUrl } from '../utils/image-data-url.js';
+import { loadRiddlePacks, packsUsedByLevels } from './riddle-packs.js';
+import { SCHEMA_VERSION } from './level-migrations.js';
+
+export const PACKAGE_FORMAT = 'webar-level-package';
+const PACKAGE_VERSION = 1;
+
+/** URL fragment key for share codes */
+const SHARE_HASH_KEY = 'level';
+/** Longest share code offered as a link (keeps URLs usable in chat apps) */
+export const MAX_SHARE_CODE_LENGTH = 2000;
+
+const REENCODABLE_IMAGE = /^data:image\/(jpeg|png|webp);base64,/;
+
+/**
+ * Re-encode every photo in a value as JPEG (deep), keeping whichever is smaller
+ * @param {*} value
+ * @param {{ maxSize?: number }} opts - maxSize: longest side in px (default: keep size)
+ * @returns {Promise<*>}
+ */
+async function reencodeImages(value, opts) {
+  if (typeof value === 'string') {
+    if (!REENCODABLE_IMAGE.test(value)) return value;
+    try {
+      const img = await loadImage(value);
+      const encoded = imageToDataUrl(img, {
+        maxSize: opts.maxSize ?? Math.max(img.naturalWidth, img.naturalHeight),
+        quality: 0.8
+      });
+      return encoded.length < value.length ? encoded : value;
+    } catch (e) {
+      console.warn('Image re-encode failed, keeping original:', e);
+      return value;
+    }
+  }
+  if (Array.isArray(value)) return Promise.all(value.map((v) => reencodeImages(v, opts)));
+  if (value && typeof value === 'object') {
+    const entries = await Promise.all(
+      Object.entries(value).map(async ([key, v]) => [key, await reencodeImages(v, opts)])
+    );
+    return Object.fromEntries(entries);
+  }
+  return value;
+}
+
+/**
+ * Saved riddle packs referenced by a level (riddleId from a pack, or riddleRule.packId)
+ * @param {Object} level
+ * @returns {Array}
+ */
+function packsUsedBy(level) {
+  return packsUsedByLevels(loadRiddlePacks(), [level]);
+}
+
+/**
+ * SHA-256 hex of the package content (null where Web Crypto is unavailable, e.g. plain http)
+ * @param {{ schemaVersion: number, levels: Array, riddlePacks: Array }} content
+ * @returns {Promise<string|null>}
+ */
+async function computeChecksum({ schemaVersion, levels, riddlePacks }) {
+  if (!globalThis.crypto?.subtle) return null;
+  const bytes = new TextEncoder().encode(JSON.stringify({ schemaVersion, levels, riddlePacks }));
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Build a single-level package
+ * @param {Object} level - Stored level
+ * @param {{ maxImageSize?: number }} [opts] - Longest photo side in px (default: keep size)
+ * @returns {Promise<Object>}
+ */
+export async function buildLevelPackage(level, opts = {}) {
+  const levels = [await reencodeImages(level, { maxSize: opts.maxImageSize })];
+  const riddlePacks = packsUsedBy(level);
+  return {
+    format: PACKAGE_FORMAT,
+    packageVersion: PACKAGE_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    createdAt: new Date().toISOString(),
+    checksum: await computeChecksum({ schemaVersion: SCHEMA_VERSION, levels, riddlePacks }),
+    levels,
+    riddlePacks
+  };
+}
+
+/**
+ * Build and download a single-level package
+ * @param {Object} level
+ * @param {{ maxImageSize?: number }} [opts]
+ * @returns {Promise<void>}
+ */
+export async function downloadLevelPackage(level, opts = {}) {
+  const pkg = await buildLevelPackage(level, opts);
+  const blob = new Blob([JSON.stringify(pkg)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${(level.name || 'level').replace(/[\\/:*?"<>|]+/g, '_')}.webar.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Check a package's checksum (documents that are not packages, or have no checksum, pass)
+ * @param {Object} doc - Parsed file
+ * @returns {Promise<boolean>}
+ */
+export async function verifyLevelPackage(doc) {
+  if (doc?.format !== PACKAGE_FORMAT || !doc.checksum) return true;
+  const checksum = await computeChecksum(doc);
+  return checksum == null || checksum === doc.checksum;
+}
+
+// --- Share code ---
+
+/**
+ * bytes → base64url
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach((b) => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * base64url → bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+/**
+ * Run bytes through a CompressionStream / DecompressionStream
+ * @param {Uint8Array} bytes
+ * @param {CompressionStream|DecompressionStream} stream
+ * @returns {Promise<Uint8Array>}
+ */
+async function pipeBytes(bytes, stream) {
+  const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+  return new Uint8Array(buffer);
+}
+
+/**
+ * Whether a level can travel as a share code: no photos or recordings (no data URLs)
+ * @param {Object} level
+ * @returns {boolean}
+ */
+export function canShareAsCode(level) {
+  return !JSON.stringify(level).includes('"data:')
+    && (level.items || []).every((t) => !t.capturedImage);
+}
+
+/**
+ * Encode a level as a share code. 'z' prefix: deflate-raw, 'j': plain JSON (no CompressionStream).
+ * @param {Object} level
+ * @returns {Promise<string|null>} null when the level has photos/recordings or the code is too long
+ */
+export async function encodeShareCode(level) {
+  if (!canShareAsCode(level)) return null;
+  const { id, name, order, ...rest } = level;
+  const doc = {
+    schemaVersion: SCHEMA_VERSION,
+    levels: [{ id, name, ...rest }],
+    riddlePacks: packsUsedBy(level)
+  };
+  const bytes = new TextEncoder().encode(JSON.stringify(doc));
+  const code = typeof CompressionStream === 'function'
+    ? `z${toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')))}`
+    : `j${toBase64Url(bytes)}`;
+  return code.length <= MAX_SHARE_CODE_LENGTH ? code : null;
+}
+
+/**
+ * Decode a share code back into an importable document ({ schemaVersion, levels, riddlePacks })
+ * @param {string} code
+ * @returns {Promise<Object>}
+ * @throws {Error} When the code is damaged
+ */
+export async function decodeShareCode(code) {
+  const bytes = fromBase64Url(code.slice(1));
+  let json;
+  if (code[0] === 'z') {
+    if (typeof DecompressionStream !== 'function') throw new Error('DecompressionStream is not available');
+    json = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+  } else if (code[0] === 'j') {
+    json = bytes;
+  } else {
+    throw new Error('Unknown share code');
+  }
+  return JSON.parse(new TextDecoder().decode(json));
+}
+
+/**
+ * Link that opens the app with the share code
+ * @param {string} code
+ * @returns {string}
+ */
+export function getShareUrl(code) {
+  return `${location.origin}${location.pathname}#${SHARE_HASH_KEY}=${code}`;
+}
+
+/**
+ * Share code in the current URL fragment, if any
+ * @returns {string|null}
+ */
+export function readShareCodeFromUrl() {
+  const params = new URLSearchParams(location.hash.slice(1));
+  return params.get(SHARE_HASH_KEY);
+}
+
+/**
+ * Remove the share code from the address bar (without reloading)
+ */
+export function clearShareCodeFromUrl() {
+  history.replaceState(null, '', `${location.pathname}${location.search}`);
+}
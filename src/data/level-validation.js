@@ -0,0 +1,306 @@
+/**
+ * Validation of imported level files
+ *
+ * Runs on a migrated document (see level-migrations.js) and checks Level
+ * settings, Treasures, riddle configs (per type) and hint configs (per type).
+ * Every problem becomes one { level, treasure?, field, message } entry so
+ * setup can list them; the result also carries a cleaned copy for a partial
+ * import: bad settings fall back to defaults, treasures and pack riddles with
+ * errors are left out, levels without an id or item list are left out.
+ *
+ * Ids and names end up in setup's HTML, so ids must be plain tokens and names
+ * may not contain markup (<, >); a level file or share link cannot carry HTML in them.
+ */
+
+const isText = (v) => typeof v === 'string' && v.trim() !== '';
+const hasMarkup = (v) => typeof v === 'string' && /[<>]/.test(v);
+const isPlainName = (v) => isText(v) && !hasMarkup(v);
+const isSafeId = (v) => typeof v === 'string' && /^[\w.:-]+$/.test(v);
+const isOptionalText = (v) => v == null || typeof v === 'string';
+const isIndex = (v, length) => Number.isInteger(v) && v >= 0 && v < length;
+const isNonNegative = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+const isPoint = (p) => Array.isArray(p) && p.length === 2 && p.every((n) => typeof n === 'number');
+const isStrokes = (v) => Array.isArray(v) && v.every((stroke) => Array.isArray(stroke) && stroke.every(isPoint));
+
+/** Level settings: key → [check, message] */
+const SETTING_RULES = {
+  initialScore: [isNonNegative, '0 이상의 숫자여야 해요'],
+  scoreDecayPerSecond: [isNonNegative, '0 이상의 숫자여야 해요'],
+  hintCost: [isNonNegative, '0 이상의 숫자여야 해요'],
+  maxAttempts: [(v) => Number.isInteger(v) && v >= 0, '0 이상의 정수여야 해요'],
+  wrongPenalty: [isNonNegative, '0 이상의 숫자여야 해요'],
+  retryCooldown: [isNonNegative, '0 이상의 숫자여야 해요'],
+  onAttemptsExhausted: [(v) => ['reveal', 'skip'].includes(v), "'reveal' 또는 'skip' 이어야 해요"],
+  riddleTimeLimit: [isNonNegative, '0 이상의 숫자여야 해요'],
+  timeoutAction: [(v) => ['penalty', 'skip'].includes(v), "'penalty' 또는 'skip' 이어야 해요"],
+  timeoutPenalty: [isNonNegative, '0 이상의 숫자여야 해요'],
+  proximityMeter: [(v) => ['off', 'on', 'vibrate'].includes(v), "'off', 'on', 'vibrate' 중 하나여야 해요"]
+};
+
+/**
+ * Riddle config checks by type. Each returns [field, message] pairs.
+ * @type {Object<string, (config: Object) => Array<[string, string]>>}
+ */
+const RIDDLE_RULES = {
+  text: checkAnswerRiddle,
+  voice: checkAnswerRiddle,
+  choice: checkChoiceRiddle,
+  'image-choice': checkChoiceRiddle,
+  sequence: (c) => {
+    const errors = [];
+    if (!Array.isArray(c.items) || c.items.length < 2) errors.push(['items', '항목이 2개 이상 있어야 해요']);
+    const n = c.items?.length ?? 0;
+    if (!Array.isArray(c.correctOrder) || c.correctOrder.length !== n
+      || new Set(c.correctOrder).size !== n || !c.correctOrder.every((i) => isIndex(i, n))) {
+      errors.push(['correctOrder', 'items 의 번호를 한 번씩 모두 담아야 해요']);
+    }
+    return errors;
+  },
+  connect: (c) => {
+    const errors = [];
+    if (!Array.isArray(c.leftItems) || c.leftItems.length === 0) errors.push(['leftItems', '항목이 있어야 해요']);
+    if (!Array.isArray(c.rightItems) || c.rightItems.length === 0) errors.push(['rightItems', '항목이 있어야 해요']);
+    const validPair = (p) => Array.isArray(p) && isIndex(p[0], c.leftItems?.length ?? 0) && isIndex(p[1], c.rightItems?.length ?? 0);
+    if (!Array.isArray(c.correctPairs) || c.correctPairs.length === 0 || !c.correctPairs.every(validPair)) {
+      errors.push(['correctPairs', '[왼쪽 번호, 오른쪽 번호] 쌍이 있어야 해요']);
+    }
+    return errors;
+  },
+  memory: (c) => {
+    const errors = [];
+    const validPair = (p) => p && p.id != null && isText(p.front) && isText(p.back);
+    if (!Array.isArray(c.pairs) || c.pairs.length === 0 || !c.pairs.every(validPair)) {
+      errors.push(['pairs', '{ id, front, back } 짝이 있어야 해요']);
+    }
+    if (c.matchType != null && !/^(text|image)-(text|image)$/.test(c.matchType)) {
+      errors.push(['matchType', "'text-text' 같은 형식이어야 해요"]);
+    }
+    return errors;
+  },
+  draw: (c) => (isStrokes(c.template) && c.template.some((stroke) => stroke.length > 1)
+    ? []
+    : [['template', '본보기 획이 있어야 해요']]),
+  jigsaw: (c) => {
+    const errors = [];
+    if (!isOptionalText(c.image)) errors.push(['image', '이미지 주소여야 해요']);
+    if (c.difficulty != null && !['easy', 'medium', 'hard'].includes(c.difficulty)) {
+      errors.push(['difficulty', "'easy', 'medium', 'hard' 중 하나여야 해요"]);
+    }
+    return errors;
+  },
+  'object-hunt': (c) => (isText(c.targetClass) ? [] : [['targetClass', '찾을 물체 종류가 있어야 해요']])
+};
+
+function checkAnswerRiddle(c) {
+  const errors = [];
+  if (!isText(c.question)) errors.push(['question', '문제가 비어 있어요']);
+  const hasAnswer = isText(String(c.answer ?? ''))
+    || (Array.isArray(c.answers) && c.answers.some((a) => isText(String(a ?? ''))));
+  if (!hasAnswer) errors.push(['answer', '정답이 비어 있어요']);
+  return errors;
+}
+
+function checkChoiceRiddle(c) {
+  const errors = [];
+  if (!isText(c.question)) errors.push(['question', '문제가 비어 있어요']);
+  if (!Array.isArray(c.options) || c.options.length < 2 || !c.options.every(isText)) {
+    errors.push(['options', '선택지가 2개 이상 있어야 해요']);
+  } else if (!isIndex(c.answerIndex, c.options.length)) {
+    errors.push(['answerIndex', `0 ~ ${c.options.length - 1} 사이의 번호여야 해요`]);
+  }
+  return errors;
+}
+
+/**
+ * Hint config checks by type
+ * @type {Object<string, (config: Object) => Array<[string, string]>>}
+ */
+const HINT_RULES = {
+  text: (c) => (isText(c.value) ? [] : [['value', '힌트 내용이 비어 있어요']]),
+  // No src: a crop of the treasure photo is used
+  image: (c) => {
+    const errors = [];
+    if (!isOptionalText(c.src)) errors.push(['src', '이미지 주소여야 해요']);
+    if (c.blur != null && !isNonNegative(Number(c.blur))) errors.push(['blur', '0 이상의 숫자여야 해요']);
+    return errors;
+  },
+  audio: (c) => (isText(c.src) ? [] : [['src', '녹음 파일이 없어요']]),
+  video: (c) => (isText(c.src) ? [] : [['src', '영상 파일이 없어요']]),
+  map: (c) => {
+    const errors = [];
+    if (!isStrokes(c.plan)) errors.push(['plan', '평면도 획 배열이어야 해요']);
+    if (c.marker != null && !isPoint(c.marker)) errors.push(['marker', '[x, y] 좌표여야 해요']);
+    return errors;
+  }
+};
+
+/**
+ * @param {{ type?: string, config?: Object }} riddle
+ * @param {string} prefix - Field path prefix
+ * @returns {Array<{ field: string, message: string }>}
+ */
+export function validateRiddle(riddle, prefix = 'riddle') {
+  if (!riddle || typeof riddle !== 'object') return [{ field: prefix, message: '수수께끼 형식이 아니에요' }];
+  const rule = RIDDLE_RULES[riddle.type];
+  if (!rule) return [{ field: `${prefix}.type`, message: `알 수 없는 수수께끼 종류 '${riddle.type}'` }];
+  if (!riddle.config || typeof riddle.config !== 'object') {
+    return [{ field: `${prefix}.config`, message: '설정이 없어요' }];
+  }
+  return rule(riddle.config).map(([field, message]) => ({ field: `${prefix}.config.${field}`, message }));
+}
+
+/**
+ * @param {{ type?: string, config?: Object, unlockAfter?: number, cost?: number }} hint
+ * @param {string} prefix - Field path prefix
+ * @returns {Array<{ field: string, message: string }>}
+ */
+function validateHint(hint, prefix) {
+  if (!hint || typeof hint !== 'object') return [{ field: prefix, message: '힌트 형식이 아니에요' }];
+  const rule = HINT_RULES[hint.type];
+  if (!rule) return [{ field: `${prefix}.type`, message: `알 수 없는 힌트 종류 '${hint.type}'` }];
+  const errors = [];
+  if (!hint.config || typeof hint.config !== 'object') {
+    errors.push({ field: `${prefix}.config`, message: '설정이 없어요' });
+  } else {
+    errors.push(...rule(hint.config).map(([field, message]) => ({ field: `${prefix}.config.${field}`, message })));
+  }
+  if (hint.unlockAfter != null && !isNonNegative(hint.unlockAfter)) {
+    errors.push({ field: `${prefix}.unlockAfter`, message: '0 이상의 숫자(초)여야 해요' });
+  }
+  if (hint.cost != null && !isNonNegative(hint.cost)) {
+    errors.push({ field: `${prefix}.cost`, message: '0 이상의 숫자여야 해요' });
+  }
+  return errors;
+}
+
+/**
+ * @param {Object} treasure
+ * @param {Set<string>} riddleIds - Riddle ids that will exist after the import
+ * @returns {Array<{ field: string, message: string }>}
+ */
+function validateTreasure(treasure, riddleIds) {
+  if (!treasure || typeof treasure !== 'object') return [{ field: '', message: '보물 형식이 아니에요' }];
+  const errors = [];
+  if (!isSafeId(treasure.id)) errors.push({ field: 'id', message: 'id 는 영문·숫자·-_.: 로만 써야 해요' });
+  if (!isText(treasure.name)) errors.push({ field: 'name', message: '이름이 비어 있어요' });
+  else if (hasMarkup(treasure.name)) errors.push({ field: 'name', message: '이름에 < > 를 쓸 수 없어요' });
+  if (!isOptionalText(treasure.detectedObject)) errors.push({ field: 'detectedObject', message: '물체 종류는 문자열이어야 해요' });
+  if (treasure.featureEmbedding != null
+    && !(Array.isArray(treasure.featureEmbedding) && treasure.featureEmbedding.every((n) => typeof n === 'number'))) {
+    errors.push({ field: 'featureEmbedding', message: '숫자 배열이어야 해요' });
+  }
+  if (!isOptionalText(treasure.capturedImage)) errors.push({ field: 'capturedImage', message: '이미지 주소여야 해요' });
+  if (treasure.predictions != null && !Array.isArray(treasure.predictions)) {
+    errors.push({ field: 'predictions', message: '배열이어야 해요' });
+  }
+
+  if (treasure.riddleId != null && !riddleIds.has(treasure.riddleId)) {
+    errors.push({ field: 'riddleId', message: `문제 은행에 없는 문제 '${treasure.riddleId}'` });
+  }
+  if (treasure.riddleRule != null && typeof treasure.riddleRule !== 'object') {
+    errors.push({ field: 'riddleRule', message: '출제 조건 형식이 아니에요' });
+  }
+  if (treasure.riddle != null) errors.push(...validateRiddle(treasure.riddle));
+
+  // No hints is allowed: the game shows "힌트가 없습니다"
+  if (!Array.isArray(treasure.hints)) {
+    errors.push({ field: 'hints', message: '힌트 목록(배열)이어야 해요' });
+  } else {
+    treasure.hints.forEach((hint, i) => errors.push(...validateHint(hint, `hints[${i}]`)));
+  }
+  return errors;
+}
+
+/**
+ * Validate riddle packs bundled in an export
+ * @param {Array} packs
+ * @returns {{ errors: Array, packs: Array }} packs without invalid riddles
+ */
+export function validateRiddlePacks(packs) {
+  const errors = [];
+  if (packs == null) return { errors, packs: [] };
+  if (!Array.isArray(packs)) {
+    return { errors: [{ level: '문제집', field: 'riddlePacks', message: '배열이어야 해요' }], packs: [] };
+  }
+  const valid = packs.filter((pack, i) => {
+    const packErrors = [
+      ...(isSafeId(pack?.id) ? [] : [{ field: 'id', message: 'id 는 영문·숫자·-_.: 로만 써야 해요' }]),
+      ...(pack?.name == null || isPlainName(pack.name) ? [] : [{ field: 'name', message: '이름은 < > 없는 글자여야 해요' }])
+    ];
+    packErrors.forEach((e) => errors.push({ level: `문제집 ${i + 1}`, ...e }));
+    return packErrors.length === 0;
+  }).map((pack) => ({
+    ...pack,
+    items: (Array.isArray(pack.items) ? pack.items : []).filter((riddle, i) => {
+      const riddleErrors = [
+        ...(isSafeId(riddle?.id) ? [] : [{ field: 'id', message: 'id 는 영문·숫자·-_.: 로만 써야 해요' }]),
+        ...validateRiddle(riddle, 'riddle')
+      ];
+      riddleErrors.forEach((e) => errors.push({
+        level: `문제집 "${pack.name || pack.id}"`,
+        treasure: `문제 ${i + 1}`,
+        ...e
+      }));
+      return riddleErrors.length === 0;
+    })
+  }));
+  return { errors, packs: valid };
+}
+
+/**
+ * Validate a migrated level document
+ * @param {{ levels: Array }} doc
+ * @param {{ riddleIds: Set<string> }} context - Riddle ids available after import (bank, packs, file packs)
+ * @returns {{ errors: Array<{ level: string, treasure?: string, field: string, message: string }>,
+ *   levels: Array, droppedTreasures: number }} levels: cleaned copy for a partial import
+ */
+export function validateLevelData(doc, { riddleIds }) {
+  const errors = [];
+  const levels = [];
+  let droppedTreasures = 0;
+
+  doc.levels.forEach((level, levelIndex) => {
+    const levelLabel = `레벨 "${isPlainName(level?.name) ? level.name : levelIndex + 1}"`;
+    const report = (field, message, treasure) => errors.push({ level: levelLabel, treasure, field, message });
+    const drop = (field, message) => {
+      report(field, message);
+      droppedTreasures += Array.isArray(level?.items) ? level.items.length : 0;
+    };
+
+    if (!level || typeof level !== 'object' || !isSafeId(level.id) || !Array.isArray(level.items)) {
+      drop('', 'id(영문·숫자·-_.:)와 보물 목록(items)이 있어야 해요');
+      return;
+    }
+    if (level.name != null && !isPlainName(level.name)) {
+      drop('name', '레벨 이름은 < > 없는 글자여야 해요');
+      return;
+    }
+
+    const cleaned = { ...level };
+    for (const [key, [check, message]] of Object.entries(SETTING_RULES)) {
+      if (level[key] != null && !check(level[key])) {
+        report(key, `${message} (기본값으로 가져와요)`);
+        delete cleaned[key];
+      }
+    }
+
+    const ids = new Set();
+    cleaned.items = level.items.filter((treasure, i) => {
+      const treasureLabel = `보물 "${isPlainName(treasure?.name) ? treasure.name : i + 1}"`;
+      const treasureErrors = validateTreasure(treasure, riddleIds);
+      if (treasureErrors.length === 0 && ids.has(treasure.id)) {
+        treasureErrors.push({ field: 'id', message: `같은 id '${treasure.id}' 가 이미 있어요` });
+      }
+      treasureErrors.forEach((e) => report(e.field, e.message, treasureLabel));
+      if (treasureErrors.length > 0) {
+        droppedTreasures++;
+        return false;
+      }
+      ids.add(treasure.id);
+      return true;
+    }).map((treasure, i) => ({ ...treasure, order: i + 1 }));
+    levels.push(cleaned);
+  });
+
+  return { errors, levels, droppedTreasures };
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { validateLevelData, validateRiddlePacks } from './level-validation.js';
+import { migrateLevelData } from './level-migrations.js';
+import baselineExport from './__fixtures__/migrations/baseline-export.json';
+
+const treasure = (fields) => ({
+  id: 't1',
+  name: '소파',
+  hints: [{ type: 'text', config: { value: '푹신한 곳!' } }],
+  ...fields
+});
+const validate = (levels) => validateLevelData({ levels }, { riddleIds: new Set() });
+
+describe('validateLevelData: names and ids', () => {
+  it('keeps a plain level', () => {
+    const { errors, levels } = validate([{ id: 'level-1', name: '거실', items: [treasure()] }]);
+    expect(errors).toEqual([]);
+    expect(levels).toHaveLength(1);
+  });
+
+  it('drops a level whose name carries markup', () => {
+    const { errors, levels, droppedTreasures } = validate([
+      { id: 'level-1', name: '<img src=x onerror=alert(1)>', items: [treasure()] }
+    ]);
+    expect(levels).toEqual([]);
+    expect(droppedTreasures).toBe(1);
+    expect(errors[0]).toMatchObject({ level: '레벨 "1"', field: 'name' });
+  });
+
+  it('drops a level whose name is not a string', () => {
+    expect(validate([{ id: 'level-1', name: { html: 'x' }, items: [] }]).levels).toEqual([]);
+  });
+
+  it('drops a level whose id could break out of an attribute', () => {
+    expect(validate([{ id: 'a" onclick="x', name: '거실', items: [] }]).levels).toEqual([]);
+  });
+
+  it('leaves out treasures with markup in the name or an unsafe id', () => {
+    const { levels } = validate([{
+      id: 'level-1',
+      name: '거실',
+      items: [treasure({ name: '<b>소파</b>' }), treasure({ id: 't 2' }), treasure({ id: 't3' })]
+    }]);
+    expect(levels[0].items.map((t) => t.id)).toEqual(['t3']);
+  });
+});
+
+describe('validateRiddlePacks: names and ids', () => {
+  const riddle = { id: 'r1', type: 'text', config: { question: '1+1?', answer: '2' } };
+
+  it('drops packs with markup in the name and riddles with unsafe ids', () => {
+    const { errors, packs } = validateRiddlePacks([
+      { id: 'p1', name: '<script>', items: [riddle] },
+      { id: 'p2', name: '덧셈', items: [riddle, { ...riddle, id: '"><svg>' }] }
+    ]);
+    expect(packs).toEqual([{ id: 'p2', name: '덧셈', items: [riddle] }]);
+    expect(errors).toHaveLength(2);
+  });
+});
+
+describe('validateLevelData: old exports', () => {
+  it('accepts every treasure of a file exported by the first levels version', () => {
+    const result = validateLevelData(migrateLevelData(baselineExport), { riddleIds: new Set(['math-001']) });
+    expect(result.errors).toEqual([]);
+    expect(result.droppedTreasures).toBe(0);
+    expect(result.levels[0].items).toHaveLength(2);
+  });
+
+  it('accepts a treasure without hints', () => {
+    expect(validate([{ id: 'level-1', name: '거실', items: [treasure({ hints: [] })] }]).errors).toEqual([]);
+  });
+});
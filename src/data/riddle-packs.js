@@ -0,0 +1,213 @@
+/**
+ * Riddle Packs Data Model (parent-authored question sets)
+ *
+ * Stored structure (localStorage, next to webar_treasures). Failed saves
+ * return false / null and are reported to onStorageError listeners.
+ *
+ * {
+ *   packs: RiddlePack[]
+ * }
+ *
+ * RiddlePack:
+ * {
+ *   id: string,
+ *   name: string,
+ *   items: Riddle[]
+ * }
+ *
+ * Riddle: same shape as bank riddles, plus packId
+ * {
+ *   id, packId, category, difficulty, type, config
+ * }
+ *
+ * Riddle ids are globally unique so a treasure's riddleId keeps
+ * resolving after export/import.
+ */
+
+import { reportStorageError } from './storage-errors.js';
+
+const STORAGE_KEY = 'webar_riddle_packs';
+
+/** Category assigned to pack riddles unless the parent picks another */
+export const CUSTOM_CATEGORY = 'custom';
+
+/**
+ * Load raw packs data from localStorage
+ * @returns {{ packs: Array }}
+ */
+function loadRaw() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (!stored) return { packs: [] };
+    const parsed = JSON.parse(stored);
+    return { packs: Array.isArray(parsed.packs) ? parsed.packs : [] };
+  } catch (e) {
+    console.error('Failed to load riddle packs:', e);
+    return { packs: [] };
+  }
+}
+
+/**
+ * Save full packs data
+ * @param {{ packs: Array }} data
+ * @returns {boolean} Whether the data reached storage
+ */
+function saveRaw(data) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    return true;
+  } catch (e) {
+    console.error('Failed to save riddle packs:', e);
+    reportStorageError(e);
+    return false;
+  }
+}
+
+/**
+ * Generate a unique id with prefix
+ * @param {string} prefix
+ * @returns {string}
+ */
+function uniqueId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * Load all riddle packs
+ * @returns {RiddlePack[]}
+ */
+export function loadRiddlePacks() {
+  return loadRaw().packs;
+}
+
+/**
+ * Get a pack by id
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getRiddlePack(id) {
+  return loadRaw().packs.find((p) => p.id === id) ?? null;
+}
+
+/**
+ * Create a new empty pack and return it
+ * @param {string} [name]
+ * @returns {Object|null} New pack, or null if it could not be saved
+ */
+export function createRiddlePack(name = '새 문제집') {
+  const data = loadRaw();
+  const pack = { id: uniqueId('pack'), name, items: [] };
+  return saveRaw({ packs: [...data.packs, pack] }) ? pack : null;
+}
+
+/**
+ * Save a pack (by id). Replaces existing or appends.
+ * @param {Object} pack
+ * @returns {boolean} Whether it was saved
+ */
+export function saveRiddlePack(pack) {
+  const data = loadRaw();
+  const idx = data.packs.findIndex((p) => p.id === pack.id);
+  const packs = [...data.packs];
+  if (idx >= 0) {
+    packs[idx] = { ...packs[idx], ...pack };
+  } else {
+    packs.push(pack);
+  }
+  return saveRaw({ packs });
+}
+
+/**
+ * Delete a pack by id
+ * @param {string} id
+ * @returns {boolean} Whether the change was saved
+ */
+export function deleteRiddlePack(id) {
+  const data = loadRaw();
+  return saveRaw({ packs: data.packs.filter((p) => p.id !== id) });
+}
+
+/**
+ * Add or replace a riddle in a pack
+ * @param {string} packId
+ * @param {Object} riddle - { id?, category?, difficulty, type, config }
+ * @returns {Object|null} Saved riddle (with id/packId), or null if the pack is missing or saving failed
+ */
+export function saveRiddleToPack(packId, riddle) {
+  const pack = getRiddlePack(packId);
+  if (!pack) return null;
+  const saved = {
+    category: CUSTOM_CATEGORY,
+    difficulty: 'easy',
+    ...riddle,
+    id: riddle.id || uniqueId('custom'),
+    packId
+  };
+  const items = [...(pack.items || [])];
+  const idx = items.findIndex((r) => r.id === saved.id);
+  if (idx >= 0) items[idx] = saved;
+  else items.push(saved);
+  return saveRiddlePack({ ...pack, items }) ? saved : null;
+}
+
+/**
+ * Remove a riddle from a pack
+ * @param {string} packId
+ * @param {string} riddleId
+ * @returns {boolean} Whether the change was saved
+ */
+export function deleteRiddleFromPack(packId, riddleId) {
+  const pack = getRiddlePack(packId);
+  if (!pack) return false;
+  return saveRiddlePack({ ...pack, items: (pack.items || []).filter((r) => r.id !== riddleId) });
+}
+
+/**
+ * All riddles from all packs (flattened, packId set)
+ * @returns {Array}
+ */
+export function getPackRiddles() {
+  return loadRaw().packs.flatMap((pack) =>
+    (pack.items || []).map((r) => ({ ...r, packId: pack.id }))
+  );
+}
+
+/**
+ * The parts of packs that levels use: riddles named by a treasure's riddleId,
+ * whole packs named by riddleRule.packId
+ * @param {Array} packs
+ * @param {Array} levels
+ * @returns {Array} Packs with only those riddles (unused packs left out)
+ */
+export function packsUsedByLevels(packs, levels) {
+  const treasures = levels.flatMap((level) => level.items || []);
+  return packs
+    .map((pack) => {
+      const wholePack = treasures.some((t) => t.riddleRule?.packId === pack.id);
+      const riddles = (pack.items || []).filter((r) => wholePack || treasures.some((t) => t.riddleId === r.id));
+      return riddles.length > 0 ? { ...pack, items: riddles } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Merge imported packs into storage (pack and riddle ids preserved). Saved entries
+ * win: a saved pack keeps its name, and a riddle id already saved in any pack is not added again.
+ * @param {Array} packs
+ * @returns {boolean} Whether the result was saved
+ */
+export function mergeRiddlePacks(packs) {
+  if (!Array.isArray(packs) || packs.length === 0) return true;
+  const data = loadRaw();
+  const merged = [...data.packs];
+  const savedIds = new Set(merged.flatMap((p) => (p.items || []).map((r) => r.id)));
+  for (const incoming of packs) {
+    if (!incoming?.id) continue;
+    const added = (incoming.items || []).filter((r) => !savedIds.has(r.id));
+    added.forEach((r) => savedIds.add(r.id));
+    const idx = merged.findIndex((p) => p.id === incoming.id);
+    if (idx < 0) merged.push({ ...incoming, items: added });
+    else merged[idx] = { ...merged[idx], items: [...(merged[idx].items || []), ...added] };
+  }
+  return saveRaw({ packs: merged });
+}
@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { packsUsedByLevels } from './riddle-packs.js';
+
+const packs = [
+  { id: 'p1', name: '덧셈', items: [{ id: 'r1' }, { id: 'r2' }] },
+  { id: 'p2', name: '영어', items: [{ id: 'r3' }, { id: 'r4' }] },
+  { id: 'p3', name: '안 씀', items: [{ id: 'r5' }] }
+];
+
+describe('packsUsedByLevels', () => {
+  it('keeps only riddles named by riddleId and whole packs named by riddleRule', () => {
+    const levels = [
+      { id: 'a', items: [{ id: 't1', riddleId: 'r2' }] },
+      { id: 'b', items: [{ id: 't2', riddleRule: { packId: 'p2' } }] }
+    ];
+    expect(packsUsedByLevels(packs, levels)).toEqual([
+      { id: 'p1', name: '덧셈', items: [{ id: 'r2' }] },
+      packs[1]
+    ]);
+  });
+
+  it('returns nothing for levels without pack riddles', () => {
+    expect(packsUsedByLevels(packs, [{ id: 'a', items: [{ id: 't1', riddleId: 'math-1' }] }])).toEqual([]);
+  });
+});
@@ -1,10 +1,12 @@
 /**
  * Riddle Bank Loader
  * 
- * Loads and merges all riddle JSON files.
+ * Loads and merges all riddle JSON files plus parent-authored riddle packs.
  * Provides utility functions for filtering riddles.
  */
 
+import { getPackRiddles } from '../riddle-packs.js';
+
 // Import all riddle JSON files
 import math from './math.json';
 import nonsense from './nonsense.json';
@@ -13,7 +15,7 @@ import english from './english.json';
 import minigames from './minigames.json';
 
 /**
- * All riddles merged from all categories
+ * All bundled riddles merged from all categories
  */
 export const riddleBank = [
   ...math,
@@ -23,13 +25,21 @@ export const riddleBank = [
   ...minigames
 ];
 
+/**
+ * Bundled riddles plus riddles from user packs (packs are read fresh each call)
+ * @returns {Array} All riddles
+ */
+export function getAllRiddles() {
+  return [...riddleBank, ...getPackRiddles()];
+}
+
 /**
  * Get riddles by category
- * @param {string} category - Category name (math, nonsense, idiom, english, minigame)
+ * @param {string} category - Category name (math, nonsense, idiom, english, minigame, custom)
  * @returns {Array} Filtered riddles
  */
 export function getRiddlesByCategory(category) {
-  return riddleBank.filter(r => r.category === category);
+  return getAllRiddles().filter(r => r.category === category);
 }
 
 /**
@@ -38,7 +48,7 @@ export function getRiddlesByCategory(category) {
  * @returns {Array} Filtered riddles
  */
 export function getRiddlesByDifficulty(difficulty) {
-  return riddleBank.filter(r => r.difficulty === difficulty);
+  return getAllRiddles().filter(r => r.difficulty === difficulty);
 }
 
 /**
@@ -47,7 +57,7 @@ export function getRiddlesByDifficulty(difficulty) {
  * @returns {Object|undefined} Riddle object or undefined
  */
 export function getRiddleById(id) {
-  return riddleBank.find(r => r.id === id);
+  return getAllRiddles().find(r => r.id === id);
 }
 
 /**
@@ -56,16 +66,16 @@ export function getRiddleById(id) {
  * @returns {Array} Filtered riddles
  */
 export function getRiddlesByType(type) {
-  return riddleBank.filter(r => r.type === type);
+  return getAllRiddles().filter(r => r.type === type);
 }
 
 /**
- * Get random riddle
- * @param {Object} filters - Optional filters { category, difficulty, type }
- * @returns {Object} Random riddle
+ * Get riddles matching a treasure's riddleRule (what getRandomRiddle draws from)
+ * @param {Object} filters - Optional filters { category, difficulty, type, packId, excludeIds }
+ * @returns {Array} Matching riddles
  */
-export function getRandomRiddle(filters = {}) {
-  let riddles = [...riddleBank];
+export function getRiddlesByRule(filters = {}) {
+  let riddles = getAllRiddles();
   
   if (filters.category) {
     riddles = riddles.filter(r => r.category === filters.category);
@@ -76,7 +86,24 @@ export function getRandomRiddle(filters = {}) {
   if (filters.type) {
     riddles = riddles.filter(r => r.type === filters.type);
   }
+  if (filters.packId) {
+    riddles = riddles.filter(r => r.packId === filters.packId);
+  }
+  if (filters.excludeIds) {
+    const exclude = new Set(filters.excludeIds);
+    riddles = riddles.filter(r => !exclude.has(r.id));
+  }
   
+  return riddles;
+}
+
+/**
+ * Get random riddle
+ * @param {Object} filters - Optional filters { category, difficulty, type, packId, excludeIds }
+ * @returns {Object|null} Random riddle, or null if none matches
+ */
+export function getRandomRiddle(filters = {}) {
+  const riddles = getRiddlesByRule(filters);
   if (riddles.length === 0) return null;
   
   const index = Math.floor(Math.random() * riddles.length);
@@ -88,7 +115,7 @@ export function getRandomRiddle(filters = {}) {
  * @returns {string[]} List of category names
  */
 export function getCategories() {
-  return [...new Set(riddleBank.map(r => r.category))];
+  return [...new Set(getAllRiddles().map(r => r.category))];
 }
 
 /**
@@ -96,7 +123,7 @@ export function getCategories() {
  * @returns {Object} { category: count }
  */
 export function getRiddleCountByCategory() {
-  return riddleBank.reduce((acc, r) => {
+  return getAllRiddles().reduce((acc, r) => {
     acc[r.category] = (acc[r.category] || 0) + 1;
     return acc;
   }, {});
@@ -0,0 +1,27 @@
+/**
+ * Failed-save notifications, shared by the level store and riddle packs
+ */
+
+import { isQuotaError } from './level-db.js';
+
+const listeners = new Set();
+
+/**
+ * Listen for failed saves (e.g. storage quota exceeded)
+ * @param {(error: { quota: boolean, newerSchema: boolean, cause: Error }) => void} listener
+ * @returns {Function} Unsubscribe
+ */
+export function onStorageError(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Tell listeners that a save failed
+ * @param {Error} cause
+ * @param {{ newerSchema?: boolean }} [opts] - newerSchema: refused because stored data is from a newer app version
+ */
+export function reportStorageError(cause, { newerSchema = false } = {}) {
+  const error = { quota: isQuotaError(cause), newerSchema, cause };
+  listeners.forEach((listener) => listener(error));
+}
@@ -3,8 +3,8 @@
  * Handles AR gameplay, score tracking, and riddle flow
  */
 
-import { loadTreasures } from './data/default-treasures.js';
-import { getRiddleById } from './data/riddles/index.js';
+import { loadTreasures, getTreasureHints } from './data/default-treasures.js';
+import { getRiddleById, getRandomRiddle } from './data/riddles/index.js';
 import { getCocoLabel } from './utils/coco-labels.js';
 import {
   getEmbeddingFromCrop,
@@ -15,6 +15,9 @@ import { loadDetectionModel, runDetection, isDetectionAvailable, pickDetectionAt
 import { isSegmentAvailableForClass, getSegmentMasks } from './utils/segment-helper.js';
 import { DetectionOverlayView } from './utils/viewers.js';
 import { cameraDetectionStore } from './stores/camera-detection.js';
+import { createRiddleElement, createHintElement } from './utils/component-factory.js';
+import { cropSelectedTarget } from './utils/photo-choice.js';
+import { HEAT_LEVELS, findTargetCandidate, getHeatLevel, vibrateForLevel } from './utils/proximity-meter.js';
 
 let container = null;
 let onBack = null;
@@ -23,6 +26,26 @@ let currentTreasureIndex = 0;
 let score = 0;
 let scoreTimer = null;
 let isGameActive = false;
+/** Riddle ids already drawn by riddleRule this session (no repeats) */
+let usedRiddleIds = new Set();
+/** Wrong answers on the current riddle */
+let riddleAttempts = 0;
+let riddleCooldownTimer = null;
+/** Current riddle answered, revealed or skipped: later submits are ignored */
+let riddleResolved = false;
+/** Seconds spent searching for the current treasure (drives hint unlocks) */
+let hintSeconds = 0;
+/** Hint steps of the current treasure unlocked so far */
+let hintsUnlocked = 1;
+/** Object crops of capturedImage for photo hints, by treasure id */
+const hintCropCache = new Map();
+/** Hot/cold meter state for the AR view */
+let proximity = createProximityState();
+
+/** Minimum gap between exact-object (featureEmbedding) checks while the meter runs */
+const PROXIMITY_MATCH_INTERVAL = 500;
+/** Lower readings in a row before the meter cools down (detections flicker) */
+const PROXIMITY_DROP_FRAMES = 5;
 
 let arOverlayView = null;
 
@@ -67,6 +90,8 @@ function startGame() {
   currentTreasureIndex = 0;
   score = gameData.initialScore || 1000;
   isGameActive = true;
+  // Fixed riddles of this level count as used so random draws don't duplicate them
+  usedRiddleIds = new Set(gameData.items.map((t) => t.riddleId).filter(Boolean));
   
   renderGameScreen();
   startScoreTimer();
@@ -93,8 +118,12 @@ function renderGameScreen() {
     
     <!-- Hint Area -->
     <div class="hint-container">
-      <div class="hint-label">현재 힌트</div>
+      <div class="hint-label" id="hint-label">현재 힌트</div>
       <div id="hint-display"></div>
+      <div class="hint-unlock-row" id="hint-unlock-row" style="display: none;">
+        <span class="hint-next" id="hint-next"></span>
+        <button class="btn btn-secondary btn-small" id="btn-hint-unlock"></button>
+      </div>
     </div>
     
     <!-- AR Scene Container -->
@@ -116,6 +145,9 @@ function renderGameScreen() {
           <h2>수수께끼!</h2>
         </div>
         <div id="riddle-container"></div>
+        <div class="riddle-attempts" id="riddle-attempts" style="display: none;"></div>
+        <button class="btn btn-secondary btn-small riddle-hint-btn" id="btn-riddle-hint" style="display: none;"></button>
+        <button class="btn btn-primary riddle-next-btn" id="btn-riddle-next" style="display: none;">다음 보물로 ▶</button>
       </div>
     </div>
     
@@ -136,7 +168,7 @@ function renderGameScreen() {
   
   addGameStyles();
   setupGameEvents();
-  showCurrentHint();
+  resetHintProgress();
 }
 
 /**
@@ -148,6 +180,11 @@ function setupGameEvents() {
     pauseGame();
   });
   
+  // Spend points to open the next hint early
+  document.getElementById('btn-hint-unlock').addEventListener('click', () => {
+    unlockNextHint();
+  });
+  
   // Start AR button
   document.getElementById('btn-start-ar').addEventListener('click', () => {
     startARMode();
@@ -161,37 +198,125 @@ function setupGameEvents() {
 }
 
 /**
- * Show current treasure's hint
+ * Start hint progress over for the current treasure (first hint only)
+ */
+function resetHintProgress() {
+  hintSeconds = 0;
+  hintsUnlocked = 1;
+  showCurrentHint();
+}
+
+/**
+ * Called every second from the score timer: unlock the next hint when its time comes
+ */
+function tickHintProgress() {
+  hintSeconds++;
+  const hints = getTreasureHints(gameData.items[currentTreasureIndex]);
+  const next = hints[hintsUnlocked];
+  if (next && hintSeconds >= next.unlockAfter) {
+    hintsUnlocked++;
+    showCurrentHint();
+    showToast('💡 새 힌트가 열렸어요!', 'success');
+  } else {
+    updateHintUnlockRow(hints);
+  }
+}
+
+/**
+ * Unlock the next hint before its time by spending points
+ */
+function unlockNextHint() {
+  const hints = getTreasureHints(gameData.items[currentTreasureIndex]);
+  const next = hints[hintsUnlocked];
+  if (!next) return;
+  const cost = getHintCost(next);
+  if (cost > 0) {
+    score -= cost;
+    updateScoreDisplay();
+    showToast(`힌트 열기! -${cost}점`, 'error');
+  }
+  hintsUnlocked++;
+  showCurrentHint();
+}
+
+/**
+ * Show the countdown and early-unlock button for the next locked hint
+ * @param {Array} hints - Current treasure's hint steps
+ */
+function updateHintUnlockRow(hints) {
+  const row = document.getElementById('hint-unlock-row');
+  if (!row) return;
+  const next = hints[hintsUnlocked];
+  if (!next) {
+    row.style.display = 'none';
+    return;
+  }
+  const cost = getHintCost(next);
+  document.getElementById('hint-next').textContent =
+    `다음 힌트까지 ${Math.max(0, next.unlockAfter - hintSeconds)}초`;
+  document.getElementById('btn-hint-unlock').textContent =
+    cost > 0 ? `🔓 지금 열기 (-${cost}점)` : '🔓 지금 열기';
+  row.style.display = 'flex';
+}
+
+/**
+ * Show the latest unlocked hint of the current treasure
  */
-function showCurrentHint() {
+async function showCurrentHint() {
   const currentTreasure = gameData.items[currentTreasureIndex];
   const hintDisplay = document.getElementById('hint-display');
+  const hints = getTreasureHints(currentTreasure);
+  const step = Math.min(hintsUnlocked, hints.length);
+  
+  updateHintUnlockRow(hints);
+  document.getElementById('hint-label').textContent =
+    hints.length > 1 ? `힌트 ${step} / ${hints.length}` : '현재 힌트';
   
-  if (!currentTreasure.hint) {
+  if (hints.length === 0) {
     hintDisplay.innerHTML = '<p>힌트가 없습니다.</p>';
     return;
   }
   
-  const hint = currentTreasure.hint;
-  const tagName = `hint-${hint.type}`;
-  const el = document.createElement(tagName);
-  
-  // Set attributes from config
-  if (hint.config) {
-    for (const [key, val] of Object.entries(hint.config)) {
-      const attrName = key.replace(/([A-Z])/g, '-$1').toLowerCase();
-      if (typeof val === 'boolean') {
-        if (val) el.setAttribute(attrName, '');
-      } else {
-        el.setAttribute(attrName, typeof val === 'object' ? JSON.stringify(val) : val);
-      }
-    }
+  const hint = await resolveHint(currentTreasure, hints[step - 1]);
+  // The treasure or step may have changed while the photo crop was loading
+  if (currentTreasure !== gameData.items[currentTreasureIndex] || step !== Math.min(hintsUnlocked, hints.length)) {
+    return;
   }
   
+  const el = createHintElement(hint);
+  
   hintDisplay.innerHTML = '';
   hintDisplay.appendChild(el);
 }
 
+/**
+ * Fill an image hint without src with the treasure's own photo, cropped to the object
+ * (falls back to the whole photo when the object box is unknown)
+ * @param {Object} treasure
+ * @param {Object} hint
+ * @returns {Promise<Object>}
+ */
+async function resolveHint(treasure, hint) {
+  if (hint.type !== 'image' || hint.config?.src || !treasure.capturedImage) return hint;
+  
+  if (!hintCropCache.has(treasure.id)) {
+    const predictions = treasure.predictions ?? [];
+    const crop = cropSelectedTarget({
+      imageData: treasure.capturedImage,
+      sourceWidth: treasure.sourceWidth,
+      predictions,
+      selectedIndex: predictions.findIndex((p) => p.class === treasure.detectedObject)
+    }).catch((err) => {
+      console.warn('Hint photo crop failed:', err);
+      return null;
+    });
+    hintCropCache.set(treasure.id, crop);
+  }
+  
+  const src = (await hintCropCache.get(treasure.id)) ?? treasure.capturedImage;
+  return { ...hint, config: { ...hint.config, src } };
+}
+
 /**
  * Stop AR mode (stop camera stream and overlay)
  */
@@ -214,6 +339,10 @@ function startARMode() {
     arOverlayView = null;
   }
   stopARMode();
+  proximity = createProximityState();
+  
+  const showProximity = (gameData.proximityMeter ?? 'off') !== 'off'
+    && !!gameData.items[currentTreasureIndex]?.detectedObject;
 
   arContainer.innerHTML = `
     <div class="ar-view">
@@ -222,6 +351,13 @@ function startARMode() {
       <div class="ar-touch-layer" id="ar-touch-layer">
         <div class="magnifier-glass ar-glass" id="ar-magnifier-glass" aria-hidden="true"></div>
       </div>
+      ${showProximity ? `
+        <div class="proximity-meter" id="proximity-meter" data-level="0" aria-live="polite">
+          <span class="proximity-icon" id="proximity-icon">${HEAT_LEVELS[0].icon}</span>
+          <span class="proximity-bar"><span></span><span></span><span></span></span>
+          <span class="proximity-label" id="proximity-label">${HEAT_LEVELS[0].label}</span>
+        </div>
+      ` : ''}
       <div class="ar-overlay">
         <p class="ar-instruction">돋보기로 보물을 가리킨 뒤 터치하세요</p>
       </div>
@@ -274,6 +410,7 @@ function startARMode() {
         scoreThreshold: 0.5,
         withIndex: false
       });
+      if (showProximity) updateProximityMeter(video, predictions);
     } catch (err) {
       console.warn('AR detection loop:', err);
     }
@@ -336,6 +473,81 @@ function startARMode() {
   });
 }
 
+/**
+ * Fresh hot/cold meter state
+ */
+function createProximityState() {
+  return { level: 0, lower: 0, matched: false, checking: false, checkedAt: 0 };
+}
+
+/**
+ * Update the hot/cold meter from the latest AR detections
+ * @param {HTMLVideoElement} video
+ * @param {Array} predictions - Live COCO-SSD predictions
+ */
+function updateProximityMeter(video, predictions) {
+  const treasure = gameData.items[currentTreasureIndex];
+  if (!treasure?.detectedObject) return;
+  
+  const candidate = findTargetCandidate(predictions, treasure.detectedObject);
+  if (!candidate) {
+    proximity.matched = false;
+  } else if (treasure.featureEmbedding?.length) {
+    checkProximityMatch(video, candidate, treasure.featureEmbedding);
+  }
+  setProximityLevel(getHeatLevel(candidate, video.videoWidth, video.videoHeight, {
+    matched: proximity.matched
+  }));
+}
+
+/**
+ * Compare the live crop with the registered object's embedding (throttled, runs in background)
+ */
+function checkProximityMatch(video, candidate, refEmbedding) {
+  const now = performance.now();
+  if (proximity.checking || now - proximity.checkedAt < PROXIMITY_MATCH_INTERVAL) return;
+  proximity.checking = true;
+  proximity.checkedAt = now;
+  
+  const state = proximity;
+  const vw = video.videoWidth;
+  const vh = video.videoHeight;
+  const frame = document.createElement('canvas');
+  frame.width = vw;
+  frame.height = vh;
+  frame.getContext('2d').drawImage(video, 0, 0, vw, vh);
+  
+  getEmbeddingFromCrop(frame, candidate.bbox, vw, vh)
+    .then((embedding) => {
+      state.matched = cosineSimilarity(refEmbedding, embedding) >= FEATURE_SIMILARITY_THRESHOLD;
+    })
+    .catch((err) => console.warn('Proximity feature check failed:', err))
+    .finally(() => {
+      state.checking = false;
+    });
+}
+
+/**
+ * Show a heat level; warming up is immediate, cooling down waits a few frames
+ * @param {number} level - 0 (cold) .. 3 (exact object on screen)
+ */
+function setProximityLevel(level) {
+  if (level < proximity.level && ++proximity.lower < PROXIMITY_DROP_FRAMES) return;
+  proximity.lower = 0;
+  if (level === proximity.level) return;
+  
+  if (level > proximity.level && gameData.proximityMeter === 'vibrate') {
+    vibrateForLevel(level);
+  }
+  proximity.level = level;
+  
+  const meter = document.getElementById('proximity-meter');
+  if (!meter) return;
+  meter.dataset.level = level;
+  document.getElementById('proximity-icon').textContent = HEAT_LEVELS[level].icon;
+  document.getElementById('proximity-label').textContent = HEAT_LEVELS[level].label;
+}
+
 /**
  * Tap on AR view: if treasure has detectedObject, run detection and pick at click position; else go to riddle
  * clickEvent: { clientX, clientY } (captured at tap time)
@@ -597,6 +809,10 @@ function onMarkerFound(foundObjectClass) {
  * Show riddle modal
  */
 function showRiddleModal() {
+  // Release the camera first: object-hunt opens its own stream, and the
+  // proximity meter must not keep buzzing under the modal
+  stopARMode();
+  
   const currentTreasure = gameData.items[currentTreasureIndex];
   const riddleContainer = document.getElementById('riddle-container');
   const modal = document.getElementById('riddle-modal');
@@ -604,10 +820,15 @@ function showRiddleModal() {
   // Get riddle data
   let riddleData = currentTreasure.riddle;
   
-  if (currentTreasure.riddleId) {
+  if (currentTreasure.riddleRule) {
+    const drawn = drawRiddleByRule(currentTreasure.riddleRule);
+    if (drawn) {
+      riddleData = { type: drawn.type, config: drawn.config, difficulty: drawn.difficulty };
+    }
+  } else if (currentTreasure.riddleId) {
     const bankRiddle = getRiddleById(currentTreasure.riddleId);
     if (bankRiddle) {
-      riddleData = { type: bankRiddle.type, config: bankRiddle.config };
+      riddleData = { type: bankRiddle.type, config: bankRiddle.config, difficulty: bankRiddle.difficulty };
     }
   }
   
@@ -616,60 +837,302 @@ function showRiddleModal() {
     riddleData = { type: 'text', config: { question: '1 + 1 = ?', answer: '2' } };
   }
   
-  // Create riddle component
-  const tagName = `riddle-${riddleData.type}`;
-  const el = document.createElement(tagName);
+  // Jigsaw without its own image is cut from this treasure's photo
+  if (riddleData.type === 'jigsaw' && !riddleData.config?.image && currentTreasure.capturedImage) {
+    riddleData = { ...riddleData, config: { ...riddleData.config, image: currentTreasure.capturedImage } };
+  }
   
-  // Set attributes from config
-  for (const [key, val] of Object.entries(riddleData.config)) {
-    const attrName = key.replace(/([A-Z])/g, '-$1').toLowerCase();
-    if (typeof val === 'object') {
-      el.setAttribute(attrName, JSON.stringify(val));
-    } else {
-      el.setAttribute(attrName, val);
-    }
+  // Level-wide time limit applies unless the riddle sets its own
+  if (gameData.riddleTimeLimit > 0 && riddleData.config?.timeLimit == null) {
+    riddleData = { ...riddleData, config: { ...riddleData.config, timeLimit: gameData.riddleTimeLimit } };
   }
   
+  // Create riddle component
+  const el = createRiddleElement(riddleData);
+  
   // Listen for answer submit
   el.addEventListener('answer-submit', (e) => {
     handleAnswerSubmit(e.detail);
   });
   
+  el.addEventListener('answer-timeout', () => {
+    handleAnswerTimeout();
+  });
+  
+  // Graduated hints: each one costs points
+  el.addEventListener('hint-used', (e) => {
+    handleHintUsed(e.detail);
+    updateRiddleHintButton(el);
+  });
+  document.getElementById('btn-riddle-hint').onclick = () => el.requestHint?.();
+  
   riddleContainer.innerHTML = '';
   riddleContainer.appendChild(el);
+  updateRiddleHintButton(el);
+  resetRiddleAttempts();
   modal.style.display = 'flex';
 }
 
+/**
+ * Cost of a riddle hint (per-hint cost overrides the level setting)
+ * @param {Object} hint
+ * @returns {number}
+ */
+function getHintCost(hint) {
+  return hint?.cost ?? gameData.hintCost ?? 50;
+}
+
+/**
+ * Show/hide the riddle hint button depending on remaining hints
+ * @param {HTMLElement} el - Riddle element
+ */
+function updateRiddleHintButton(el) {
+  const btn = document.getElementById('btn-riddle-hint');
+  const next = typeof el.peekNextHint === 'function' ? el.peekNextHint() : null;
+  if (!next) {
+    btn.style.display = 'none';
+    return;
+  }
+  const cost = getHintCost(next);
+  const remaining = el.getHints().length - el.hintsUsed;
+  btn.textContent = cost > 0
+    ? `💡 힌트 보기 (-${cost}점, ${remaining}개 남음)`
+    : `💡 힌트 보기 (${remaining}개 남음)`;
+  btn.style.display = 'block';
+}
+
+/**
+ * Deduct the hint cost from the score
+ */
+function handleHintUsed(detail) {
+  const cost = getHintCost(detail.hint);
+  if (cost <= 0) return;
+  score -= cost;
+  updateScoreDisplay();
+  showToast(`힌트 사용! -${cost}점`, 'error');
+}
+
+/**
+ * Draw a random riddle matching the treasure's rule, never repeating within this session.
+ * Falls back to allowing repeats once every matching riddle has been used.
+ * @param {{ category?: string, difficulty?: string, type?: string, packId?: string }} rule
+ * @returns {Object|null} Bank riddle or null if nothing matches
+ */
+function drawRiddleByRule(rule) {
+  const riddle = getRandomRiddle({ ...rule, excludeIds: usedRiddleIds })
+    ?? getRandomRiddle(rule);
+  if (riddle) usedRiddleIds.add(riddle.id);
+  return riddle;
+}
+
 /**
  * Handle answer submit from riddle component
  */
 function handleAnswerSubmit(detail) {
+  if (riddleResolved) return;
   const { correct, feedback } = detail;
   
   if (correct) {
+    resolveRiddle();
     // Correct answer
     showToast(feedback || '정답! 🎉', 'success');
     showParticles();
     
     // Add bonus score
-    const bonus = Math.max(10, Math.floor(score * 0.1));
+    const bonus = getAnswerBonus(detail);
     score += bonus;
     updateScoreDisplay();
     
     // Close modal and proceed
     setTimeout(() => {
-      document.getElementById('riddle-modal').style.display = 'none';
+      closeRiddleModal();
       proceedToNext();
     }, 1500);
   } else {
     // Wrong answer
-    showToast(feedback || '다시 생각해봐요! 💭', 'error');
+    riddleAttempts++;
+    const penalty = gameData.wrongPenalty || 0;
+    if (penalty > 0) {
+      score -= penalty;
+      updateScoreDisplay();
+    }
+    
+    const maxAttempts = gameData.maxAttempts || 0;
+    if (maxAttempts > 0 && riddleAttempts >= maxAttempts) {
+      handleAttemptsExhausted();
+      return;
+    }
+    
+    const message = feedback || '다시 생각해봐요! 💭';
+    showToast(penalty > 0 ? `${message} (-${penalty}점)` : message, 'error');
     
     // Shake animation
     const riddleContainer = document.getElementById('riddle-container');
     riddleContainer.classList.add('shake');
     setTimeout(() => riddleContainer.classList.remove('shake'), 500);
+    
+    updateRiddleAttempts();
+    startRiddleCooldown();
+  }
+}
+
+/**
+ * Correct-answer bonus: 10% of the score, scaled up to double by time left on timed riddles
+ * @param {{ timeLeft?: number|null }} detail
+ * @returns {number}
+ */
+function getAnswerBonus(detail) {
+  const base = Math.max(10, Math.floor(score * 0.1));
+  const el = getRiddleElement();
+  const timeLimit = el?.timeLimit;
+  if (detail.timeLeft == null || !timeLimit) return base;
+  return Math.floor(base * (1 + detail.timeLeft / timeLimit));
+}
+
+/**
+ * Riddle countdown ran out: lose points and keep solving (no time bonus), or skip the treasure
+ */
+function handleAnswerTimeout() {
+  if (riddleResolved) return;
+  
+  if (gameData.timeoutAction === 'skip') {
+    resolveRiddle();
+    document.getElementById('btn-riddle-hint').style.display = 'none';
+    document.getElementById('riddle-attempts').style.display = 'none';
+    showToast('시간이 다 됐어요! 다음 보물로 넘어가요! ⏰', 'error');
+    setTimeout(() => {
+      closeRiddleModal();
+      proceedToNext();
+    }, 1500);
+    return;
+  }
+  
+  stopRiddleCooldown();
+  const penalty = gameData.timeoutPenalty || 0;
+  if (penalty > 0) {
+    score -= penalty;
+    updateScoreDisplay();
+  }
+  showToast(penalty > 0 ? `시간이 다 됐어요! -${penalty}점 ⏰` : '시간이 다 됐어요! ⏰', 'error');
+}
+
+/**
+ * Current riddle element
+ * @returns {HTMLElement|null}
+ */
+function getRiddleElement() {
+  return document.getElementById('riddle-container')?.firstElementChild ?? null;
+}
+
+/**
+ * Hide the riddle modal and unmount the riddle, so its disconnectedCallback
+ * releases what it holds (object-hunt camera, timers)
+ */
+function closeRiddleModal() {
+  document.getElementById('riddle-modal').style.display = 'none';
+  document.getElementById('riddle-container').innerHTML = '';
+}
+
+/**
+ * Mark the current riddle as resolved and lock it for good
+ */
+function resolveRiddle() {
+  riddleResolved = true;
+  stopRiddleCooldown();
+  getRiddleElement()?.lock?.();
+}
+
+/**
+ * Reset attempt counter and cooldown for a newly shown riddle
+ */
+function resetRiddleAttempts() {
+  riddleAttempts = 0;
+  riddleResolved = false;
+  stopRiddleCooldown();
+  document.getElementById('btn-riddle-next').style.display = 'none';
+  updateRiddleAttempts();
+}
+
+/**
+ * Show remaining attempts (and cooldown countdown) under the riddle
+ * @param {number} [cooldownLeft] - Seconds until the riddle unlocks
+ */
+function updateRiddleAttempts(cooldownLeft = 0) {
+  const label = document.getElementById('riddle-attempts');
+  const maxAttempts = gameData.maxAttempts || 0;
+  const parts = [];
+  if (maxAttempts > 0) parts.push(`남은 기회 ${maxAttempts - riddleAttempts}번`);
+  if (cooldownLeft > 0) parts.push(`⏳ ${cooldownLeft}초 후에 다시 풀 수 있어요`);
+  label.textContent = parts.join(' · ');
+  label.style.display = parts.length ? 'block' : 'none';
+}
+
+/**
+ * Lock the riddle for the level's retry cooldown after a wrong answer
+ */
+function startRiddleCooldown() {
+  const cooldown = gameData.retryCooldown || 0;
+  if (cooldown <= 0) return;
+  
+  stopRiddleCooldown();
+  const endsAt = Date.now() + cooldown * 1000;
+  document.getElementById('riddle-container').classList.add('cooling-down');
+  getRiddleElement()?.lock?.();
+  
+  const tick = () => {
+    const left = Math.ceil((endsAt - Date.now()) / 1000);
+    if (left <= 0) {
+      stopRiddleCooldown();
+      updateRiddleAttempts();
+      return;
+    }
+    updateRiddleAttempts(left);
+  };
+  tick();
+  riddleCooldownTimer = setInterval(tick, 250);
+}
+
+/**
+ * Stop the retry cooldown and unlock the riddle (unless it is resolved)
+ */
+function stopRiddleCooldown() {
+  if (riddleCooldownTimer) {
+    clearInterval(riddleCooldownTimer);
+    riddleCooldownTimer = null;
   }
+  document.getElementById('riddle-container')?.classList.remove('cooling-down');
+  if (!riddleResolved) getRiddleElement()?.unlock?.();
+}
+
+/**
+ * All attempts used: reveal the answer or skip the treasure (no bonus either way)
+ */
+function handleAttemptsExhausted() {
+  resolveRiddle();
+  const el = getRiddleElement();
+  el?.stopTimer?.();
+  document.getElementById('btn-riddle-hint').style.display = 'none';
+  document.getElementById('riddle-attempts').style.display = 'none';
+  
+  if (gameData.onAttemptsExhausted === 'skip') {
+    showToast('기회를 모두 썼어요. 다음 보물로 넘어가요! 💨', 'error');
+    setTimeout(() => {
+      closeRiddleModal();
+      proceedToNext();
+    }, 1500);
+    return;
+  }
+  
+  const answer = typeof el?.revealAnswer === 'function' ? el.revealAnswer() : null;
+  showToast(answer ? '기회를 모두 썼어요. 정답을 확인해 보세요!' : '기회를 모두 썼어요.', 'error');
+  const nextBtn = document.getElementById('btn-riddle-next');
+  nextBtn.style.display = 'block';
+  nextBtn.onclick = () => {
+    nextBtn.onclick = null;
+    nextBtn.style.display = 'none';
+    closeRiddleModal();
+    proceedToNext();
+  };
 }
 
 /**
@@ -685,7 +1148,7 @@ function proceedToNext() {
     // Show next hint
     document.getElementById('progress-display').textContent = 
       `${currentTreasureIndex + 1} / ${gameData.items.length}`;
-    showCurrentHint();
+    resetHintProgress();
     
     // Stop AR detection and camera before replacing view
     stopARMode();
@@ -730,6 +1193,7 @@ function startScoreTimer() {
     if (isGameActive) {
       score -= decay;
       updateScoreDisplay();
+      tickHintProgress();
     }
   }, 1000);
 }
@@ -773,6 +1237,7 @@ function pauseGame() {
  */
 function stopGame() {
   stopScoreTimer();
+  stopRiddleCooldown();
   isGameActive = false;
   stopARMode();
 }
@@ -922,6 +1387,62 @@ function addGameStyles() {
       box-sizing: border-box;
     }
     
+    .proximity-meter {
+      position: absolute;
+      top: 5rem;
+      left: 50%;
+      transform: translateX(-50%);
+      display: flex;
+      align-items: center;
+      gap: 0.5rem;
+      padding: 0.4rem 0.9rem;
+      color: white;
+      background: rgba(15, 23, 42, 0.7);
+      border-radius: 999px;
+      pointer-events: none;
+      transition: background 0.3s ease;
+      z-index: 5;
+    }
+    
+    .proximity-meter[data-level="1"] { background: rgba(245, 158, 11, 0.8); }
+    .proximity-meter[data-level="2"] { background: rgba(239, 68, 68, 0.85); }
+    .proximity-meter[data-level="3"] {
+      background: rgba(220, 38, 38, 0.95);
+      animation: proximityPulse 0.8s ease infinite;
+    }
+    
+    @keyframes proximityPulse {
+      0%, 100% { box-shadow: 0 0 0 0 rgba(239, 68, 68, 0.6); }
+      50% { box-shadow: 0 0 0 12px rgba(239, 68, 68, 0); }
+    }
+    
+    .proximity-icon {
+      font-size: 1.3rem;
+    }
+    
+    .proximity-bar {
+      display: flex;
+      gap: 3px;
+    }
+    
+    .proximity-bar span {
+      width: 14px;
+      height: 8px;
+      border-radius: 2px;
+      background: rgba(255, 255, 255, 0.3);
+    }
+    
+    .proximity-meter[data-level="1"] .proximity-bar span:nth-child(-n+1),
+    .proximity-meter[data-level="2"] .proximity-bar span:nth-child(-n+2),
+    .proximity-meter[data-level="3"] .proximity-bar span {
+      background: white;
+    }
+    
+    .proximity-label {
+      font-size: 0.9rem;
+      font-weight: 600;
+    }
+    
     .ar-overlay {
       position: absolute;
       bottom: 0;
@@ -1010,6 +1531,24 @@ function addGameStyles() {
       margin-bottom: 0.5rem;
     }
     
+    .riddle-hint-btn,
+    .riddle-next-btn {
+      width: 100%;
+      margin-top: 1rem;
+    }
+    
+    .riddle-attempts {
+      margin-top: 0.75rem;
+      text-align: center;
+      font-size: 0.9rem;
+      color: #64748b;
+    }
+    
+    #riddle-container.cooling-down {
+      opacity: 0.5;
+      pointer-events: none;
+    }
+    
     .success-overlay {
       position: fixed;
       top: 0;
@@ -1091,6 +1630,19 @@ function addGameStyles() {
     .hint-container {
       padding: 0.75rem 1rem;
     }
+    
+    .hint-unlock-row {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 0.5rem;
+      margin-top: 0.5rem;
+    }
+    
+    .hint-next {
+      font-size: 0.8rem;
+      color: rgba(255, 255, 255, 0.8);
+    }
   `;
   document.head.appendChild(style);
 }
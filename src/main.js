@@ -14,7 +14,9 @@ import './components/ui/index.js';
 // Import game modules
 import { initSetup } from './setup.js';
 import { initGame } from './game.js';
-import { loadLevels, setActiveLevelId } from './data/default-treasures.js';
+import { initLevelStore, loadLevels, setActiveLevelId } from './data/default-treasures.js';
+import { readShareCodeFromUrl, clearShareCodeFromUrl, decodeShareCode } from './data/level-package.js';
+import { escapeHtml } from './utils/escape-html.js';
 
 /**
  * App Mode
@@ -25,10 +27,42 @@ import { loadLevels, setActiveLevelId } from './data/default-treasures.js';
 let currentMode = 'home';
 
 /**
- * Initialize app
+ * Level received through a share link (#level=...), waiting for the user on the home screen
+ * { doc } once decoded, { error: true } when the link was damaged, null when none
  */
-function initApp() {
+let pendingShare = null;
+
+/** Saved levels come from a newer app version: none were loaded and saving is refused */
+let newerSchemaStored = false;
+
+/**
+ * Initialize app (levels are loaded from IndexedDB before the first screen)
+ */
+async function initApp() {
+  ({ newerSchema: newerSchemaStored } = await initLevelStore());
+  await checkShareLink();
   renderHome();
+  // A share link opened while the app is already open only changes the fragment
+  window.addEventListener('hashchange', async () => {
+    if (await checkShareLink()) switchMode('home');
+  });
+}
+
+/**
+ * Pick up a share code from the URL fragment and remove it from the address bar
+ * @returns {Promise<boolean>} Whether there was one
+ */
+async function checkShareLink() {
+  const code = readShareCodeFromUrl();
+  if (!code) return false;
+  clearShareCodeFromUrl();
+  try {
+    pendingShare = { doc: await decodeShareCode(code) };
+  } catch (err) {
+    console.error('Share link decode error:', err);
+    pendingShare = { error: true };
+  }
+  return true;
 }
 
 /**
@@ -53,6 +87,23 @@ function renderHome() {
         </button>
       </div>
       
+      ${newerSchemaStored ? `
+        <p class="storage-warning-banner">
+          저장된 레벨이 더 새로운 버전의 앱에서 만들어져서 불러오지 못했어요.
+          앱을 새로 고침해서 최신 버전으로 열어주세요. 그 전까지는 아무것도 저장되지 않아요.
+        </p>
+      ` : ''}
+      
+      ${pendingShare ? `
+        <div class="shared-level-banner">
+          <p id="shared-level-message"></p>
+          <div class="shared-level-actions">
+            ${pendingShare.error ? '' : '<button class="btn btn-primary" id="btn-import-shared">가져오기</button>'}
+            <button class="btn btn-secondary" id="btn-dismiss-shared">${pendingShare.error ? '닫기' : '무시'}</button>
+          </div>
+        </div>
+      ` : ''}
+      
       <p class="game-info">
         부모님이 먼저 보물 위치를 설정하고,<br>
         아이들이 AR로 보물을 찾는 게임입니다.
@@ -60,6 +111,22 @@ function renderHome() {
     </div>
   `;
 
+  if (pendingShare) {
+    const name = pendingShare.doc?.levels?.[0]?.name || '레벨';
+    document.getElementById('shared-level-message').textContent = pendingShare.error
+      ? '공유 링크가 손상되어 레벨을 읽을 수 없어요.'
+      : `📨 공유받은 레벨 "${name}"을(를) 가져올까요?`;
+    document.getElementById('btn-import-shared')?.addEventListener('click', () => {
+      const sharedLevel = pendingShare.doc;
+      pendingShare = null;
+      switchMode('setup', { sharedLevel });
+    });
+    document.getElementById('btn-dismiss-shared').addEventListener('click', () => {
+      pendingShare = null;
+      renderHome();
+    });
+  }
+
   document.getElementById('btn-setup').addEventListener('click', () => {
     switchMode('setup');
   });
@@ -72,8 +139,9 @@ function renderHome() {
 /**
  * Switch app mode
  * @param {string} mode - 'home' | 'setup' | 'play'
+ * @param {{ sharedLevel?: Object }} [opts] - Passed to setup (shared level to import)
  */
-export function switchMode(mode) {
+export function switchMode(mode, opts = {}) {
   currentMode = mode;
   const app = document.getElementById('app');
   
@@ -83,7 +151,7 @@ export function switchMode(mode) {
       break;
     case 'setup':
       app.innerHTML = '<div id="setup-container"></div>';
-      initSetup(document.getElementById('setup-container'), () => switchMode('home'));
+      initSetup(document.getElementById('setup-container'), () => switchMode('home'), opts);
       break;
     case 'play':
       app.innerHTML = '<div id="game-container"></div>';
@@ -127,8 +195,8 @@ function startPlay(gameContainer, backToHome) {
       <p class="hint-text">플레이할 레벨을 선택하세요.</p>
       <div class="level-picker-list">
         ${sorted.map((level) => `
-          <button class="level-picker-btn" data-level-id="${level.id}">
-            <span class="level-picker-name">${level.name || '레벨'}</span>
+          <button class="level-picker-btn" data-level-id="${escapeHtml(level.id)}">
+            <span class="level-picker-name">${escapeHtml(level.name || '레벨')}</span>
             <span class="level-picker-meta">보물 ${(level.items || []).length}개</span>
           </button>
         `).join('')}
@@ -148,9 +216,9 @@ function startPlay(gameContainer, backToHome) {
 }
 
 // Start app when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
   try {
-    initApp();
+    await initApp();
   } catch (err) {
     console.error('App init error:', err);
     const app = document.getElementById('app');
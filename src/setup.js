@@ -14,9 +14,27 @@ import {
   reorderLevels,
   saveLevel,
   loadTreasures,
-  saveTreasures
+  saveTreasures,
+  getTreasureHints,
+  onStorageError,
+  exportTreasures,
+  readImportFile,
+  prepareImport,
+  getImportPreview,
+  getImportRiddleCollisions,
+  getImportedLevels,
+  importTreasures
 } from './data/default-treasures.js';
-import { riddleBank, getRiddlesByCategory, getRiddlesByDifficulty } from './data/riddles/index.js';
+import { getAllRiddles, getRiddlesByCategory, getRiddlesByDifficulty, getRiddlesByRule } from './data/riddles/index.js';
+import {
+  loadRiddlePacks,
+  getRiddlePack,
+  createRiddlePack,
+  saveRiddlePack,
+  deleteRiddlePack,
+  saveRiddleToPack,
+  deleteRiddleFromPack
+} from './data/riddle-packs.js';
 import { getEmbeddingFromCrop } from './utils/feature-embedding.js';
 import { loadDetectionModel, runDetection } from './utils/detection.js';
 import { getSegmentMasks, isSegmentAvailableForClass } from './utils/segment-helper.js';
@@ -25,6 +43,18 @@ import { CaptureEditModel } from './utils/capture-edit-model.js';
 import { CaptureEditView } from './utils/capture-edit-view.js';
 import { MediaDetectionView } from './utils/media-detection-view.js';
 import { cameraDetectionStore } from './stores/camera-detection.js';
+import { RiddleEditorView, getCustomRiddleTypes } from './utils/riddle-editor-view.js';
+import { HintEditorView, getHintTypes } from './utils/hint-editor-view.js';
+import { buildPhotoChoice, cropSelectedTarget } from './utils/photo-choice.js';
+import { inferRoom } from './utils/room-inference.js';
+import { buildAutoHint } from './utils/auto-hint.js';
+import { escapeHtml } from './utils/escape-html.js';
+import {
+  downloadLevelPackage,
+  canShareAsCode,
+  encodeShareCode,
+  getShareUrl
+} from './data/level-package.js';
 
 /**
  * Resolves when the video has valid dimensions and at least one frame has been painted (avoids first-frame no detection).
@@ -51,16 +81,33 @@ let treasures = [];
 let currentTreasureIndex = 0;
 /** When in level-edit screen, the level we're editing */
 let currentLevelId = null;
+let unsubscribeStorageError = null;
 
 /**
  * Initialize setup screen
  * @param {HTMLElement} containerEl - Container element
  * @param {Function} backCallback - Callback to return to home
+ * @param {{ sharedLevel?: Object }} [opts] - sharedLevel: decoded share code to offer for import
  */
-export function initSetup(containerEl, backCallback) {
+export function initSetup(containerEl, backCallback, opts = {}) {
   container = containerEl;
   onBack = backCallback;
+  unsubscribeStorageError?.();
+  unsubscribeStorageError = onStorageError(({ quota, newerSchema }) => {
+    if (newerSchema) {
+      showSetupToast('저장된 레벨이 더 새로운 버전의 앱에서 만들어져 저장할 수 없어요. 앱을 새로 고침해주세요.', 'error', 6000);
+      return;
+    }
+    showSetupToast(
+      quota
+        ? '저장 공간이 가득 차서 저장하지 못했어요. 쓰지 않는 레벨이나 영상·사진 힌트를 지워주세요.'
+        : '저장에 실패했습니다. 다시 시도해주세요.',
+      'error',
+      quota ? 6000 : undefined
+    );
+  });
   renderLevelList();
+  if (opts.sharedLevel) startLevelImport(() => prepareImport(opts.sharedLevel));
   loadObjectDetectionModel(true).catch(() => {});
 }
 
@@ -118,6 +165,7 @@ function renderLevelList() {
   currentLevelId = null;
   const { levels } = loadLevels();
   const sortedLevels = [...levels].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  const packs = loadRiddlePacks();
 
   container.innerHTML = `
     <div class="setup-screen">
@@ -132,20 +180,47 @@ function renderLevelList() {
           <div id="levels-container" class="level-list-container">
             ${sortedLevels.length === 0 ? '<p class="empty-message">등록된 레벨이 없습니다.</p>' : ''}
             ${sortedLevels.map((level, index) => `
-              <div class="level-item" data-level-id="${level.id}">
+              <div class="level-item" data-level-id="${escapeHtml(level.id)}">
                 <span class="level-order">${index + 1}</span>
                 <div class="level-info">
-                  <span class="level-name">${level.name || `레벨 ${index + 1}`}</span>
+                  <span class="level-name">${escapeHtml(level.name || `레벨 ${index + 1}`)}</span>
                   <span class="level-meta">보물 ${(level.items || []).length}개</span>
                 </div>
                 <div class="level-actions">
                   <button class="btn btn-secondary btn-small btn-edit-level">편집</button>
+                  <button class="btn btn-secondary btn-small btn-share-level">공유</button>
                   <button class="btn btn-danger btn-small btn-delete-level">삭제</button>
                 </div>
               </div>
             `).join('')}
           </div>
           <button class="btn btn-primary" id="btn-add-level" style="width: 100%; margin-top: 1rem;">+ 레벨 추가</button>
+          <div class="level-io-actions">
+            <button class="btn btn-secondary btn-small" id="btn-export-levels" ${sortedLevels.length === 0 ? 'disabled' : ''}>📤 파일로 내보내기</button>
+            <button class="btn btn-secondary btn-small" id="btn-import-levels">📥 파일에서 가져오기</button>
+            <input type="file" id="import-levels-file" accept="application/json,.json" hidden>
+          </div>
+        </section>
+        <section class="riddle-pack-list card" style="margin-top: 1rem;">
+          <h2>내 문제집</h2>
+          <p class="hint-text">직접 만든 문제를 모아두고 여러 레벨에서 다시 사용할 수 있어요.</p>
+          <div id="packs-container">
+            ${packs.length === 0 ? '<p class="empty-message">만든 문제집이 없습니다.</p>' : ''}
+            ${packs.map((pack) => `
+              <div class="level-item pack-item" data-pack-id="${escapeHtml(pack.id)}">
+                <span class="level-order">📝</span>
+                <div class="level-info">
+                  <span class="level-name">${escapeHtml(pack.name || '문제집')}</span>
+                  <span class="level-meta">문제 ${(pack.items || []).length}개</span>
+                </div>
+                <div class="level-actions">
+                  <button class="btn btn-secondary btn-small btn-edit-pack">편집</button>
+                  <button class="btn btn-danger btn-small btn-delete-pack">삭제</button>
+                </div>
+              </div>
+            `).join('')}
+          </div>
+          <button class="btn btn-primary" id="btn-add-pack" style="width: 100%; margin-top: 1rem;">+ 문제집 추가</button>
         </section>
       </div>
     </div>
@@ -159,10 +234,20 @@ function renderLevelList() {
     renderLevelEdit(level.id);
   });
 
+  document.getElementById('btn-export-levels').addEventListener('click', () => exportTreasures());
+  const importInput = document.getElementById('import-levels-file');
+  document.getElementById('btn-import-levels').addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (file) await startLevelImport(() => readImportFile(file));
+  });
+
   sortedLevels.forEach((level) => {
-    const el = container.querySelector(`[data-level-id="${level.id}"]`);
+    const el = container.querySelector(`[data-level-id="${CSS.escape(level.id)}"]`);
     if (!el) return;
     el.querySelector('.btn-edit-level')?.addEventListener('click', () => renderLevelEdit(level.id));
+    el.querySelector('.btn-share-level')?.addEventListener('click', () => showLevelShareDialog(level));
     el.querySelector('.btn-delete-level')?.addEventListener('click', () => {
       if (confirm(`"${level.name || '이 레벨'}"을(를) 삭제하시겠습니까?`)) {
         deleteLevel(level.id);
@@ -171,6 +256,23 @@ function renderLevelList() {
     });
   });
 
+  document.getElementById('btn-add-pack').addEventListener('click', () => {
+    const pack = createRiddlePack('새 문제집');
+    if (pack) renderPackEdit(pack.id);
+  });
+
+  packs.forEach((pack) => {
+    const el = container.querySelector(`[data-pack-id="${CSS.escape(pack.id)}"]`);
+    if (!el) return;
+    el.querySelector('.btn-edit-pack')?.addEventListener('click', () => renderPackEdit(pack.id));
+    el.querySelector('.btn-delete-pack')?.addEventListener('click', () => {
+      if (confirm(`"${pack.name || '이 문제집'}"을(를) 삭제하시겠습니까?\n이 문제집의 문제를 쓰는 보물은 기본 문제로 바뀝니다.`)) {
+        deleteRiddlePack(pack.id);
+        renderLevelList();
+      }
+    });
+  });
+
   const levelsContainer = document.getElementById('levels-container');
   if (levelsContainer && sortedLevels.length > 0) {
     new Sortable(levelsContainer, {
@@ -184,6 +286,466 @@ function renderLevelList() {
   }
 }
 
+/**
+ * Import levels (file or share code): read + validate, then show the preview or the error report
+ * @param {() => Promise<import('./data/default-treasures.js').ImportPlan>} readPlan
+ */
+async function startLevelImport(readPlan) {
+  let plan;
+  try {
+    plan = await readPlan();
+  } catch (err) {
+    console.error('Import read error:', err);
+    let message = '레벨 파일을 읽을 수 없어요. 내보내기로 만든 JSON 파일인지 확인하세요.';
+    if (/schema version/.test(err.message)) message = '더 새로운 버전에서 만든 파일이라 읽을 수 없어요.';
+    else if (/Checksum/.test(err.message)) message = '파일이 손상되었어요. 받은 파일을 다시 확인해주세요.';
+    showSetupToast(message, 'error');
+    return;
+  }
+
+  if (plan.errors.length > 0) {
+    showImportReport(plan);
+  } else {
+    showImportPreview(plan, false);
+  }
+}
+
+/**
+ * @param {import('./data/default-treasures.js').ImportPlan} plan
+ * @param {{ partial: boolean, mode: 'merge'|'replace', resolutions: Object }} opts
+ */
+async function finishLevelImport(plan, opts) {
+  // Counted before saving: afterwards every imported id is a saved one
+  const imported = getImportedLevels(plan, opts);
+  if (!(await importTreasures(plan, opts))) return;
+  const count = imported.reduce((sum, level) => sum + level.items.length, 0);
+  showSetupToast(`레벨 ${imported.length}개, 보물 ${count}개를 가져왔어요.`, 'success');
+  renderLevelList();
+}
+
+/**
+ * Validation report for an import: one line per field error, then refuse or import the valid part
+ * @param {import('./data/default-treasures.js').ImportPlan} plan
+ */
+function showImportReport(plan) {
+  document.querySelector('.import-report-backdrop')?.remove();
+  const canImport = plan.levels.length > 0;
+  const backdrop = document.createElement('div');
+  backdrop.className = 'import-report-backdrop';
+  backdrop.innerHTML = `
+    <div class="import-report card" role="dialog" aria-modal="true">
+      <h2>가져올 파일에 문제가 ${plan.errors.length}개 있어요</h2>
+      <ul class="import-report-list">
+        ${plan.errors.map((e) => `
+          <li>
+            <span class="import-report-where">${escapeHtml(e.level)}${e.treasure ? ` › ${escapeHtml(e.treasure)}` : ''}</span>
+            ${e.field ? `<code>${escapeHtml(e.field)}</code>` : ''}
+            <span class="import-report-message">${escapeHtml(e.message)}</span>
+          </li>
+        `).join('')}
+      </ul>
+      <p class="hint-text">
+        ${canImport
+          ? `문제 있는 보물 ${plan.droppedTreasures}개를 빼고 나머지만 가져올 수 있어요.`
+          : '가져올 수 있는 레벨이 없어요.'}
+      </p>
+      <div class="import-report-actions">
+        <button class="btn btn-secondary" id="btn-import-refuse">가져오지 않기</button>
+        <button class="btn btn-primary" id="btn-import-partial" ${canImport ? '' : 'disabled'}>문제 있는 것 빼고 가져오기</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(backdrop);
+  addSetupStyles();
+
+  backdrop.querySelector('#btn-import-refuse').addEventListener('click', () => backdrop.remove());
+  backdrop.querySelector('#btn-import-partial').addEventListener('click', () => {
+    backdrop.remove();
+    showImportPreview(plan, true);
+  });
+}
+
+/** Photo size choices for level packages (px, '' = keep) */
+const PACKAGE_IMAGE_SIZES = [
+  ['', '원본 크기'],
+  ['1024', '1024px (보통)'],
+  ['512', '512px (작게)']
+];
+
+/**
+ * Share one level: package file (photos re-encoded, optional downscale) or, for
+ * levels without photos/recordings, a link carrying the share code
+ * @param {Object} level
+ */
+async function showLevelShareDialog(level) {
+  document.querySelector('.import-report-backdrop')?.remove();
+  const shareable = canShareAsCode(level);
+  const backdrop = document.createElement('div');
+  backdrop.className = 'import-report-backdrop';
+  backdrop.innerHTML = `
+    <div class="import-report card" role="dialog" aria-modal="true">
+      <h2>"${escapeHtml(level.name || '레벨')}" 공유</h2>
+      <div class="form-group">
+        <label class="form-label">사진 크기</label>
+        <select class="form-input" id="package-image-size">
+          ${PACKAGE_IMAGE_SIZES.map(([value, label]) => `<option value="${value}" ${value === '1024' ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>
+      </div>
+      <button class="btn btn-primary" id="btn-download-package" style="width: 100%;">📦 레벨 파일 내보내기</button>
+      <div class="form-group level-share-link">
+        <label class="form-label">공유 링크</label>
+        ${shareable
+          ? '<input type="text" class="form-input" id="share-link" readonly value="만드는 중...">'
+          : '<p class="hint-text">사진이나 녹음이 들어 있는 레벨은 링크로 보낼 수 없어요. 레벨 파일로 보내주세요.</p>'}
+      </div>
+      <div class="import-report-actions">
+        <button class="btn btn-secondary" id="btn-share-close">닫기</button>
+        ${shareable ? '<button class="btn btn-primary" id="btn-share-link" disabled>🔗 링크 보내기</button>' : ''}
+      </div>
+    </div>
+  `;
+  document.body.appendChild(backdrop);
+  addSetupStyles();
+
+  backdrop.querySelector('#btn-share-close').addEventListener('click', () => backdrop.remove());
+  const downloadBtn = backdrop.querySelector('#btn-download-package');
+  downloadBtn.addEventListener('click', async () => {
+    const maxImageSize = parseInt(backdrop.querySelector('#package-image-size').value) || undefined;
+    downloadBtn.disabled = true;
+    downloadBtn.textContent = '만드는 중...';
+    try {
+      await downloadLevelPackage(level, { maxImageSize });
+    } catch (err) {
+      console.error('Level package error:', err);
+      showSetupToast('레벨 파일을 만들지 못했어요.', 'error');
+    } finally {
+      downloadBtn.disabled = false;
+      downloadBtn.textContent = '📦 레벨 파일 내보내기';
+    }
+  });
+
+  if (!shareable) return;
+  const linkInput = backdrop.querySelector('#share-link');
+  const linkBtn = backdrop.querySelector('#btn-share-link');
+  const code = await encodeShareCode(level).catch((err) => {
+    console.error('Share code error:', err);
+    return null;
+  });
+  if (!code) {
+    linkInput.replaceWith(Object.assign(document.createElement('p'), {
+      className: 'hint-text',
+      textContent: '레벨이 커서 링크로 보낼 수 없어요. 레벨 파일로 보내주세요.'
+    }));
+    linkBtn.remove();
+    return;
+  }
+  const url = getShareUrl(code);
+  linkInput.value = url;
+  linkInput.addEventListener('focus', () => linkInput.select());
+  linkBtn.disabled = false;
+  linkBtn.addEventListener('click', async () => {
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: `보물찾기 레벨: ${level.name || '레벨'}`, url });
+      } else {
+        await navigator.clipboard.writeText(url);
+        showSetupToast('링크를 복사했어요.', 'success');
+      }
+    } catch (err) {
+      if (err?.name !== 'AbortError') {
+        linkInput.select();
+        showSetupToast('링크를 길게 눌러 복사해주세요.', 'error');
+      }
+    }
+  });
+}
+
+/** Labels for what happens to an imported level whose id is already saved */
+const IMPORT_RESOLUTIONS = {
+  rename: '새 이름으로 추가',
+  overwrite: '덮어쓰기',
+  skip: '건너뛰기'
+};
+
+/**
+ * Pre-import preview: merge (per-level rename / overwrite / skip on id collisions) or replace all.
+ * Riddles whose id is already used by a different riddle are listed (they come in as copies).
+ * @param {import('./data/default-treasures.js').ImportPlan} plan
+ * @param {boolean} partial - Plan had errors and the parent chose to import the valid part
+ */
+function showImportPreview(plan, partial) {
+  document.querySelector('.import-report-backdrop')?.remove();
+  const preview = getImportPreview(plan);
+  const savedCount = loadLevels().levels.length;
+  const resolutions = Object.fromEntries(
+    preview.filter((p) => p.existingName != null).map((p) => [p.id, 'rename'])
+  );
+  let mode = 'merge';
+
+  const backdrop = document.createElement('div');
+  backdrop.className = 'import-report-backdrop';
+  backdrop.innerHTML = `
+    <div class="import-report card" role="dialog" aria-modal="true">
+      <h2>가져오기 미리보기</h2>
+      ${plan.append ? '' : `
+        <div class="import-mode">
+          <label><input type="radio" name="import-mode" value="merge" checked> 내 레벨에 합치기</label>
+          <label><input type="radio" name="import-mode" value="replace"> 모두 바꾸기</label>
+        </div>
+      `}
+      <ul class="import-report-list" id="import-preview-list"></ul>
+      <div class="import-report-actions">
+        <button class="btn btn-secondary" id="btn-import-cancel">취소</button>
+        <button class="btn btn-primary" id="btn-import-confirm">가져오기</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(backdrop);
+  addSetupStyles();
+
+  const listEl = backdrop.querySelector('#import-preview-list');
+  const confirmBtn = backdrop.querySelector('#btn-import-confirm');
+  const treasureLine = (label, names) => (names.length > 0
+    ? `<span class="import-preview-treasures">${label} ${names.length}: ${names.map(escapeHtml).join(', ')}</span>`
+    : '');
+
+  const renderList = () => {
+    const replace = mode === 'replace';
+    listEl.innerHTML = (replace && savedCount > 0
+      ? `<li class="import-preview-warning">⚠️ 지금 있는 레벨 ${savedCount}개가 모두 지워져요.</li>`
+      : '') + preview.map((p) => {
+      const conflict = !replace && p.existingName != null;
+      const resolution = resolutions[p.id];
+      let status = '새 레벨';
+      let treasures = treasureLine('보물', p.treasures);
+      if (conflict && resolution === 'overwrite') {
+        status = `"${escapeHtml(p.existingName)}" 덮어쓰기`;
+        treasures = [
+          treasureLine('추가', p.added),
+          treasureLine('변경', p.changed),
+          treasureLine('삭제', p.removed),
+          p.unchanged > 0 ? `<span class="import-preview-treasures">그대로 ${p.unchanged}개</span>` : ''
+        ].join('');
+      } else if (conflict && resolution === 'rename') {
+        status = `"${escapeHtml(p.copyName)}"(으)로 추가`;
+      } else if (conflict) {
+        status = '가져오지 않음';
+        treasures = '';
+      }
+      return `
+        <li>
+          <span class="import-report-where">${escapeHtml(p.name || '레벨')}</span>
+          <span class="import-preview-status">${status}</span>
+          ${conflict ? `
+            <span class="import-preview-conflict">
+              같은 레벨 "${escapeHtml(p.existingName)}"이(가) 이미 있어요:
+              <select class="form-input" data-resolution-for="${escapeHtml(p.id)}">
+                ${Object.entries(IMPORT_RESOLUTIONS).map(([value, label]) => `
+                  <option value="${value}" ${resolution === value ? 'selected' : ''}>${label}</option>
+                `).join('')}
+              </select>
+            </span>
+          ` : ''}
+          ${treasures}
+        </li>
+      `;
+    }).join('') + getImportRiddleCollisions(plan, { mode, resolutions }).map((c) => `
+      <li class="import-preview-warning">
+        ⚠️ 문제 "${escapeHtml(c.question)}"${c.packName ? ` (${escapeHtml(c.packName)})` : ''}:
+        같은 id(${escapeHtml(c.id)})의 다른 문제가 이미 있어요. 저장된 문제는 그대로 두고 새 문제로 추가해요.
+      </li>
+    `).join('');
+
+    listEl.querySelectorAll('[data-resolution-for]').forEach((select) => {
+      select.addEventListener('change', () => {
+        resolutions[select.dataset.resolutionFor] = select.value;
+        renderList();
+      });
+    });
+    confirmBtn.disabled = !replace && preview.every((p) => resolutions[p.id] === 'skip');
+  };
+  renderList();
+
+  backdrop.querySelectorAll('input[name="import-mode"]').forEach((radio) => {
+    radio.addEventListener('change', () => {
+      mode = radio.value;
+      renderList();
+    });
+  });
+  backdrop.querySelector('#btn-import-cancel').addEventListener('click', () => backdrop.remove());
+  confirmBtn.addEventListener('click', async () => {
+    if (mode === 'replace' && savedCount > 0
+      && !confirm(`지금 있는 레벨 ${savedCount}개를 모두 지우고 가져올까요?`)) return;
+    backdrop.remove();
+    await finishLevelImport(plan, { partial, mode, resolutions });
+  });
+}
+
+/**
+ * Render riddle pack edit screen — pack name + riddle list
+ * @param {string} packId
+ */
+function renderPackEdit(packId) {
+  const pack = getRiddlePack(packId);
+  if (!pack) {
+    renderLevelList();
+    return;
+  }
+  const items = pack.items || [];
+
+  container.innerHTML = `
+    <div class="setup-screen">
+      <header class="setup-header">
+        <button class="btn btn-secondary" id="btn-back-pack">← 레벨 목록으로</button>
+        <h1>${escapeHtml(pack.name || '문제집')}</h1>
+      </header>
+      <div class="setup-content">
+        <section class="card">
+          <h2>문제집 정보</h2>
+          <div class="form-group">
+            <label class="form-label">문제집 이름</label>
+            <input type="text" class="form-input" id="pack-name" value="${escapeHtml(pack.name || '')}" placeholder="예: 우리집 동물 퀴즈">
+          </div>
+          <button class="btn btn-success" id="btn-save-pack-name" style="width: 100%;">이름 저장</button>
+        </section>
+        <section class="card" style="margin-top: 1rem;">
+          <h2>문제 목록</h2>
+          <div id="pack-riddles" class="riddle-cards">
+            ${items.length === 0 ? '<p class="no-riddles">아직 문제가 없습니다.</p>' : ''}
+            ${items.map((r) => renderRiddleCard(r, {
+              actions: `
+                <button class="btn btn-secondary btn-small btn-edit-riddle">수정</button>
+                <button class="btn btn-danger btn-small btn-delete-riddle">삭제</button>
+              `
+            })).join('')}
+          </div>
+          <button class="btn btn-primary" id="btn-add-pack-riddle" style="width: 100%; margin-top: 1rem;">+ 문제 추가</button>
+        </section>
+      </div>
+    </div>
+  `;
+
+  addSetupStyles();
+
+  document.getElementById('btn-back-pack').addEventListener('click', () => renderLevelList());
+  document.getElementById('btn-save-pack-name').addEventListener('click', () => {
+    const name = document.getElementById('pack-name').value.trim();
+    if (!name) {
+      showSetupToast('문제집 이름을 입력하세요.', 'error');
+      return;
+    }
+    if (!saveRiddlePack({ ...pack, name })) return;
+    showSetupToast('저장되었습니다.', 'success');
+    renderPackEdit(packId);
+  });
+  document.getElementById('btn-add-pack-riddle').addEventListener('click', () => {
+    renderPackRiddleEditor(packId, null);
+  });
+
+  container.querySelectorAll('#pack-riddles .riddle-card').forEach((card) => {
+    const riddle = items.find((r) => r.id === card.dataset.id);
+    if (!riddle) return;
+    card.querySelector('.btn-edit-riddle')?.addEventListener('click', () => renderPackRiddleEditor(packId, riddle));
+    card.querySelector('.btn-delete-riddle')?.addEventListener('click', () => {
+      if (confirm('이 문제를 삭제하시겠습니까?')) {
+        deleteRiddleFromPack(packId, riddle.id);
+        renderPackEdit(packId);
+      }
+    });
+  });
+}
+
+/**
+ * Render editor for one riddle in a pack (type form + live preview)
+ * @param {string} packId
+ * @param {Object|null} riddle - Existing pack riddle or null for new
+ */
+function renderPackRiddleEditor(packId, riddle) {
+  const isNew = !riddle;
+  const category = riddle?.category || 'custom';
+  const difficulty = riddle?.difficulty || 'easy';
+
+  container.innerHTML = `
+    <div class="setup-screen">
+      <header class="setup-header">
+        <button class="btn btn-secondary" id="btn-back-pack-riddle">← 문제집으로</button>
+        <h1>${isNew ? '새 문제' : '문제 수정'}</h1>
+      </header>
+      <div class="setup-content">
+        <section class="card">
+          <div class="riddle-filters">
+            <div class="form-group" style="flex: 1;">
+              <label class="form-label">카테고리</label>
+              <select class="form-input" id="pack-riddle-category">
+                ${Object.keys(CATEGORY_LABELS).map((c) => `
+                  <option value="${c}" ${c === category ? 'selected' : ''}>${getCategoryLabel(c)}</option>
+                `).join('')}
+              </select>
+            </div>
+            <div class="form-group" style="flex: 1;">
+              <label class="form-label">난이도</label>
+              <select class="form-input" id="pack-riddle-difficulty">
+                <option value="easy" ${difficulty === 'easy' ? 'selected' : ''}>⭐ 쉬움</option>
+                <option value="medium" ${difficulty === 'medium' ? 'selected' : ''}>⭐⭐ 보통</option>
+                <option value="hard" ${difficulty === 'hard' ? 'selected' : ''}>⭐⭐⭐ 어려움</option>
+              </select>
+            </div>
+          </div>
+          <div class="form-group">
+            <label class="form-label">문제 유형</label>
+            <select class="form-input" id="pack-riddle-type">
+              ${getCustomRiddleTypes().map(({ type, label }) => `
+                <option value="${type}">${label}</option>
+              `).join('')}
+            </select>
+          </div>
+          <div id="pack-riddle-form"></div>
+          <div class="riddle-preview">
+            <p class="riddle-preview-label">미리보기</p>
+            <div id="pack-riddle-preview" class="riddle-preview-stage"></div>
+          </div>
+        </section>
+        <button class="btn btn-success btn-large" id="btn-save-pack-riddle" style="width: 100%; margin-top: 1rem;">
+          ${isNew ? '문제 추가' : '저장'}
+        </button>
+      </div>
+    </div>
+  `;
+
+  addSetupStyles();
+
+  const typeSelect = document.getElementById('pack-riddle-type');
+  const editor = new RiddleEditorView(
+    document.getElementById('pack-riddle-form'),
+    document.getElementById('pack-riddle-preview')
+  );
+  editor.setRiddle(riddle);
+  typeSelect.value = editor.type;
+  typeSelect.addEventListener('change', () => editor.setType(typeSelect.value));
+
+  document.getElementById('btn-back-pack-riddle').addEventListener('click', () => {
+    editor.destroy();
+    renderPackEdit(packId);
+  });
+  document.getElementById('btn-save-pack-riddle').addEventListener('click', () => {
+    const result = editor.getRiddle();
+    if (result.error) {
+      showSetupToast(result.error, 'error');
+      return;
+    }
+    const saved = saveRiddleToPack(packId, {
+      ...(riddle?.id ? { id: riddle.id } : {}),
+      category: document.getElementById('pack-riddle-category').value,
+      difficulty: document.getElementById('pack-riddle-difficulty').value,
+      ...result.riddle
+    });
+    // Not stored (toast shown via onStorageError): stay in the editor so nothing typed is lost
+    if (!saved) return;
+    editor.destroy();
+    renderPackEdit(packId);
+  });
+}
+
 /**
  * Enter level edit (2단계): set current level and render level-edit screen
  * @param {string} levelId
@@ -206,7 +768,7 @@ function renderLevelEditScreen() {
     <div class="setup-screen">
       <header class="setup-header">
         <button class="btn btn-secondary" id="btn-back-level">← 레벨 목록으로</button>
-        <h1>${levelName}</h1>
+        <h1>${escapeHtml(levelName)}</h1>
       </header>
       <div class="setup-content">
         <section class="treasure-list card">
@@ -229,6 +791,58 @@ function renderLevelEditScreen() {
             <input type="number" class="form-input" id="score-decay" 
                    value="${treasures.scoreDecayPerSecond || 1}" min="0" step="0.5">
           </div>
+          <div class="form-group">
+            <label class="form-label">힌트 사용 시 차감 점수</label>
+            <input type="number" class="form-input" id="hint-cost" 
+                   value="${treasures.hintCost ?? 50}" min="0" step="10">
+          </div>
+          <div class="form-group">
+            <label class="form-label">수수께끼 최대 시도 횟수 (0 = 무제한)</label>
+            <input type="number" class="form-input" id="max-attempts" 
+                   value="${treasures.maxAttempts ?? 0}" min="0" step="1">
+          </div>
+          <div class="form-group">
+            <label class="form-label">오답 시 차감 점수</label>
+            <input type="number" class="form-input" id="wrong-penalty" 
+                   value="${treasures.wrongPenalty ?? 0}" min="0" step="10">
+          </div>
+          <div class="form-group">
+            <label class="form-label">오답 후 다시 풀기까지 대기 (초)</label>
+            <input type="number" class="form-input" id="retry-cooldown" 
+                   value="${treasures.retryCooldown ?? 0}" min="0" step="1">
+          </div>
+          <div class="form-group">
+            <label class="form-label">시도 횟수를 다 쓰면</label>
+            <select class="form-input" id="on-attempts-exhausted">
+              <option value="reveal" ${treasures.onAttemptsExhausted !== 'skip' ? 'selected' : ''}>정답 보여주고 다음 보물로</option>
+              <option value="skip" ${treasures.onAttemptsExhausted === 'skip' ? 'selected' : ''}>정답 없이 다음 보물로 건너뛰기</option>
+            </select>
+          </div>
+          <div class="form-group">
+            <label class="form-label">수수께끼 제한 시간 (초, 0 = 제한 없음)</label>
+            <input type="number" class="form-input" id="riddle-time-limit" 
+                   value="${treasures.riddleTimeLimit ?? 0}" min="0" step="5">
+          </div>
+          <div class="form-group">
+            <label class="form-label">시간이 다 되면</label>
+            <select class="form-input" id="timeout-action">
+              <option value="penalty" ${treasures.timeoutAction !== 'skip' ? 'selected' : ''}>점수 차감 후 계속 풀기</option>
+              <option value="skip" ${treasures.timeoutAction === 'skip' ? 'selected' : ''}>다음 보물로 건너뛰기</option>
+            </select>
+          </div>
+          <div class="form-group">
+            <label class="form-label">시간 초과 시 차감 점수</label>
+            <input type="number" class="form-input" id="timeout-penalty" 
+                   value="${treasures.timeoutPenalty ?? 100}" min="0" step="10">
+          </div>
+          <div class="form-group">
+            <label class="form-label">보물 온도계 (가까워지면 "뜨거워요!")</label>
+            <select class="form-input" id="proximity-meter">
+              <option value="off" ${(treasures.proximityMeter ?? 'off') === 'off' ? 'selected' : ''}>끄기</option>
+              <option value="on" ${treasures.proximityMeter === 'on' ? 'selected' : ''}>켜기</option>
+              <option value="vibrate" ${treasures.proximityMeter === 'vibrate' ? 'selected' : ''}>켜기 + 진동</option>
+            </select>
+          </div>
           <button class="btn btn-success" id="btn-save-settings" style="width: 100%; margin-top: 1rem;">설정 저장</button>
         </section>
       </div>
@@ -281,9 +895,8 @@ function renderTreasureEditor(treasure) {
     id: `treasure-${Date.now()}`,
     order: currentTreasureIndex + 1,
     name: '',
-    marker: { type: 'pattern', patternUrl: '' },
     riddle: null,
-    hint: { type: 'text', config: { value: '' } }
+    hints: [{ type: 'text', config: { value: '' } }]
   };
   
   container.innerHTML = `
@@ -300,7 +913,7 @@ function renderTreasureEditor(treasure) {
           <div class="form-group">
             <label class="form-label">보물 이름</label>
             <input type="text" class="form-input" id="treasure-name" readonly
-                   value="${treasure.name || ''}" placeholder="아래에서 보물 대상을 선택하면 자동으로 입력됩니다">
+                   value="${escapeHtml(treasure.name || '')}" placeholder="아래에서 보물 대상을 선택하면 자동으로 입력됩니다">
           </div>
         </section>
         
@@ -356,30 +969,52 @@ function renderTreasureEditor(treasure) {
             <select class="form-input" id="riddle-mode">
               <option value="bank" ${treasure.riddleId ? 'selected' : ''}>문제 뱅크에서 선택</option>
               <option value="custom" ${treasure.riddle && !treasure.riddleId ? 'selected' : ''}>직접 입력</option>
+              <option value="random" ${treasure.riddleRule ? 'selected' : ''}>게임마다 랜덤 출제</option>
             </select>
           </div>
           
+          <!-- Random Rule -->
+          <div id="riddle-random-section" style="display: none;">
+            <p class="hint-text">게임할 때마다 조건에 맞는 문제가 새로 뽑혀요. 한 게임 안에서는 같은 문제가 반복되지 않아요.</p>
+            <div class="riddle-filters">
+              <div class="form-group" style="flex: 1;">
+                <label class="form-label">카테고리</label>
+                <select class="form-input" id="rule-category">
+                  ${renderCategoryOptions(treasure.riddleRule?.packId ? `pack:${treasure.riddleRule.packId}` : treasure.riddleRule?.category ?? '')}
+                </select>
+              </div>
+              <div class="form-group" style="flex: 1;">
+                <label class="form-label">난이도</label>
+                <select class="form-input" id="rule-difficulty">
+                  ${renderDifficultyOptions(treasure.riddleRule?.difficulty ?? '')}
+                </select>
+              </div>
+            </div>
+            <div class="form-group">
+              <label class="form-label">문제 유형</label>
+              <select class="form-input" id="rule-type">
+                <option value="">전체</option>
+                ${Object.keys(TYPE_BADGES).map((type) => `
+                  <option value="${type}" ${treasure.riddleRule?.type === type ? 'selected' : ''}>${getTypeBadge(type)}</option>
+                `).join('')}
+              </select>
+            </div>
+            <p class="riddle-count" id="rule-count"></p>
+          </div>
+          
           <!-- Bank Selection (Improved) -->
           <div id="riddle-bank-section">
             <div class="riddle-filters">
               <div class="form-group" style="flex: 1;">
                 <label class="form-label">카테고리</label>
                 <select class="form-input" id="riddle-category">
-                  <option value="">전체</option>
-                  <option value="math">🔢 사칙연산</option>
-                  <option value="nonsense">😄 넌센스</option>
-                  <option value="idiom">📚 사자성어</option>
-                  <option value="english">🔤 영어</option>
-                  <option value="minigame">🎮 미니게임</option>
+                  ${renderCategoryOptions('')}
                 </select>
               </div>
               <div class="form-group" style="flex: 1;">
                 <label class="form-label">난이도</label>
                 <select class="form-input" id="riddle-difficulty">
-                  <option value="">전체</option>
-                  <option value="easy">⭐ 쉬움</option>
-                  <option value="medium">⭐⭐ 보통</option>
-                  <option value="hard">⭐⭐⭐ 어려움</option>
+                  ${renderDifficultyOptions('')}
                 </select>
               </div>
             </div>
@@ -395,21 +1030,50 @@ function renderTreasureEditor(treasure) {
             <div class="form-group">
               <label class="form-label">문제 유형</label>
               <select class="form-input" id="custom-riddle-type">
-                <option value="text">텍스트 입력</option>
-                <option value="choice">4지선다</option>
+                ${getCustomRiddleTypes().map(({ type, label }) => `
+                  <option value="${type}" ${treasure.riddle?.type === type ? 'selected' : ''}>${label}</option>
+                `).join('')}
               </select>
             </div>
-            <div class="form-group">
-              <label class="form-label">문제</label>
-              <input type="text" class="form-input" id="custom-question" 
-                     value="${treasure.riddle?.config?.question || ''}" placeholder="문제를 입력하세요">
+            <button type="button" class="btn btn-secondary" id="btn-photo-choice" style="display: none; width: 100%; margin-bottom: 1rem;">
+              📸 찍은 사진으로 그림 문제 만들기
+            </button>
+            <div id="custom-riddle-form"></div>
+            <div class="riddle-preview">
+              <p class="riddle-preview-label">미리보기</p>
+              <div id="custom-riddle-preview" class="riddle-preview-stage"></div>
             </div>
-            <div class="form-group">
-              <label class="form-label">정답</label>
-              <input type="text" class="form-input" id="custom-answer" 
-                     value="${treasure.riddle?.config?.answer || ''}" placeholder="정답을 입력하세요">
+          </div>
+        </section>
+        
+        <!-- Hint -->
+        <section class="card" style="margin-top: 1rem;">
+          <h2>힌트</h2>
+          <p class="hint-text">보물을 찾는 동안 화면 아래에 보여줄 힌트예요. 단계를 추가하면 시간이 지나거나 점수를 내고 다음 힌트를 열 수 있어요.</p>
+          <div class="hint-steps" id="hint-steps"></div>
+          <div class="form-group" id="hint-unlock-group" style="display: none;">
+            <label class="form-label">열리는 시간 (보물 찾기 시작 후 초)</label>
+            <div class="hint-unlock-input">
+              <input type="number" class="form-input" id="hint-unlock-after" min="1">
+              <button type="button" class="btn btn-secondary btn-small" id="btn-remove-hint-step">🗑️ 단계 지우기</button>
             </div>
           </div>
+          <div class="form-group">
+            <label class="form-label">힌트 종류</label>
+            <select class="form-input" id="hint-type">
+              ${getHintTypes().map(({ type, label }) => `
+                <option value="${type}">${label}</option>
+              `).join('')}
+            </select>
+          </div>
+          <div id="hint-form"></div>
+          <div class="riddle-preview">
+            <p class="riddle-preview-label">미리보기</p>
+            <div id="hint-preview" class="hint-preview-stage"></div>
+          </div>
+          <button type="button" class="btn btn-secondary" id="btn-add-blur-steps" style="width: 100%; margin-top: 1rem;">
+            🔍 점점 선명해지는 사진 힌트 3단계 추가
+          </button>
         </section>
         
         <!-- Save Button -->
@@ -437,6 +1101,8 @@ function setupEditorEvents(treasure, isNew) {
 
   document.getElementById('btn-back').addEventListener('click', () => {
     store.cleanup();
+    riddleEditor.destroy();
+    hintEditor.destroy();
     renderLevelEditScreen();
   });
 
@@ -694,7 +1360,7 @@ function setupEditorEvents(treasure, isNew) {
       objCounts[name] = (objCounts[name] || 0) + 1;
     });
     roomObjects.innerHTML = Object.entries(objCounts)
-      .map(([name, count]) => `<span class="room-obj-tag">${name}${count > 1 ? ' ×' + count : ''}</span>`)
+      .map(([name, count]) => `<span class="room-obj-tag">${escapeHtml(name)}${count > 1 ? ' ×' + count : ''}</span>`)
       .join('');
   }
   
@@ -817,6 +1483,156 @@ function setupEditorEvents(treasure, isNew) {
   const bankSection = document.getElementById('riddle-bank-section');
   const customSection = document.getElementById('riddle-custom-section');
   
+  // Custom riddle form + live preview
+  const customRiddleType = document.getElementById('custom-riddle-type');
+  const riddleEditor = new RiddleEditorView(
+    document.getElementById('custom-riddle-form'),
+    document.getElementById('custom-riddle-preview'),
+    { getCapturedImage: () => captureModel.imageData }
+  );
+  riddleEditor.setRiddle(treasure.riddle);
+  customRiddleType.value = riddleEditor.type;
+  
+  // Hint steps: one form + live preview edits the active step ("auto" derives the
+  // text from the captured object/room); later steps unlock after unlockAfter seconds
+  const hintType = document.getElementById('hint-type');
+  const hintStepsEl = document.getElementById('hint-steps');
+  const hintUnlockGroup = document.getElementById('hint-unlock-group');
+  const hintUnlockAfter = document.getElementById('hint-unlock-after');
+  let capturedCrop = null;
+  const hintEditor = new HintEditorView(
+    document.getElementById('hint-form'),
+    document.getElementById('hint-preview'),
+    {
+      getAutoHint: () => buildAutoHint(captureModel.getCapturePayload()),
+      getCapturedCrop: () => capturedCrop
+    }
+  );
+  const hintSteps = getTreasureHints(treasure).map(({ unlockAfter, ...hint }) => ({ hint, unlockAfter }));
+  if (hintSteps.length === 0) hintSteps.push({ hint: null, unlockAfter: 0 });
+  let activeHintStep = 0;
+  
+  /** Store the form into the active step; false (with a toast) when it is invalid */
+  const commitHintStep = () => {
+    const { hint, error } = hintEditor.getHint();
+    if (error) {
+      showSetupToast(`${activeHintStep + 1}단계 힌트: ${error}`, 'error');
+      return false;
+    }
+    hintSteps[activeHintStep].hint = hint;
+    return true;
+  };
+  const renderHintSteps = () => {
+    hintStepsEl.innerHTML = hintSteps.map((step, i) => `
+      <button type="button" class="hint-step-tab ${i === activeHintStep ? 'active' : ''}" data-step="${i}">
+        ${i + 1}단계${i > 0 ? ` · ${step.unlockAfter}초` : ''}
+      </button>
+    `).join('') + (hintSteps.length < MAX_HINT_STEPS
+      ? '<button type="button" class="hint-step-tab hint-step-add" data-step="add">+ 단계 추가</button>'
+      : '');
+    hintUnlockGroup.style.display = activeHintStep > 0 ? 'block' : 'none';
+    hintUnlockAfter.value = hintSteps[activeHintStep].unlockAfter;
+  };
+  const selectHintStep = (index) => {
+    activeHintStep = index;
+    hintEditor.setHint(hintSteps[index].hint);
+    hintType.value = hintEditor.type;
+    renderHintSteps();
+  };
+  const addHintStep = (hint) => {
+    const last = hintSteps[hintSteps.length - 1];
+    hintSteps.push({ hint, unlockAfter: last.unlockAfter + HINT_STEP_INTERVAL });
+  };
+  
+  hintType.addEventListener('change', () => hintEditor.setType(hintType.value));
+  hintStepsEl.addEventListener('click', (e) => {
+    const tab = e.target.closest('[data-step]');
+    if (!tab || !commitHintStep()) return;
+    if (tab.dataset.step === 'add') {
+      addHintStep({ type: 'text', config: {} });
+      selectHintStep(hintSteps.length - 1);
+    } else {
+      selectHintStep(parseInt(tab.dataset.step));
+    }
+  });
+  hintUnlockAfter.addEventListener('change', () => {
+    hintSteps[activeHintStep].unlockAfter = Math.max(1, parseInt(hintUnlockAfter.value) || 1);
+    renderHintSteps();
+  });
+  document.getElementById('btn-remove-hint-step').addEventListener('click', () => {
+    if (activeHintStep === 0) return;
+    hintSteps.splice(activeHintStep, 1);
+    selectHintStep(activeHintStep - 1);
+  });
+  document.getElementById('btn-add-blur-steps').addEventListener('click', () => {
+    if (!commitHintStep()) return;
+    const blurs = [16, 8, 3].slice(0, MAX_HINT_STEPS - hintSteps.length);
+    if (blurs.length === 0) {
+      showSetupToast(`힌트는 ${MAX_HINT_STEPS}단계까지 만들 수 있어요.`, 'error');
+      return;
+    }
+    const first = hintSteps.length;
+    blurs.forEach((blur) => addHintStep({ type: 'image', config: { blur } }));
+    selectHintStep(first);
+  });
+  selectHintStep(0);
+  
+  // Object crop of the capture for the blurred-photo hint preview
+  const refreshCapturedCrop = async () => {
+    const crop = await cropSelectedTarget({
+      imageData: captureModel.imageData,
+      sourceWidth: captureModel.sourceWidth,
+      predictions: captureModel.predictions,
+      selectedIndex: captureModel.selectedIndex
+    }).catch(() => null);
+    capturedCrop = crop ?? captureModel.imageData;
+    hintEditor.updatePreview();
+  };
+  captureModel.subscribe(refreshCapturedCrop);
+  refreshCapturedCrop();
+  
+  // "Which photo shows what you found?" from the captured image + decoy crops
+  const photoChoiceBtn = document.getElementById('btn-photo-choice');
+  const updatePhotoChoiceBtn = () => {
+    photoChoiceBtn.style.display = customRiddleType.value === 'image-choice' ? 'block' : 'none';
+  };
+  customRiddleType.addEventListener('change', () => {
+    riddleEditor.setType(customRiddleType.value);
+    updatePhotoChoiceBtn();
+  });
+  updatePhotoChoiceBtn();
+  photoChoiceBtn.addEventListener('click', async () => {
+    if (!captureModel.hasImage() || captureModel.selectedIndex == null) {
+      showSetupToast('먼저 사진을 찍고 보물 물체를 선택하세요.', 'error');
+      return;
+    }
+    photoChoiceBtn.disabled = true;
+    try {
+      const { options, answerIndex } = await buildPhotoChoice({
+        imageData: captureModel.imageData,
+        sourceWidth: captureModel.sourceWidth,
+        sourceHeight: captureModel.sourceHeight,
+        predictions: captureModel.predictions,
+        selectedIndex: captureModel.selectedIndex
+      });
+      const { riddle } = riddleEditor.getRiddle();
+      riddleEditor.setRiddle({
+        type: 'image-choice',
+        config: {
+          ...(riddle?.type === 'image-choice' ? riddle.config : {}),
+          question: '방금 찾은 물건은 어느 사진일까요?',
+          options,
+          answerIndex
+        }
+      });
+    } catch (err) {
+      console.error('Photo choice failed:', err);
+      showSetupToast('사진에서 선택지를 만들지 못했습니다.', 'error');
+    } finally {
+      photoChoiceBtn.disabled = false;
+    }
+  });
+  
   // Riddle filters - declare before using
   const riddleCategory = document.getElementById('riddle-category');
   const riddleDifficulty = document.getElementById('riddle-difficulty');
@@ -827,9 +1643,12 @@ function setupEditorEvents(treasure, isNew) {
     const category = riddleCategory.value;
     const difficulty = riddleDifficulty.value;
     
-    let riddles = [...riddleBank];
+    let riddles = getAllRiddles();
     
-    if (category) {
+    if (category.startsWith('pack:')) {
+      const packId = category.slice('pack:'.length);
+      riddles = riddles.filter(r => r.packId === packId);
+    } else if (category) {
       riddles = riddles.filter(r => r.category === category);
     }
     if (difficulty) {
@@ -843,18 +1662,9 @@ function setupEditorEvents(treasure, isNew) {
       return;
     }
     
-    riddleCards.innerHTML = riddles.map(r => `
-      <div class="riddle-card ${selectedRiddleId === r.id ? 'selected' : ''}" data-id="${r.id}">
-        <div class="riddle-card-header">
-          <span class="riddle-type-badge ${r.type}">${getTypeBadge(r.type)}</span>
-          <span class="riddle-difficulty">${getDifficultyStars(r.difficulty)}</span>
-        </div>
-        <p class="riddle-question">${r.config.question || r.config.instruction || '(미니게임)'}</p>
-        <div class="riddle-card-footer">
-          <span class="riddle-category">${getCategoryLabel(r.category)}</span>
-        </div>
-      </div>
-    `).join('');
+    riddleCards.innerHTML = riddles
+      .map(r => renderRiddleCard(r, { selected: selectedRiddleId === r.id }))
+      .join('');
     
     // Add click handlers
     riddleCards.querySelectorAll('.riddle-card').forEach(card => {
@@ -870,16 +1680,38 @@ function setupEditorEvents(treasure, isNew) {
   riddleCategory.addEventListener('change', updateRiddleCards);
   riddleDifficulty.addEventListener('change', updateRiddleCards);
   
+  // Random rule
+  const randomSection = document.getElementById('riddle-random-section');
+  const ruleCategory = document.getElementById('rule-category');
+  const ruleDifficulty = document.getElementById('rule-difficulty');
+  const ruleType = document.getElementById('rule-type');
+  const ruleCount = document.getElementById('rule-count');
+  
+  function getRiddleRule() {
+    const rule = {};
+    if (ruleCategory.value.startsWith('pack:')) rule.packId = ruleCategory.value.slice('pack:'.length);
+    else if (ruleCategory.value) rule.category = ruleCategory.value;
+    if (ruleDifficulty.value) rule.difficulty = ruleDifficulty.value;
+    if (ruleType.value) rule.type = ruleType.value;
+    return rule;
+  }
+  
+  function updateRuleCount() {
+    const count = getRiddlesByRule(getRiddleRule()).length;
+    ruleCount.textContent = count > 0
+      ? `조건에 맞는 문제 ${count}개 중에서 출제돼요.`
+      : '조건에 맞는 문제가 없습니다.';
+  }
+  
+  [ruleCategory, ruleDifficulty, ruleType].forEach(el => el.addEventListener('change', updateRuleCount));
+  
   // Riddle mode UI update function
   function updateRiddleModeUI() {
-    if (riddleMode.value === 'bank') {
-      bankSection.style.display = 'block';
-      customSection.style.display = 'none';
-      updateRiddleCards();
-    } else {
-      bankSection.style.display = 'none';
-      customSection.style.display = 'block';
-    }
+    bankSection.style.display = riddleMode.value === 'bank' ? 'block' : 'none';
+    customSection.style.display = riddleMode.value === 'custom' ? 'block' : 'none';
+    randomSection.style.display = riddleMode.value === 'random' ? 'block' : 'none';
+    if (riddleMode.value === 'bank') updateRiddleCards();
+    if (riddleMode.value === 'random') updateRuleCount();
   }
   
   riddleMode.addEventListener('change', updateRiddleModeUI);
@@ -897,6 +1729,7 @@ function setupEditorEvents(treasure, isNew) {
     // Build riddle
     let riddle = null;
     let riddleId = null;
+    let riddleRule = null;
     
     if (riddleMode.value === 'bank') {
       if (!selectedRiddleId) {
@@ -904,25 +1737,25 @@ function setupEditorEvents(treasure, isNew) {
         return;
       }
       riddleId = selectedRiddleId;
+    } else if (riddleMode.value === 'random') {
+      riddleRule = getRiddleRule();
+      if (getRiddlesByRule(riddleRule).length === 0) {
+        showSetupToast('조건에 맞는 문제가 없습니다.', 'error');
+        return;
+      }
     } else {
-      const question = document.getElementById('custom-question').value.trim();
-      const answer = document.getElementById('custom-answer').value.trim();
-      const type = document.getElementById('custom-riddle-type').value;
-      
-      if (!question || !answer) {
-        showSetupToast('문제와 정답을 입력하세요.', 'error');
+      const result = riddleEditor.getRiddle();
+      if (result.error) {
+        showSetupToast(result.error, 'error');
         return;
       }
-      
-      riddle = {
-        type: type,
-        config: { question, answer }
-      };
+      riddle = result.riddle;
     }
     
-    // Hint = 다음 보물 이름으로 자동 설정
-    const nextName = treasures.items?.[currentTreasureIndex + 1]?.name ?? '';
-    const hint = { type: 'text', config: { value: nextName } };
+    if (!commitHintStep()) return;
+    const hints = hintSteps
+      .map(({ hint, unlockAfter }, i) => (i === 0 ? hint : { ...hint, unlockAfter }))
+      .sort((a, b) => (a.unlockAfter ?? 0) - (b.unlockAfter ?? 0));
 
     const featureLimitEnabled = document.getElementById('feature-limit-checkbox')?.checked ?? true;
 
@@ -931,7 +1764,6 @@ function setupEditorEvents(treasure, isNew) {
       id: treasure.id || `treasure-${Date.now()}`,
       order: currentTreasureIndex + 1,
       name: name,
-      marker: { type: 'pattern', patternUrl: `/markers/marker-${currentTreasureIndex}.patt` },
       capturedImage: payload.capturedImage,
       detectedObject: payload.detectedObject,
       sourceWidth: payload.sourceWidth,
@@ -939,7 +1771,8 @@ function setupEditorEvents(treasure, isNew) {
       predictions: payload.predictions,
       riddle: riddle,
       riddleId: riddleId,
-      hint: hint
+      riddleRule: riddleRule,
+      hints: hints
     };
 
     if (featureLimitEnabled) {
@@ -988,9 +1821,15 @@ function setupEditorEvents(treasure, isNew) {
     } else {
       treasures.items[currentTreasureIndex] = newTreasure;
     }
-    saveTreasures(treasures);
+    if (!(await saveTreasures(treasures))) {
+      // Not stored (toast shown via onStorageError): stay in the editor so nothing typed is lost
+      treasures = loadTreasures();
+      return;
+    }
 
     getStore().cleanup();
+    riddleEditor.destroy();
+    hintEditor.destroy();
     renderLevelEditScreen();
   });
 }
@@ -1084,100 +1923,28 @@ function translateClass(className) {
   return translations[className] || className;
 }
 
-/**
- * Infer room type from detected objects
- */
-function inferRoom(predictions) {
-  const classes = predictions.filter(p => p.score > 0.4).map(p => p.class);
-  const has = (...items) => items.some(i => classes.includes(i));
-
-  const scores = {
-    kitchen:    0,
-    livingRoom: 0,
-    bedroom:    0,
-    bathroom:   0,
-    office:     0,
-    dining:     0,
-  };
-
-  // Kitchen signals
-  if (has('refrigerator'))  scores.kitchen += 3;
-  if (has('oven'))          scores.kitchen += 3;
-  if (has('microwave'))     scores.kitchen += 2;
-  if (has('toaster'))       scores.kitchen += 2;
-  if (has('sink'))          scores.kitchen += 1;
-  if (has('bottle'))        scores.kitchen += 1;
-  if (has('bowl', 'cup'))   scores.kitchen += 1;
-  if (has('knife', 'fork', 'spoon')) scores.kitchen += 1;
-
-  // Living room signals
-  if (has('couch'))         scores.livingRoom += 3;
-  if (has('tv'))            scores.livingRoom += 2;
-  if (has('remote'))        scores.livingRoom += 2;
-  if (has('potted plant'))  scores.livingRoom += 1;
-  if (has('vase'))          scores.livingRoom += 1;
-  if (has('clock'))         scores.livingRoom += 1;
-
-  // Bedroom signals
-  if (has('bed'))           scores.bedroom += 4;
-  if (has('teddy bear'))    scores.bedroom += 2;
-  if (has('clock'))         scores.bedroom += 1;
-  if (has('book'))          scores.bedroom += 1;
-
-  // Bathroom signals
-  if (has('toilet'))        scores.bathroom += 4;
-  if (has('sink'))          scores.bathroom += 2;
-  if (has('toothbrush'))    scores.bathroom += 3;
-  if (has('hair drier'))    scores.bathroom += 2;
-
-  // Office signals
-  if (has('laptop'))        scores.office += 3;
-  if (has('keyboard'))      scores.office += 2;
-  if (has('mouse'))         scores.office += 2;
-  if (has('cell phone'))    scores.office += 1;
-  if (has('book'))          scores.office += 1;
-  if (has('chair'))         scores.office += 1;
-
-  // Dining signals
-  if (has('dining table'))  scores.dining += 3;
-  if (has('chair'))         scores.dining += 1;
-  if (has('bowl', 'cup'))   scores.dining += 1;
-  if (has('wine glass'))    scores.dining += 2;
-  if (has('fork', 'knife', 'spoon')) scores.dining += 2;
-
-  const roomMap = {
-    kitchen:    { name: '주방',     icon: '🍳' },
-    livingRoom: { name: '거실',     icon: '🛋️' },
-    bedroom:    { name: '침실',     icon: '🛏️' },
-    bathroom:   { name: '욕실',     icon: '🚿' },
-    office:     { name: '서재/작업실', icon: '💻' },
-    dining:     { name: '식당',     icon: '🍽️' },
-  };
-
-  const best = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
-  if (best[1] >= 2) {
-    return roomMap[best[0]];
-  }
-  
-  // Fallback: if objects detected but no room match
-  if (classes.length > 0) {
-    return { name: '실내', icon: '🏠' };
-  }
-  return null;
-}
+/** Hint steps per treasure, and the default gap (seconds) when adding one */
+const MAX_HINT_STEPS = 6;
+const HINT_STEP_INTERVAL = 60;
+
+const TYPE_BADGES = {
+  'text': '✏️ 입력',
+  'choice': '🔘 선택',
+  'sequence': '🔢 순서',
+  'memory': '🃏 기억',
+  'connect': '🔗 연결',
+  'image-choice': '🖼️ 그림',
+  'object-hunt': '📷 물건',
+  'voice': '🎤 음성',
+  'draw': '✍️ 그리기',
+  'jigsaw': '🧩 퍼즐'
+};
 
 /**
  * Get type badge text
  */
 function getTypeBadge(type) {
-  const badges = {
-    'text': '✏️ 입력',
-    'choice': '🔘 선택',
-    'sequence': '🔢 순서',
-    'memory': '🃏 기억',
-    'connect': '🔗 연결'
-  };
-  return badges[type] || type;
+  return TYPE_BADGES[type] || type;
 }
 
 /**
@@ -1188,18 +1955,72 @@ function getDifficultyStars(difficulty) {
   return stars[difficulty] || '';
 }
 
+const CATEGORY_LABELS = {
+  'custom': '✍️ 직접 만든 문제',
+  'math': '🔢 사칙연산',
+  'nonsense': '😄 넌센스',
+  'idiom': '📚 사자성어',
+  'english': '🔤 영어',
+  'minigame': '🎮 미니게임'
+};
+
 /**
  * Get category label
  */
 function getCategoryLabel(category) {
-  const labels = {
-    'math': '🔢 사칙연산',
-    'nonsense': '😄 넌센스',
-    'idiom': '📚 사자성어',
-    'english': '🔤 영어',
-    'minigame': '🎮 미니게임'
-  };
-  return labels[category] || category;
+  return CATEGORY_LABELS[category] || category;
+}
+
+/**
+ * Render category <option>s for riddle filters ("전체" + categories + user packs as "pack:<id>")
+ * @param {string} selected
+ */
+function renderCategoryOptions(selected) {
+  const packs = loadRiddlePacks();
+  const option = (value, label) =>
+    `<option value="${escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+  return `
+    ${option('', '전체')}
+    ${Object.keys(CATEGORY_LABELS).filter(c => c !== 'custom').map(c => option(c, getCategoryLabel(c))).join('')}
+    ${option('custom', getCategoryLabel('custom'))}
+    ${packs.length > 0 ? `
+      <optgroup label="내 문제집">
+        ${packs.map(pack => option(`pack:${pack.id}`, `📝 ${pack.name || '문제집'}`)).join('')}
+      </optgroup>
+    ` : ''}
+  `;
+}
+
+/**
+ * Render difficulty <option>s for riddle filters ("전체" + levels)
+ * @param {string} selected
+ */
+function renderDifficultyOptions(selected) {
+  return [['', '전체'], ['easy', '⭐ 쉬움'], ['medium', '⭐⭐ 보통'], ['hard', '⭐⭐⭐ 어려움']]
+    .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`)
+    .join('');
+}
+
+/**
+ * Render riddle card (bank list / pack list)
+ * @param {Object} r - Riddle
+ * @param {{ selected?: boolean, actions?: string }} [opts] - actions: extra button HTML
+ */
+function renderRiddleCard(r, opts = {}) {
+  const packName = r.packId ? getRiddlePack(r.packId)?.name : null;
+  return `
+    <div class="riddle-card ${opts.selected ? 'selected' : ''}" data-id="${escapeHtml(r.id)}">
+      <div class="riddle-card-header">
+        <span class="riddle-type-badge ${r.type}">${getTypeBadge(r.type)}</span>
+        <span class="riddle-difficulty">${getDifficultyStars(r.difficulty)}</span>
+      </div>
+      <p class="riddle-question">${escapeHtml(r.config.question || r.config.instruction || '(미니게임)')}</p>
+      <div class="riddle-card-footer">
+        ${opts.actions ? `<div class="riddle-card-actions">${opts.actions}</div>` : ''}
+        <span class="riddle-category">${packName ? `📝 ${escapeHtml(packName)} · ` : ''}${getCategoryLabel(r.category)}</span>
+      </div>
+    </div>
+  `;
 }
 
 /**
@@ -1217,19 +2038,19 @@ function deleteTreasure(index) {
 /**
  * Show toast message (setup screen)
  */
-function showSetupToast(message, type = '') {
+function showSetupToast(message, type = '', duration = 2500) {
   document.querySelector('.setup-toast')?.remove();
   const toast = document.createElement('div');
   toast.className = `setup-toast ${type}`;
   toast.textContent = message;
   document.body.appendChild(toast);
-  setTimeout(() => toast.remove(), 2500);
+  setTimeout(() => toast.remove(), duration);
 }
 
 /**
  * Save game settings
  */
-function saveSettings() {
+async function saveSettings() {
   const btn = document.getElementById('btn-save-settings');
   if (!btn) return;
   const originalText = btn.textContent;
@@ -1238,8 +2059,19 @@ function saveSettings() {
   try {
     treasures.initialScore = parseInt(document.getElementById('initial-score').value) || 1000;
     treasures.scoreDecayPerSecond = parseFloat(document.getElementById('score-decay').value) || 1;
-    saveTreasures(treasures);
-    showSetupToast('설정이 저장되었습니다.', 'success');
+    const hintCost = parseInt(document.getElementById('hint-cost').value);
+    treasures.hintCost = Number.isFinite(hintCost) && hintCost >= 0 ? hintCost : 50;
+    treasures.maxAttempts = Math.max(0, parseInt(document.getElementById('max-attempts').value) || 0);
+    treasures.wrongPenalty = Math.max(0, parseInt(document.getElementById('wrong-penalty').value) || 0);
+    treasures.retryCooldown = Math.max(0, parseFloat(document.getElementById('retry-cooldown').value) || 0);
+    treasures.onAttemptsExhausted = document.getElementById('on-attempts-exhausted').value;
+    treasures.riddleTimeLimit = Math.max(0, parseInt(document.getElementById('riddle-time-limit').value) || 0);
+    treasures.timeoutAction = document.getElementById('timeout-action').value;
+    treasures.timeoutPenalty = Math.max(0, parseInt(document.getElementById('timeout-penalty').value) || 0);
+    treasures.proximityMeter = document.getElementById('proximity-meter').value;
+    if (await saveTreasures(treasures)) {
+      showSetupToast('설정이 저장되었습니다.', 'success');
+    }
   } catch (err) {
     console.error('Save settings error:', err);
     showSetupToast('저장에 실패했습니다. 다시 시도해주세요.', 'error');
@@ -1319,6 +2151,120 @@ function addSetupStyles() {
     }
     
     .level-list-container { min-height: 2rem; }
+    .level-io-actions {
+      display: flex;
+      gap: 0.5rem;
+      margin-top: 0.75rem;
+    }
+    
+    .level-io-actions .btn {
+      flex: 1;
+    }
+    
+    .import-report-backdrop {
+      position: fixed;
+      inset: 0;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 1rem;
+      background: rgba(0, 0, 0, 0.5);
+      z-index: 1000;
+    }
+    
+    .import-report {
+      width: 100%;
+      max-width: 520px;
+      max-height: 85vh;
+      display: flex;
+      flex-direction: column;
+    }
+    
+    .import-report h2 {
+      margin-bottom: 0.75rem;
+      font-size: 1.1rem;
+    }
+    
+    .import-report-list {
+      flex: 1;
+      overflow-y: auto;
+      margin: 0 0 0.75rem;
+      padding: 0;
+      list-style: none;
+      font-size: 0.85rem;
+    }
+    
+    .import-report-list li {
+      padding: 0.4rem 0;
+      border-bottom: 1px solid #eee;
+    }
+    
+    .import-report-where {
+      display: block;
+      font-weight: 600;
+    }
+    
+    .import-report-list code {
+      margin-right: 0.35rem;
+      padding: 0 0.25rem;
+      background: #f1f5f9;
+      border-radius: 3px;
+    }
+    
+    .import-report-message {
+      color: #b91c1c;
+    }
+    
+    .level-share-link {
+      margin-top: 1rem;
+    }
+    
+    .import-mode {
+      display: flex;
+      gap: 1rem;
+      margin-bottom: 0.5rem;
+      font-size: 0.9rem;
+    }
+    
+    .import-preview-status {
+      display: block;
+      color: #2563eb;
+    }
+    
+    .import-preview-warning {
+      color: #b91c1c;
+      font-weight: 600;
+    }
+    
+    .import-preview-conflict {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 0.35rem;
+      margin: 0.25rem 0;
+      color: #92400e;
+    }
+    
+    .import-preview-conflict .form-input {
+      width: auto;
+      padding: 0.2rem 0.4rem;
+      font-size: 0.85rem;
+    }
+    
+    .import-preview-treasures {
+      display: block;
+      color: #64748b;
+    }
+    
+    .import-report-actions {
+      display: flex;
+      gap: 0.5rem;
+    }
+    
+    .import-report-actions .btn {
+      flex: 1;
+    }
+    
     .level-item {
       display: flex;
       align-items: center;
@@ -1767,6 +2713,11 @@ function addSetupStyles() {
     .riddle-type-badge.sequence { background: #d1fae5; }
     .riddle-type-badge.memory { background: #ede9fe; }
     .riddle-type-badge.connect { background: #fce7f3; }
+    .riddle-type-badge.image-choice { background: #e0f2fe; }
+    .riddle-type-badge.object-hunt { background: #ffedd5; }
+    .riddle-type-badge.voice { background: #dcfce7; }
+    .riddle-type-badge.draw { background: #fef9c3; }
+    .riddle-type-badge.jigsaw { background: #e0e7ff; }
     
     .riddle-question {
       font-weight: 500;
@@ -1784,6 +2735,191 @@ function addSetupStyles() {
       color: var(--text-light);
     }
     
+    .riddle-card-actions {
+      display: flex;
+      gap: 0.5rem;
+      margin-right: auto;
+    }
+    
+    .pack-item { cursor: default; }
+    .pack-item .level-order { background: transparent; }
+    
+    /* Custom Riddle Editor */
+    .riddle-editor-list {
+      display: flex;
+      flex-direction: column;
+      gap: 0.5rem;
+    }
+    
+    .riddle-editor-row {
+      display: flex;
+      align-items: center;
+      gap: 0.5rem;
+    }
+    
+    .riddle-editor-row .form-input {
+      flex: 1;
+      min-width: 0;
+    }
+    
+    .riddle-editor-row input[type="radio"] {
+      width: 1.1rem;
+      height: 1.1rem;
+      flex-shrink: 0;
+    }
+    
+    .riddle-editor-row-no {
+      width: 1.5rem;
+      text-align: center;
+      font-size: 0.85rem;
+      color: var(--text-light);
+      flex-shrink: 0;
+    }
+    
+    .riddle-editor-add {
+      margin-top: 0.5rem;
+    }
+    
+    .riddle-editor-image {
+      flex: 1;
+      height: 56px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      border: 2px dashed #cbd5e1;
+      border-radius: var(--border-radius);
+      font-size: 0.85rem;
+      color: var(--text-light);
+      cursor: pointer;
+      overflow: hidden;
+    }
+    
+    .riddle-editor-image img {
+      height: 100%;
+      object-fit: contain;
+    }
+    
+    .riddle-editor-image-field {
+      display: flex;
+      align-items: center;
+      gap: 0.5rem;
+    }
+    
+    .riddle-editor-image-field .riddle-editor-image {
+      height: 120px;
+    }
+    
+    .riddle-editor-pad {
+      display: block;
+      width: 100%;
+      max-width: 280px;
+      aspect-ratio: 1;
+      margin: 0 auto;
+      background: white;
+      border: 2px dashed #cbd5e1;
+      border-radius: 12px;
+      cursor: crosshair;
+    }
+    
+    .riddle-editor-pad-tools {
+      display: flex;
+      justify-content: center;
+      gap: 0.5rem;
+      margin-top: 0.5rem;
+    }
+    
+    .riddle-preview {
+      margin-top: 1rem;
+      padding: 0.75rem;
+      background: #f8fafc;
+      border: 1px dashed #cbd5e1;
+      border-radius: var(--border-radius);
+    }
+    
+    .riddle-preview-label {
+      font-size: 0.8rem;
+      font-weight: 600;
+      color: var(--text-light);
+      margin-bottom: 0.5rem;
+    }
+    
+    .hint-steps {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 0.5rem;
+      margin-bottom: 1rem;
+    }
+    
+    .hint-step-tab {
+      padding: 0.4rem 0.8rem;
+      font-size: 0.85rem;
+      color: var(--text-light);
+      background: #f1f5f9;
+      border: 1px solid #e2e8f0;
+      border-radius: 999px;
+      cursor: pointer;
+    }
+    
+    .hint-step-tab.active {
+      color: white;
+      background: var(--primary-color);
+      border-color: transparent;
+    }
+    
+    .hint-step-add {
+      border-style: dashed;
+      background: none;
+    }
+    
+    .hint-unlock-input {
+      display: flex;
+      gap: 0.5rem;
+    }
+    
+    .hint-unlock-input .form-input {
+      flex: 1;
+    }
+    
+    .hint-preview-stage {
+      padding: 0.5rem;
+      background: #1e293b;
+      border-radius: var(--border-radius);
+    }
+    
+    .hint-editor-tools {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 0.5rem;
+    }
+    
+    .hint-editor-status {
+      min-height: 1.2rem;
+      font-size: 0.85rem;
+      color: var(--text-light);
+    }
+    
+    .hint-editor-map {
+      position: relative;
+      width: 100%;
+      max-width: 280px;
+      margin: 0 auto;
+    }
+    
+    .hint-editor-marker {
+      position: absolute;
+      font-size: 1.5rem;
+      line-height: 1;
+      transform: translate(-50%, -100%);
+      pointer-events: none;
+    }
+    
+    .riddle-preview-empty {
+      text-align: center;
+      color: var(--text-light);
+      font-size: 0.9rem;
+      padding: 1rem;
+    }
+    
     /* Loading Overlay */
     #loading-overlay {
       position: fixed;
@@ -0,0 +1,202 @@
+/**
+ * 정답 비교 (riddle-text / 음성 답변 공통, DOM 없이 동작하는 순수 함수)
+ * - 공백·문장부호 무시, 대소문자 무시(선택)
+ * - 숫자 동치: "15" = "십오" = "열다섯" = "15.0"
+ * - 편집 거리(오타 허용, 인접 글자 바뀜은 1회로 계산; 4글자 이하 로마자 정답은 허용 안 함)
+ */
+
+const SINO_DIGITS = { '영': 0, '공': 0, '일': 1, '이': 2, '삼': 3, '사': 4, '오': 5, '육': 6, '륙': 6, '칠': 7, '팔': 8, '구': 9 };
+const SINO_UNITS = { '십': 10, '백': 100, '천': 1000 };
+const SINO_BIG_UNITS = { '만': 10000, '억': 100000000 };
+
+const NATIVE_ONES = [
+  ['하나', 1], ['둘', 2], ['셋', 3], ['넷', 4],
+  ['다섯', 5], ['여섯', 6], ['일곱', 7], ['여덟', 8], ['아홉', 9]
+];
+/** 관형사형 — 혼자서는 "네"(대답)처럼 다른 말이라 열·스물 같은 십 단위 뒤에서만 숫자로 본다 */
+const NATIVE_DETERMINERS = [['한', 1], ['두', 2], ['세', 3], ['석', 3], ['네', 4]];
+const NATIVE_TENS = [
+  ['열', 10], ['스물', 20], ['스무', 20], ['서른', 30], ['마흔', 40], ['쉰', 50],
+  ['예순', 60], ['일흔', 70], ['여든', 80], ['아흔', 90]
+];
+
+/**
+ * 비교용 정규화: NFC, 공백·문장부호·기호 제거, (기본) 소문자
+ * @param {string} text
+ * @param {{ caseSensitive?: boolean }} [opts]
+ * @returns {string}
+ */
+export function normalizeAnswer(text, opts = {}) {
+  const stripped = String(text ?? '').normalize('NFC').replace(/[\s\p{P}\p{S}]+/gu, '');
+  return opts.caseSensitive ? stripped : stripped.toLowerCase();
+}
+
+/**
+ * 숫자 해석: 아라비아 숫자(쉼표 허용), 한자어 수사(십오, 백이십), 고유어 수사(열다섯, 스물)
+ * @param {string} text
+ * @returns {number|null} 숫자가 아니면 null
+ */
+export function parseNumberAnswer(text) {
+  const s = String(text ?? '').normalize('NFC').replace(/\s+/g, '');
+  if (!s) return null;
+
+  if (/^[+-]?(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$/.test(s)) {
+    return Number(s.replace(/,/g, ''));
+  }
+  return parseNativeKorean(s) ?? parseSinoKorean(s);
+}
+
+function parseNativeKorean(s) {
+  let rest = s;
+  let value = 0;
+  const tens = NATIVE_TENS.find(([word]) => rest.startsWith(word));
+  if (tens) {
+    value += tens[1];
+    rest = rest.slice(tens[0].length);
+  }
+  const ones = NATIVE_ONES.find(([word]) => rest === word)
+    ?? (tens ? NATIVE_DETERMINERS.find(([word]) => rest === word) : undefined);
+  if (ones) {
+    value += ones[1];
+    rest = '';
+  }
+  return rest === '' && value > 0 ? value : null;
+}
+
+function parseSinoKorean(s) {
+  let total = 0;
+  let section = 0;
+  let digit = null;
+  for (const ch of s) {
+    if (ch in SINO_DIGITS) {
+      if (digit != null) return null;
+      digit = SINO_DIGITS[ch];
+    } else if (ch in SINO_UNITS) {
+      section += (digit ?? 1) * SINO_UNITS[ch];
+      digit = null;
+    } else if (ch in SINO_BIG_UNITS) {
+      total += (section + (digit ?? 0) || 1) * SINO_BIG_UNITS[ch];
+      section = 0;
+      digit = null;
+    } else {
+      return null;
+    }
+  }
+  return total + section + (digit ?? 0);
+}
+
+/**
+ * 편집 거리 (삽입·삭제·치환·인접 교환 각 1)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function editDistance(a, b) {
+  const s = [...a];
+  const t = [...b];
+  const d = Array.from({ length: s.length + 1 }, (_, i) => {
+    const row = new Array(t.length + 1).fill(0);
+    row[0] = i;
+    return row;
+  });
+  for (let j = 0; j <= t.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= s.length; i++) {
+    for (let j = 1; j <= t.length; j++) {
+      const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && s[i - 1] === t[j - 2] && s[i - 2] === t[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[s.length][t.length];
+}
+
+/** 이보다 짧은 로마자 정답은 오타를 허용하지 않는다 ("book"의 한 글자 차이는 look, boko 같은 다른 말·틀린 철자) */
+const MIN_FUZZY_LATIN_LENGTH = 5;
+
+/**
+ * 허용 오타 수 결정
+ * @param {number|boolean|string|null|undefined} fuzzy - 숫자: 최대 편집 거리, true/'auto': 정답 길이로 자동
+ * @param {string} expected - 정규화된 정답
+ * @returns {number}
+ */
+export function resolveFuzzyLimit(fuzzy, expected) {
+  if (fuzzy == null || fuzzy === false) return 0;
+  const len = [...expected].length;
+  if (/^[a-z]+$/i.test(expected) && len < MIN_FUZZY_LATIN_LENGTH) return 0;
+  const n = Number(fuzzy);
+  if (fuzzy !== true && fuzzy !== '' && fuzzy !== 'auto' && Number.isFinite(n)) return Math.max(0, n);
+  return len <= 2 ? 0 : Math.max(1, Math.floor(len / 4));
+}
+
+/**
+ * 사용자 답을 허용 정답 목록과 비교
+ * @param {string} input - 사용자 입력 (또는 음성 인식 결과)
+ * @param {{ answers: string[], caseSensitive?: boolean, fuzzy?: number|boolean|string }} opts
+ * @returns {{ correct: boolean, matched: string|null, exact: boolean }}
+ */
+export function matchAnswer(input, opts) {
+  const { answers = [], caseSensitive = false, fuzzy = 0 } = opts || {};
+  const user = normalizeAnswer(input, { caseSensitive });
+  const userNumber = parseNumberAnswer(input);
+  let best = null;
+
+  for (const answer of answers) {
+    const expected = normalizeAnswer(answer, { caseSensitive });
+    if (!expected) continue;
+    if (user === expected) return { correct: true, matched: answer, exact: true };
+
+    const expectedNumber = parseNumberAnswer(answer);
+    if (expectedNumber != null) {
+      if (userNumber === expectedNumber) return { correct: true, matched: answer, exact: true };
+      continue;
+    }
+
+    const limit = resolveFuzzyLimit(fuzzy, expected);
+    if (limit > 0 && user) {
+      const distance = editDistance(user, expected);
+      if (distance <= limit && (!best || distance < best.distance)) {
+        best = { answer, distance };
+      }
+    }
+  }
+
+  return best
+    ? { correct: true, matched: best.answer, exact: false }
+    : { correct: false, matched: null, exact: false };
+}
+
+const SPOKEN_PREFIXES = /^(정답은|답은|그건|그거는|음+)\s*/u;
+const SPOKEN_ENDINGS = /\s*(입니다|이에요|예요|이요|요)[.!?]*$/u;
+
+/**
+ * 음성 인식 결과에서 말버릇 제거 ("정답은 사과요" → "사과")
+ * @param {string} transcript
+ * @returns {string}
+ */
+export function stripSpokenFiller(transcript) {
+  return String(transcript ?? '').trim().replace(SPOKEN_PREFIXES, '').replace(SPOKEN_ENDINGS, '');
+}
+
+/**
+ * 음성 인식 후보들을 허용 정답과 비교 (원문 → 말버릇 제거본 순서로 시도)
+ * @param {string[]} transcripts - 인식 후보 (신뢰도 높은 순)
+ * @param {{ answers: string[], caseSensitive?: boolean, fuzzy?: number|boolean|string }} opts
+ * @returns {{ correct: boolean, matched: string|null, exact: boolean, transcript: string }}
+ */
+export function matchSpokenAnswer(transcripts, opts) {
+  const candidates = transcripts.map((t) => String(t ?? '').trim()).filter(Boolean);
+  let fuzzyHit = null;
+
+  for (const transcript of candidates) {
+    for (const text of new Set([transcript, stripSpokenFiller(transcript)])) {
+      const result = matchAnswer(text, opts);
+      if (result.correct && result.exact) return { ...result, transcript };
+      if (result.correct && !fuzzyHit) fuzzyHit = { ...result, transcript };
+    }
+  }
+
+  return fuzzyHit ?? { correct: false, matched: null, exact: false, transcript: candidates[0] ?? '' };
+}
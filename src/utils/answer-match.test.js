@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeAnswer,
+  parseNumberAnswer,
+  editDistance,
+  resolveFuzzyLimit,
+  matchAnswer,
+  matchSpokenAnswer,
+  stripSpokenFiller
+} from './answer-match.js';
+
+describe('normalizeAnswer', () => {
+  it('drops spaces, punctuation and case', () => {
+    expect(normalizeAnswer(' Apple Pie! ')).toBe('applepie');
+    expect(normalizeAnswer('Apple', { caseSensitive: true })).toBe('Apple');
+  });
+});
+
+describe('parseNumberAnswer', () => {
+  it('reads digits, sino-Korean and native Korean numbers', () => {
+    expect(parseNumberAnswer('15')).toBe(15);
+    expect(parseNumberAnswer('15.0')).toBe(15);
+    expect(parseNumberAnswer('1,000')).toBe(1000);
+    expect(parseNumberAnswer('십오')).toBe(15);
+    expect(parseNumberAnswer('백이십')).toBe(120);
+    expect(parseNumberAnswer('열다섯')).toBe(15);
+    expect(parseNumberAnswer('넷')).toBe(4);
+  });
+
+  it('reads determiner forms only after a tens word', () => {
+    expect(parseNumberAnswer('열네')).toBe(14);
+    expect(parseNumberAnswer('스물한')).toBe(21);
+    expect(parseNumberAnswer('네')).toBeNull();
+    expect(parseNumberAnswer('세')).toBeNull();
+    expect(parseNumberAnswer('한')).toBeNull();
+  });
+
+  it('returns null for words', () => {
+    expect(parseNumberAnswer('사과')).toBeNull();
+    expect(parseNumberAnswer('')).toBeNull();
+  });
+});
+
+describe('editDistance', () => {
+  it('counts an adjacent swap as one edit', () => {
+    expect(editDistance('freind', 'friend')).toBe(1);
+    expect(editDistance('사과', '사과')).toBe(0);
+    expect(editDistance('kitten', 'sitting')).toBe(3);
+  });
+});
+
+describe('resolveFuzzyLimit', () => {
+  it('scales auto with the answer length', () => {
+    expect(resolveFuzzyLimit('auto', '사과')).toBe(0);
+    expect(resolveFuzzyLimit('auto', '일심협력')).toBe(1);
+    expect(resolveFuzzyLimit(true, 'elephant')).toBe(2);
+    expect(resolveFuzzyLimit(0, 'elephant')).toBe(0);
+  });
+
+  it('allows no typo in short Latin answers, even when asked to', () => {
+    expect(resolveFuzzyLimit('auto', 'book')).toBe(0);
+    expect(resolveFuzzyLimit(1, 'book')).toBe(0);
+    expect(resolveFuzzyLimit(1, 'friend')).toBe(1);
+  });
+});
+
+describe('matchAnswer', () => {
+  it('accepts any listed answer, ignoring case and spacing', () => {
+    expect(matchAnswer('Rain Bow', { answers: ['rainbow'] })).toEqual({ correct: true, matched: 'rainbow', exact: true });
+    expect(matchAnswer('능금', { answers: ['사과', '능금'] }).matched).toBe('능금');
+    expect(matchAnswer('Apple', { answers: ['apple'], caseSensitive: true }).correct).toBe(false);
+  });
+
+  it('compares numbers by value', () => {
+    expect(matchAnswer('열다섯', { answers: ['15'] }).correct).toBe(true);
+    expect(matchAnswer('16', { answers: ['15'], fuzzy: 2 }).correct).toBe(false);
+  });
+
+  it('does not take the reply "네" for 4', () => {
+    expect(matchAnswer('네', { answers: ['4'] }).correct).toBe(false);
+    expect(matchAnswer('넷', { answers: ['4'] }).correct).toBe(true);
+  });
+
+  it('accepts a typo in longer answers as a non-exact match', () => {
+    expect(matchAnswer('freind', { answers: ['friend'], fuzzy: 1 })).toEqual({ correct: true, matched: 'friend', exact: false });
+    expect(matchAnswer('일심헙력', { answers: ['일심협력'], fuzzy: 'auto' }).correct).toBe(true);
+  });
+
+  it('does not accept misspellings or other words for short English answers', () => {
+    for (const fuzzy of [1, 'auto']) {
+      expect(matchAnswer('boko', { answers: ['book'], fuzzy }).correct).toBe(false);
+      expect(matchAnswer('look', { answers: ['book'], fuzzy }).correct).toBe(false);
+      expect(matchAnswer('cook', { answers: ['book'], fuzzy }).correct).toBe(false);
+    }
+  });
+
+  it('rejects empty input', () => {
+    expect(matchAnswer('', { answers: ['사과'], fuzzy: 2 }).correct).toBe(false);
+  });
+});
+
+describe('stripSpokenFiller', () => {
+  it('removes answer prefixes and polite endings', () => {
+    expect(stripSpokenFiller('정답은 사과요')).toBe('사과');
+    expect(stripSpokenFiller('음 수박입니다.')).toBe('수박');
+  });
+});
+
+describe('matchSpokenAnswer', () => {
+  it('matches a transcript after removing filler', () => {
+    expect(matchSpokenAnswer(['정답은 사과예요'], { answers: ['사과'] }))
+      .toEqual({ correct: true, matched: '사과', exact: true, transcript: '정답은 사과예요' });
+  });
+
+  it('prefers an exact match in a later candidate over a fuzzy one', () => {
+    const result = matchSpokenAnswer(['elefant', 'elephant'], { answers: ['elephant'], fuzzy: 'auto' });
+    expect(result).toMatchObject({ correct: true, exact: true, transcript: 'elephant' });
+  });
+
+  it('does not take the reply "네" for 4', () => {
+    expect(matchSpokenAnswer(['네', '네요'], { answers: ['4'] }).correct).toBe(false);
+  });
+
+  it('reports the first candidate when nothing matches', () => {
+    expect(matchSpokenAnswer(['바나나', '바나나요'], { answers: ['사과'] }))
+      .toEqual({ correct: false, matched: null, exact: false, transcript: '바나나' });
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * 마이크 녹음 (MediaRecorder) → data URL
+ * 설정 화면에서 목소리 힌트(hint-audio)를 녹음할 때 사용한다.
+ */
+import { blobToDataUrl } from './image-data-url.js';
+
+export class AudioRecorder {
+  /** MediaRecorder 와 마이크를 쓸 수 있는 환경인지 */
+  static get supported() {
+    return typeof MediaRecorder !== 'undefined' && !!navigator.mediaDevices?.getUserMedia;
+  }
+
+  get recording() {
+    return this._recorder?.state === 'recording';
+  }
+
+  /**
+   * 녹음 시작. stop() 을 부르거나 maxSeconds 가 지나면 끝난다.
+   * @param {{ maxSeconds?: number }} [opts]
+   * @returns {Promise<string|null>} 녹음 data URL (cancel() 로 끝나면 null)
+   */
+  async record(opts = {}) {
+    const maxSeconds = opts.maxSeconds ?? 20;
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    const recorder = new MediaRecorder(stream);
+    const chunks = [];
+    this._recorder = recorder;
+    this._discard = false;
+
+    return new Promise((resolve, reject) => {
+      recorder.ondataavailable = (e) => {
+        if (e.data.size) chunks.push(e.data);
+      };
+      recorder.onstop = () => {
+        clearTimeout(this._timer);
+        stream.getTracks().forEach((track) => track.stop());
+        this._recorder = null;
+        if (this._discard || chunks.length === 0) {
+          resolve(null);
+          return;
+        }
+        blobToDataUrl(new Blob(chunks, { type: recorder.mimeType || 'audio/webm' })).then(resolve, reject);
+      };
+      recorder.start();
+      this._timer = setTimeout(() => this.stop(), maxSeconds * 1000);
+    });
+  }
+
+  stop() {
+    if (this.recording) this._recorder.stop();
+  }
+
+  /** 녹음을 버리고 끝냄 */
+  cancel() {
+    this._discard = true;
+    this.stop();
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * 촬영 검출 결과로 아이용 힌트 문구 자동 생성 (DOM 없이 동작하는 순수 함수)
+ * - 방: inferRoom (주방·침실 등)
+ * - 보물 물체: getCocoLabel
+ * - 주변 물체: 보물과 가장 가까운 물체와의 상대 위치 (왼쪽·오른쪽·위·아래)
+ * 예: "🍳 주방에서 냉장고 근처를 찾아봐! 전자레인지 오른쪽에 있어요."
+ */
+import { getCocoLabel } from './coco-labels.js';
+import { inferRoom } from './room-inference.js';
+
+const NEIGHBOR_MIN_SCORE = 0.5;
+/** 힌트로 쓰기 어색한 물체 (움직이거나 사람) */
+const IGNORED_NEIGHBORS = new Set(['person', 'cat', 'dog']);
+
+/**
+ * @param {{
+ *   detectedObject: string|null,
+ *   predictions?: Array<{ class: string, score: number, bbox: number[] }>,
+ *   selectedIndex?: number|null
+ * }} capture - CaptureEditModel.getCapturePayload() 결과
+ * @returns {string|null} 보물 물체가 없으면 null
+ */
+export function buildAutoHint(capture) {
+  const { detectedObject } = capture;
+  if (!detectedObject) return null;
+  const predictions = capture.predictions ?? [];
+  const label = getCocoLabel(detectedObject);
+
+  const room = inferRoom(predictions);
+  const parts = [
+    room && room.key !== 'indoor'
+      ? `${room.icon} ${room.name}에서 ${label} 근처를 찾아봐!`
+      : `${label} 근처를 찾아봐!`
+  ];
+
+  const target = findTarget(predictions, capture.selectedIndex, detectedObject);
+  const neighbor = target && findNearestNeighbor(predictions, target);
+  if (neighbor) {
+    parts.push(`${getCocoLabel(neighbor.class)} ${relativePosition(target.bbox, neighbor.bbox)}에 있어요.`);
+  }
+  return parts.join(' ');
+}
+
+function findTarget(predictions, selectedIndex, className) {
+  const selected = predictions[selectedIndex];
+  if (selected?.class === className) return selected;
+  return predictions.find((p) => p.class === className) ?? null;
+}
+
+/**
+ * 보물과 중심이 가장 가까운, 종류가 다른 물체
+ */
+function findNearestNeighbor(predictions, target) {
+  const [tx, ty] = center(target.bbox);
+  let best = null;
+  let bestDist = Infinity;
+  for (const p of predictions) {
+    if (p === target || p.class === target.class) continue;
+    if (p.score < NEIGHBOR_MIN_SCORE || IGNORED_NEIGHBORS.has(p.class)) continue;
+    const [x, y] = center(p.bbox);
+    const dist = Math.hypot(x - tx, y - ty);
+    if (dist < bestDist) {
+      bestDist = dist;
+      best = p;
+    }
+  }
+  return best;
+}
+
+/**
+ * 보물이 주변 물체의 어느 쪽에 있는지 (가로·세로 중 더 많이 떨어진 방향)
+ * @param {number[]} targetBox - [x, y, w, h]
+ * @param {number[]} neighborBox
+ * @returns {string} '왼쪽' | '오른쪽' | '위' | '아래'
+ */
+function relativePosition(targetBox, neighborBox) {
+  const [tx, ty] = center(targetBox);
+  const [nx, ny] = center(neighborBox);
+  // 박스 크기로 나눠 큰 물체 옆의 작은 물체도 방향이 자연스럽게 나오도록
+  const dx = (tx - nx) / Math.max(1, (targetBox[2] + neighborBox[2]) / 2);
+  const dy = (ty - ny) / Math.max(1, (targetBox[3] + neighborBox[3]) / 2);
+  if (Math.abs(dx) >= Math.abs(dy)) return dx < 0 ? '왼쪽' : '오른쪽';
+  return dy < 0 ? '위' : '아래';
+}
+
+function center([x, y, w, h]) {
+  return [x + w / 2, y + h / 2];
+}
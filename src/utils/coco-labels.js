@@ -27,3 +27,11 @@ const COCO_LABELS = {
 export function getCocoLabel(className) {
   return COCO_LABELS[className] || className;
 }
+
+/**
+ * All COCO-SSD class names
+ * @returns {string[]}
+ */
+export function getCocoClasses() {
+  return Object.keys(COCO_LABELS);
+}
@@ -0,0 +1,49 @@
+/**
+ * riddle-* / hint-* 커스텀 엘리먼트 생성 (game / setup 미리보기 공통)
+ * config 객체의 camelCase 키를 kebab-case 속성으로 옮긴다.
+ */
+
+/**
+ * config → 엘리먼트 속성
+ * - boolean: true면 빈 속성, false면 생략
+ * - object/array: JSON 문자열
+ * - null/undefined: 생략
+ * @param {HTMLElement} el
+ * @param {Object} [config]
+ */
+export function applyConfigAttributes(el, config) {
+  if (!config) return;
+  for (const [key, val] of Object.entries(config)) {
+    if (val == null) continue;
+    const attrName = key.replace(/([A-Z])/g, '-$1').toLowerCase();
+    if (typeof val === 'boolean') {
+      if (val) el.setAttribute(attrName, '');
+    } else {
+      el.setAttribute(attrName, typeof val === 'object' ? JSON.stringify(val) : val);
+    }
+  }
+}
+
+/**
+ * 수수께끼 엘리먼트 생성
+ * 문제 은행의 difficulty 는 difficulty 속성으로 넘긴다 (config 에 있으면 config 우선).
+ * @param {{ type: string, config: Object, difficulty?: string }} riddle
+ * @returns {HTMLElement}
+ */
+export function createRiddleElement(riddle) {
+  const el = document.createElement(`riddle-${riddle.type}`);
+  if (riddle.difficulty) el.setAttribute('difficulty', riddle.difficulty);
+  applyConfigAttributes(el, riddle.config);
+  return el;
+}
+
+/**
+ * 힌트 엘리먼트 생성
+ * @param {{ type: string, config: Object }} hint
+ * @returns {HTMLElement}
+ */
+export function createHintElement(hint) {
+  const el = document.createElement(`hint-${hint.type}`);
+  applyConfigAttributes(el, hint.config);
+  return el;
+}
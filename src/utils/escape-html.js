@@ -0,0 +1,15 @@
+/**
+ * HTML 이스케이프 — innerHTML 템플릿에 부모가 입력했거나 가져온(공유 링크·파일) 문자열을 넣을 때 사용
+ * 속성 값 안에 넣어도 안전하도록 따옴표까지 바꾼다.
+ */
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  if (value == null) return '';
+  return String(value).replace(/[&<>"']/g, (c) => ENTITIES[c]);
+}
@@ -0,0 +1,475 @@
+/**
+ * 보물 힌트 입력 뷰: 유형별 입력(글·사진·목소리 녹음·영상·지도 그리기) + 실제 hint-* 엘리먼트 미리보기
+ * 폼 정의(HINT_FORMS)는 draft(편집 중 상태) ↔ config 변환과 검증을 담당한다.
+ */
+import { createHintElement } from './component-factory.js';
+import { blobToDataUrl, fileToDataUrl } from './image-data-url.js';
+import { AudioRecorder } from './audio-recorder.js';
+import { StrokePad } from './stroke-pad.js';
+
+const PREVIEW_DELAY = 300;
+const MAX_RECORD_SECONDS = 20;
+/** 영상은 재인코딩 없이 저장하므로 크기로 제한 */
+const MAX_VIDEO_BYTES = 3 * 1024 * 1024;
+
+/**
+ * 유형별 폼 정의
+ * - toDraft(config): 저장된 config → 편집 상태
+ * - build(draft, context): 편집 상태 → { config } 또는 { error }
+ *   (context.autoHint: 찍은 물건·방으로 만든 힌트 문구, 생성자 옵션 참고)
+ * - hintType: 저장할 hint-* 유형이 폼 키와 다를 때 (auto → text, photo-blur → image)
+ * - withLabel: 공통 안내 문구(label) 입력을 붙일지
+ * - previewConfig(config, context): 미리보기에만 쓰는 config 보정 (null 이면 미리보기 없음)
+ * 입력 화면은 유형마다 달라서 HintEditorView 의 render* 메서드가 그린다.
+ */
+export const HINT_FORMS = {
+  auto: {
+    label: '✨ 찍은 물건·방으로 자동 만들기',
+    hintType: 'text',
+    toDraft: () => ({}),
+    build(d, context) {
+      if (!context.autoHint) return { error: '먼저 사진을 찍고 보물 물체를 선택하세요.' };
+      return { config: { value: context.autoHint } };
+    }
+  },
+
+  text: {
+    label: '✏️ 글',
+    toDraft: (c) => ({ value: c.value ?? '' }),
+    build(d) {
+      if (!d.value) return { error: '힌트 문구를 입력하세요.' };
+      return { config: { value: d.value } };
+    }
+  },
+
+  // 사진 없는 image 힌트: 게임에서 보물 사진의 물체 영역을 잘라 흐리게 보여줌
+  'photo-blur': {
+    label: '🔍 흐린 보물 사진',
+    hintType: 'image',
+    toDraft: (c) => ({ blur: String(c.blur ?? 8) }),
+    build: (d) => ({ config: { blur: Number(d.blur) } }),
+    previewConfig: (config, context) => (context.capturedCrop ? { ...config, src: context.capturedCrop } : null)
+  },
+
+  image: {
+    label: '🖼️ 사진',
+    toDraft: (c) => ({ src: c.src ?? '' }),
+    build(d) {
+      if (!d.src) return { error: '힌트 사진을 고르세요.' };
+      return { config: { src: d.src } };
+    }
+  },
+
+  audio: {
+    label: '🎤 목소리 녹음',
+    withLabel: true,
+    toDraft: (c) => ({ src: c.src ?? '', label: c.label ?? '' }),
+    build(d) {
+      if (!d.src) return { error: '힌트 목소리를 녹음하세요.' };
+      return { config: { src: d.src, ...(d.label ? { label: d.label } : {}) } };
+    }
+  },
+
+  video: {
+    label: '🎬 짧은 영상',
+    withLabel: true,
+    toDraft: (c) => ({ src: c.src ?? '', label: c.label ?? '' }),
+    build(d) {
+      if (!d.src) return { error: '힌트 영상을 고르세요.' };
+      return { config: { src: d.src, ...(d.label ? { label: d.label } : {}) } };
+    }
+  },
+
+  map: {
+    label: '🗺️ 집 지도',
+    withLabel: true,
+    toDraft: (c) => ({ plan: c.plan ?? [], marker: c.marker ?? null, label: c.label ?? '' }),
+    build(d) {
+      if (!d.plan.some((stroke) => stroke.length > 1)) return { error: '집 지도를 그려 주세요.' };
+      if (!d.marker) return { error: '지도에 보물 위치를 찍어 주세요.' };
+      return {
+        config: { plan: d.plan, marker: d.marker, ...(d.label ? { label: d.label } : {}) }
+      };
+    }
+  }
+};
+
+/**
+ * 직접 만들 수 있는 힌트 유형 목록
+ * @returns {{ type: string, label: string }[]}
+ */
+export function getHintTypes() {
+  return Object.entries(HINT_FORMS).map(([type, form]) => ({ type, label: form.label }));
+}
+
+export class HintEditorView {
+  /**
+   * @param {HTMLElement} formEl - 입력 폼이 렌더링될 엘리먼트
+   * @param {HTMLElement} previewEl - hint-* 미리보기가 마운트될 엘리먼트
+   * @param {{ getAutoHint?: () => string|null, getCapturedCrop?: () => string|null }} [opts]
+   *   - getAutoHint: 자동 힌트 문구 (찍은 물건·방 기준)
+   *   - getCapturedCrop: 흐린 사진 힌트 미리보기용 물체 사진
+   */
+  constructor(formEl, previewEl, opts = {}) {
+    this.formEl = formEl;
+    this.previewEl = previewEl;
+    this._getAutoHint = opts.getAutoHint ?? (() => null);
+    this._getCapturedCrop = opts.getCapturedCrop ?? (() => null);
+    this._type = 'auto';
+    this._draft = HINT_FORMS.auto.toDraft({});
+    this._previewTimer = null;
+    this._pad = null;
+    this._placingMarker = false;
+    this._recorder = new AudioRecorder();
+
+    this._onInput = (e) => this.handleInput(e);
+    this._onClick = (e) => this.handleClick(e);
+    formEl.addEventListener('input', this._onInput);
+    formEl.addEventListener('change', this._onInput);
+    formEl.addEventListener('click', this._onClick);
+  }
+
+  get type() { return this._type; }
+
+  /**
+   * 저장된 힌트로 초기화 (자동 힌트이거나 지원하지 않는 유형이면 auto)
+   * @param {{ type: string, config: Object, auto?: boolean }|null} hint
+   */
+  setHint(hint) {
+    let type = hint && !hint.auto && HINT_FORMS[hint.type] ? hint.type : 'auto';
+    if (type === 'image' && !hint.config?.src) type = 'photo-blur';
+    this._type = type;
+    this._draft = HINT_FORMS[type].toDraft(hint?.type === type ? hint.config ?? {} : {});
+    this.render();
+  }
+
+  /**
+   * 유형 변경 (안내 문구는 유지)
+   * @param {string} type
+   */
+  setType(type) {
+    if (!HINT_FORMS[type] || type === this._type) return;
+    this._recorder.cancel();
+    this._type = type;
+    this._draft = HINT_FORMS[type].toDraft({ label: this._draft.label });
+    this.render();
+  }
+
+  /**
+   * 현재 입력으로 힌트 생성 (자동 힌트는 auto: true 로 표시해 다시 열 때 자동 모드 유지)
+   * @returns {{ hint: { type: string, config: Object, auto?: boolean }|null, error: string|null }}
+   */
+  getHint() {
+    this.readForm();
+    return this.buildHint();
+  }
+
+  buildHint() {
+    const form = HINT_FORMS[this._type];
+    const result = form.build(this._draft, { autoHint: this._getAutoHint() });
+    if (result.error) return { hint: null, error: result.error };
+    return {
+      hint: {
+        type: form.hintType ?? this._type,
+        config: result.config,
+        ...(this._type === 'auto' ? { auto: true } : {})
+      },
+      error: null
+    };
+  }
+
+  render() {
+    this.destroyPad();
+    const body = {
+      auto: () => '<p class="hint-text">찍은 사진에서 찾은 물건과 방으로 힌트 문구를 만들어요. 사진을 다시 찍으면 힌트도 바뀌어요.</p>',
+      text: () => this.renderText(),
+      'photo-blur': () => this.renderPhotoBlur(),
+      image: () => this.renderImage(),
+      audio: () => this.renderAudio(),
+      video: () => this.renderVideo(),
+      map: () => this.renderMap()
+    }[this._type]();
+
+    this.formEl.innerHTML = `
+      ${body}
+      <p class="hint-editor-status"></p>
+      ${HINT_FORMS[this._type].withLabel ? `
+        <div class="form-group">
+          <label class="form-label">안내 문구 (선택)</label>
+          <input type="text" class="form-input" data-field="label"
+                 value="${escapeAttr(this._draft.label)}" placeholder="예: 차가운 곳을 찾아봐!">
+        </div>
+      ` : ''}
+    `;
+
+    if (this._type === 'map') this.mountMapPad();
+    this.updatePreview();
+  }
+
+  renderText() {
+    return `
+      <div class="form-group">
+        <label class="form-label">힌트 문구</label>
+        <input type="text" class="form-input" data-field="value"
+               value="${escapeAttr(this._draft.value)}" placeholder="예: 차가운 곳을 찾아봐!">
+      </div>
+    `;
+  }
+
+  renderPhotoBlur() {
+    const options = [
+      ['16', '아주 흐리게'],
+      ['8', '흐리게'],
+      ['3', '살짝 흐리게'],
+      ['0', '선명하게']
+    ];
+    return `
+      <p class="hint-text">찍은 사진에서 보물 물체 부분만 잘라 보여줘요. 단계마다 덜 흐리게 하면 점점 선명해져요.</p>
+      <div class="form-group">
+        <label class="form-label">흐림 정도</label>
+        <select class="form-input" data-field="blur">
+          ${options.map(([value, label]) => `
+            <option value="${value}" ${value === this._draft.blur ? 'selected' : ''}>${label}</option>
+          `).join('')}
+        </select>
+      </div>
+    `;
+  }
+
+  renderImage() {
+    const src = this._draft.src;
+    return `
+      <div class="form-group">
+        <label class="form-label">힌트 사진</label>
+        <div class="riddle-editor-image-field">
+          <label class="riddle-editor-image">
+            ${src ? `<img src="${escapeAttr(src)}" alt="">` : '<span>🖼️ 사진 고르기</span>'}
+            <input type="file" accept="image/*" hidden data-image>
+          </label>
+          ${src ? '<button type="button" class="btn btn-secondary btn-small" data-action="clear-media">✕</button>' : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  renderAudio() {
+    if (!AudioRecorder.supported) {
+      return '<p class="hint-text">이 브라우저에서는 녹음을 할 수 없어요.</p>';
+    }
+    return `
+      <div class="form-group">
+        <label class="form-label">목소리 (최대 ${MAX_RECORD_SECONDS}초)</label>
+        <div class="hint-editor-tools">
+          <button type="button" class="btn btn-primary btn-small" data-action="record">🎙️ 녹음 시작</button>
+          ${this._draft.src ? '<button type="button" class="btn btn-secondary btn-small" data-action="clear-media">🗑️ 지우기</button>' : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  renderVideo() {
+    return `
+      <div class="form-group">
+        <label class="form-label">영상 (${Math.round(MAX_VIDEO_BYTES / 1024 / 1024)}MB 이하의 짧은 영상)</label>
+        <div class="hint-editor-tools">
+          <label class="btn btn-primary btn-small">
+            🎬 영상 고르기/찍기
+            <input type="file" accept="video/*" capture="environment" hidden>
+          </label>
+          ${this._draft.src ? '<button type="button" class="btn btn-secondary btn-small" data-action="clear-media">🗑️ 지우기</button>' : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  renderMap() {
+    const marker = this._draft.marker;
+    return `
+      <div class="form-group">
+        <label class="form-label">집 지도 (벽과 방을 그리고, 보물 위치를 찍어 주세요)</label>
+        <div class="hint-editor-map">
+          <canvas class="riddle-editor-pad" data-map-pad></canvas>
+          ${marker ? `<span class="hint-editor-marker" style="left: ${marker[0] * 100}%; top: ${marker[1] * 100}%;">📍</span>` : ''}
+        </div>
+        <div class="riddle-editor-pad-tools">
+          <button type="button" class="btn btn-small ${this._placingMarker ? 'btn-secondary' : 'btn-primary'}" data-action="draw-mode">✏️ 그리기</button>
+          <button type="button" class="btn btn-small ${this._placingMarker ? 'btn-primary' : 'btn-secondary'}" data-action="marker-mode">📍 보물 위치</button>
+          <button type="button" class="btn btn-secondary btn-small" data-action="undo-strokes">↩️</button>
+          <button type="button" class="btn btn-secondary btn-small" data-action="clear-strokes">🧽</button>
+        </div>
+      </div>
+    `;
+  }
+
+  mountMapPad() {
+    const canvas = this.formEl.querySelector('[data-map-pad]');
+    this._pad = new StrokePad(canvas, {
+      color: '#475569',
+      onChange: (strokes) => {
+        this._draft.plan = strokes.map((stroke) => [...stroke]);
+        this.schedulePreview();
+      }
+    });
+    this._pad.setStrokes(this._draft.plan);
+    this._pad.enabled = !this._placingMarker;
+    canvas.addEventListener('pointerdown', (e) => {
+      if (!this._placingMarker) return;
+      this.readForm();
+      this._draft.marker = this._pad.toPoint(e);
+      this.render();
+    });
+  }
+
+  /** 폼 DOM → draft (사진·미디어·지도는 이벤트에서 바로 draft 에 반영) */
+  readForm() {
+    this.formEl.querySelectorAll('[data-field]').forEach((input) => {
+      this._draft[input.dataset.field] = input.value.trim();
+    });
+  }
+
+  handleInput(e) {
+    const target = e.target;
+    if (target.type === 'file') {
+      if (e.type !== 'change') return;
+      if (target.hasAttribute('data-image')) this.handleImageFile(target);
+      else this.handleVideoFile(target);
+      return;
+    }
+    this.readForm();
+    this.schedulePreview();
+  }
+
+  handleClick(e) {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+    e.preventDefault();
+    switch (btn.dataset.action) {
+      case 'record':
+        this.toggleRecording(btn);
+        break;
+      case 'clear-media':
+        this.readForm();
+        this._draft.src = '';
+        this.render();
+        break;
+      case 'draw-mode':
+      case 'marker-mode':
+        this.readForm();
+        this._placingMarker = btn.dataset.action === 'marker-mode';
+        this.render();
+        break;
+      case 'undo-strokes':
+        this._pad?.undo();
+        break;
+      case 'clear-strokes':
+        this._pad?.clear();
+        break;
+    }
+  }
+
+  async toggleRecording(btn) {
+    if (this._recorder.recording) {
+      this._recorder.stop();
+      return;
+    }
+    this.readForm();
+    btn.textContent = '⏹️ 녹음 끝내기';
+    this.setStatus('녹음 중이에요... 🎙️');
+    try {
+      const src = await this._recorder.record({ maxSeconds: MAX_RECORD_SECONDS });
+      if (src) this._draft.src = src;
+      this.render();
+    } catch (err) {
+      console.error('Recording failed:', err);
+      btn.textContent = '🎙️ 녹음 시작';
+      this.setStatus('마이크를 쓸 수 없어요. 브라우저 권한을 확인하세요.');
+    }
+  }
+
+  async handleImageFile(input) {
+    const file = input.files?.[0];
+    if (!file) return;
+    this.readForm();
+    try {
+      this._draft.src = await fileToDataUrl(file, { maxSize: 512 });
+    } catch (err) {
+      console.error('Image load failed:', err);
+    }
+    this.render();
+  }
+
+  async handleVideoFile(input) {
+    const file = input.files?.[0];
+    if (!file) return;
+    if (file.size > MAX_VIDEO_BYTES) {
+      this.setStatus(`영상이 너무 커요. ${Math.round(MAX_VIDEO_BYTES / 1024 / 1024)}MB 이하로 짧게 찍어 주세요.`);
+      input.value = '';
+      return;
+    }
+    this.readForm();
+    try {
+      this._draft.src = await blobToDataUrl(file);
+    } catch (err) {
+      console.error('Video load failed:', err);
+    }
+    this.render();
+  }
+
+  setStatus(message) {
+    const status = this.formEl.querySelector('.hint-editor-status');
+    if (status) status.textContent = message;
+  }
+
+  schedulePreview() {
+    clearTimeout(this._previewTimer);
+    this._previewTimer = setTimeout(() => this.updatePreview(), PREVIEW_DELAY);
+  }
+
+  /** 실제 hint-* 엘리먼트를 미리보기에 마운트 */
+  updatePreview() {
+    clearTimeout(this._previewTimer);
+    const result = this.buildHint();
+    this.previewEl.innerHTML = '';
+    if (result.error) {
+      this.previewEl.innerHTML = `<p class="riddle-preview-empty">${escapeHtml(result.error)}</p>`;
+      return;
+    }
+    const { previewConfig } = HINT_FORMS[this._type];
+    const config = previewConfig
+      ? previewConfig(result.hint.config, { capturedCrop: this._getCapturedCrop() })
+      : result.hint.config;
+    if (!config) {
+      this.previewEl.innerHTML = '<p class="riddle-preview-empty">사진을 찍으면 미리 볼 수 있어요.</p>';
+      return;
+    }
+    const el = createHintElement({ ...result.hint, config });
+    el.addEventListener('hint-shown', (e) => e.stopPropagation());
+    this.previewEl.appendChild(el);
+  }
+
+  destroyPad() {
+    this._pad?.destroy();
+    this._pad = null;
+  }
+
+  destroy() {
+    clearTimeout(this._previewTimer);
+    this._recorder.cancel();
+    this.destroyPad();
+    this.formEl.removeEventListener('input', this._onInput);
+    this.formEl.removeEventListener('change', this._onInput);
+    this.formEl.removeEventListener('click', this._onClick);
+    this.previewEl.innerHTML = '';
+  }
+}
+
+function escapeHtml(str) {
+  if (str == null || typeof str !== 'string') return '';
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+function escapeAttr(str) {
+  return escapeHtml(str).replace(/"/g, '&quot;');
+}
@@ -0,0 +1,94 @@
+/**
+ * 이미지 파일 → data URL (저장 용량을 줄이기 위해 긴 변 기준 축소 후 JPEG 재인코딩)
+ */
+
+/**
+ * data URL/이미지 URL을 로드
+ * @param {string} src
+ * @returns {Promise<HTMLImageElement>}
+ */
+export function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = reject;
+    img.src = src;
+  });
+}
+
+/**
+ * 이미지를 maxSize 이하로 축소해 JPEG data URL로 변환
+ * @param {HTMLImageElement|HTMLCanvasElement} image
+ * @param {{ maxSize?: number, quality?: number }} [opts]
+ * @returns {string}
+ */
+export function imageToDataUrl(image, opts = {}) {
+  const maxSize = opts.maxSize ?? 512;
+  const quality = opts.quality ?? 0.8;
+  const w = image.naturalWidth || image.width;
+  const h = image.naturalHeight || image.height;
+  const scale = Math.min(1, maxSize / Math.max(w, h));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(w * scale));
+  canvas.height = Math.max(1, Math.round(h * scale));
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', quality);
+}
+
+/**
+ * 이미지의 일부 영역을 잘라 JPEG data URL로 변환 (긴 변 maxSize 이하)
+ * @param {HTMLImageElement|HTMLCanvasElement} image
+ * @param {number[]} box - [x, y, width, height] (이미지 픽셀 좌표)
+ * @param {{ maxSize?: number, quality?: number }} [opts]
+ * @returns {string}
+ */
+export function cropToDataUrl(image, box, opts = {}) {
+  const [x, y, w, h] = box;
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(w));
+  canvas.height = Math.max(1, Math.round(h));
+  canvas.getContext('2d').drawImage(image, x, y, w, h, 0, 0, canvas.width, canvas.height);
+  return imageToDataUrl(canvas, opts);
+}
+
+/**
+ * 파일 입력(File)에서 축소된 JPEG data URL 생성
+ * @param {File} file
+ * @param {{ maxSize?: number, quality?: number }} [opts]
+ * @returns {Promise<string>}
+ */
+export async function fileToDataUrl(file, opts = {}) {
+  const raw = await blobToDataUrl(file);
+  const img = await loadImage(raw);
+  return imageToDataUrl(img, opts);
+}
+
+/**
+ * Blob(녹음·영상 파일 등) → data URL (재인코딩 없이 그대로)
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = reject;
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * base64 data URL → Blob (IndexedDB 저장용, 데이터 그대로)
+ * @param {string} dataUrl
+ * @returns {Blob}
+ */
+export function dataUrlToBlob(dataUrl) {
+  const comma = dataUrl.indexOf(',');
+  const type = dataUrl.slice(5, comma).replace(/;base64$/, '');
+  const binary = atob(dataUrl.slice(comma + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type });
+}
@@ -0,0 +1,102 @@
+/**
+ * 찍은 사진으로 그림 고르기 문제 만들기
+ * 정답: 선택한 검출 물체 영역 / 오답: 다른 검출 물체 → 물체와 겹치지 않는 같은 크기의 무작위 영역
+ * 선택한 물체 영역 잘라내기(cropSelectedTarget)는 흐린 사진 힌트에서도 쓴다.
+ */
+import { loadImage, cropToDataUrl } from './image-data-url.js';
+
+const CROP_PADDING = 0.1;
+const CROP_MAX_SIZE = 256;
+const MAX_OVERLAP = 0.2;
+const RANDOM_TRIES = 60;
+
+/**
+ * @param {{ imageData: string, sourceWidth?: number, sourceHeight?: number,
+ *           predictions: Array<{ bbox: number[], class: string }>, selectedIndex: number }} capture
+ * @param {{ count?: number }} [opts] - 선택지 수 (기본 4)
+ * @returns {Promise<{ options: string[], answerIndex: number }>}
+ */
+export async function buildPhotoChoice(capture, opts = {}) {
+  const count = opts.count ?? 4;
+  const target = capture.predictions[capture.selectedIndex];
+  if (!capture.imageData || !target) throw new Error('No selected object');
+
+  const img = await loadImage(capture.imageData);
+  const width = img.naturalWidth;
+  const height = img.naturalHeight;
+  const scale = width / (capture.sourceWidth || width);
+  const toImageBox = (bbox) => padBox(bbox.map((v) => v * scale), width, height);
+
+  const targetBox = toImageBox(target.bbox);
+  const boxes = [targetBox];
+
+  // 다른 물체 먼저 (다른 종류, 정답과 거의 겹치지 않는 것)
+  for (const p of capture.predictions) {
+    if (boxes.length >= count) break;
+    if (p === target || p.class === target.class) continue;
+    const box = toImageBox(p.bbox);
+    if (boxes.every((b) => overlap(b, box) < MAX_OVERLAP)) boxes.push(box);
+  }
+
+  // 모자라면 같은 크기의 무작위 영역
+  const [, , tw, th] = targetBox;
+  const w = Math.min(width, Math.max(tw, width * 0.2));
+  const h = Math.min(height, Math.max(th, height * 0.2));
+  for (let i = 0; i < RANDOM_TRIES && boxes.length < count; i++) {
+    const box = [Math.random() * (width - w), Math.random() * (height - h), w, h];
+    if (boxes.every((b) => overlap(b, box) < MAX_OVERLAP)) boxes.push(box);
+  }
+
+  if (boxes.length < 2) throw new Error('Not enough decoys');
+
+  const crops = boxes.map((box) => cropToDataUrl(img, box, { maxSize: CROP_MAX_SIZE }));
+  const order = crops.map((_, i) => i);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return {
+    options: order.map((i) => crops[i]),
+    answerIndex: order.indexOf(0)
+  };
+}
+
+/**
+ * 선택한 검출 물체 영역만 잘라낸 사진 (단계별 흐린 사진 힌트용)
+ * @param {{ imageData: string, sourceWidth?: number,
+ *           predictions: Array<{ bbox: number[] }>, selectedIndex: number }} capture
+ * @returns {Promise<string|null>} 사진이나 선택한 물체가 없으면 null
+ */
+export async function cropSelectedTarget(capture) {
+  const target = capture.predictions?.[capture.selectedIndex];
+  if (!capture.imageData || !target) return null;
+  const img = await loadImage(capture.imageData);
+  const scale = img.naturalWidth / (capture.sourceWidth || img.naturalWidth);
+  const box = padBox(target.bbox.map((v) => v * scale), img.naturalWidth, img.naturalHeight);
+  return cropToDataUrl(img, box, { maxSize: CROP_MAX_SIZE });
+}
+
+/**
+ * bbox를 여백만큼 넓히고 이미지 안으로 자르기
+ * @returns {number[]} [x, y, w, h]
+ */
+function padBox([x, y, w, h], width, height) {
+  const px = w * CROP_PADDING;
+  const py = h * CROP_PADDING;
+  const x0 = Math.max(0, x - px);
+  const y0 = Math.max(0, y - py);
+  const x1 = Math.min(width, x + w + px);
+  const y1 = Math.min(height, y + h + py);
+  return [x0, y0, x1 - x0, y1 - y0];
+}
+
+/**
+ * 두 영역의 IoU
+ */
+function overlap([ax, ay, aw, ah], [bx, by, bw, bh]) {
+  const ix = Math.max(0, Math.min(ax + aw, bx + bw) - Math.max(ax, bx));
+  const iy = Math.max(0, Math.min(ay + ah, by + bh) - Math.max(ay, by));
+  const inter = ix * iy;
+  const union = aw * ah + bw * bh - inter;
+  return union > 0 ? inter / union : 0;
+}
@@ -0,0 +1,125 @@
+/**
+ * 점 구름($P) 필기 인식 (DOM 없이 동작하는 순수 함수)
+ * - 획 순서·방향과 상관없이 모양만 비교하므로 아이들이 따라 그리기에 알맞다
+ * - 좌표는 어떤 단위든 상관없음 (크기·위치 정규화 후 비교)
+ */
+
+const SAMPLE_POINTS = 32;
+
+/**
+ * 획 목록 → 정규화된 점 구름 (n개 균등 재표본, 단위 상자 크기, 무게중심 원점)
+ * @param {Array<Array<[number, number]>>} strokes
+ * @param {number} [n]
+ * @returns {Array<{ x: number, y: number }>}
+ */
+export function normalizeStrokes(strokes, n = SAMPLE_POINTS) {
+  const points = [];
+  strokes.forEach((stroke, id) => {
+    for (const [x, y] of stroke) points.push({ x, y, id });
+  });
+  if (points.length === 0) return [];
+  return translateToOrigin(scale(resample(points, n)));
+}
+
+/**
+ * 두 점 구름의 거리 (점당 평균, 작을수록 비슷함)
+ * @param {Array<{ x: number, y: number }>} a
+ * @param {Array<{ x: number, y: number }>} b
+ * @returns {number}
+ */
+export function cloudDistance(a, b) {
+  if (a.length === 0 || a.length !== b.length) return Infinity;
+  const n = a.length;
+  const step = Math.max(1, Math.floor(Math.sqrt(n)));
+  let best = Infinity;
+  for (let i = 0; i < n; i += step) {
+    best = Math.min(best, greedyMatch(a, b, i), greedyMatch(b, a, i));
+  }
+  return best / n;
+}
+
+/**
+ * 그린 획과 본보기 획 비교
+ * @param {Array<Array<[number, number]>>} drawn
+ * @param {Array<Array<[number, number]>>} template
+ * @returns {number} 점당 평균 거리 (그린 게 없으면 Infinity)
+ */
+export function compareStrokes(drawn, template) {
+  return cloudDistance(normalizeStrokes(drawn), normalizeStrokes(template));
+}
+
+function greedyMatch(a, b, start) {
+  const n = a.length;
+  const matched = new Array(n).fill(false);
+  let sum = 0;
+  for (let k = 0; k < n; k++) {
+    const i = (start + k) % n;
+    let min = Infinity;
+    let index = -1;
+    for (let j = 0; j < n; j++) {
+      if (matched[j]) continue;
+      const d = Math.hypot(a[i].x - b[j].x, a[i].y - b[j].y);
+      if (d < min) {
+        min = d;
+        index = j;
+      }
+    }
+    matched[index] = true;
+    // 먼저 짝지은 점일수록 가중치가 크다
+    sum += (1 - k / n) * min;
+  }
+  return sum * 2;
+}
+
+function resample(points, n) {
+  const total = pathLength(points);
+  if (total === 0) return Array.from({ length: n }, () => ({ ...points[0] }));
+  const interval = total / (n - 1);
+  const src = points.map((p) => ({ ...p }));
+  const out = [{ ...src[0] }];
+  let acc = 0;
+  for (let i = 1; i < src.length; i++) {
+    if (src[i].id !== src[i - 1].id) continue;
+    const d = Math.hypot(src[i].x - src[i - 1].x, src[i].y - src[i - 1].y);
+    if (acc + d >= interval && d > 0) {
+      const t = (interval - acc) / d;
+      const q = {
+        x: src[i - 1].x + t * (src[i].x - src[i - 1].x),
+        y: src[i - 1].y + t * (src[i].y - src[i - 1].y),
+        id: src[i].id
+      };
+      out.push(q);
+      src.splice(i, 0, q);
+      acc = 0;
+    } else {
+      acc += d;
+    }
+  }
+  while (out.length < n) out.push({ ...src[src.length - 1] });
+  return out.slice(0, n);
+}
+
+function pathLength(points) {
+  let d = 0;
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].id === points[i - 1].id) {
+      d += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    }
+  }
+  return d;
+}
+
+function scale(points) {
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const size = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY) || 1;
+  return points.map((p) => ({ x: (p.x - minX) / size, y: (p.y - minY) / size }));
+}
+
+function translateToOrigin(points) {
+  const cx = points.reduce((s, p) => s + p.x, 0) / points.length;
+  const cy = points.reduce((s, p) => s + p.y, 0) / points.length;
+  return points.map((p) => ({ x: p.x - cx, y: p.y - cy }));
+}
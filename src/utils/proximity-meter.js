@@ -0,0 +1,60 @@
+/**
+ * 보물 찾기 온도계 ("따뜻해요 / 차가워요") — AR 실시간 검출 결과 → 온도 단계
+ * - 0 차가워요: 보물과 같은 종류가 화면에 없음
+ * - 1 따뜻해요: 같은 종류가 작게(멀리) 보임
+ * - 2 뜨거워요: 같은 종류가 크게(가까이) 보임
+ * - 3 아주 뜨거워요: 등록한 바로 그 물체 (featureEmbedding 유사도 통과)
+ */
+
+export const HEAT_LEVELS = [
+  { icon: '🧊', label: '차가워요' },
+  { icon: '🌤️', label: '따뜻해요' },
+  { icon: '🔥', label: '뜨거워요' },
+  { icon: '🌋', label: '아주 뜨거워요!' }
+];
+
+/** 화면 넓이 대비 이 비율 이상이면 가까이 있다고 봄 */
+const NEAR_AREA_RATIO = 0.08;
+
+/** 단계가 오를 때 진동 패턴 (ms) */
+const VIBRATION_PATTERNS = [[], [60], [80, 60, 80], [150, 80, 150, 80, 150]];
+
+/**
+ * 화면 속 보물 종류 중 가장 큰 후보
+ * @param {Array<{ class: string, bbox: number[] }>} predictions
+ * @param {string} targetClass
+ * @returns {{ class: string, bbox: number[] }|null}
+ */
+export function findTargetCandidate(predictions, targetClass) {
+  let best = null;
+  for (const p of predictions) {
+    if (p.class !== targetClass) continue;
+    if (!best || p.bbox[2] * p.bbox[3] > best.bbox[2] * best.bbox[3]) best = p;
+  }
+  return best;
+}
+
+/**
+ * @param {{ bbox: number[] }|null} candidate - findTargetCandidate 결과
+ * @param {number} frameWidth
+ * @param {number} frameHeight
+ * @param {{ matched?: boolean }} [opts] - matched: 등록한 물체와 같다고 확인됨
+ * @returns {number} 0~3
+ */
+export function getHeatLevel(candidate, frameWidth, frameHeight, opts = {}) {
+  if (!candidate) return 0;
+  if (opts.matched) return 3;
+  const [, , w, h] = candidate.bbox;
+  return (w * h) / (frameWidth * frameHeight) >= NEAR_AREA_RATIO ? 2 : 1;
+}
+
+/**
+ * 단계가 올라갈 때 짧게 진동 (지원하지 않는 기기는 무시)
+ * @param {number} level
+ */
+export function vibrateForLevel(level) {
+  const pattern = VIBRATION_PATTERNS[level];
+  if (pattern?.length && typeof navigator.vibrate === 'function') {
+    navigator.vibrate(pattern);
+  }
+}
@@ -0,0 +1,791 @@
+/**
+ * 수수께끼 직접 입력 뷰: 유형별 입력 폼 + 실제 riddle-* 엘리먼트 미리보기
+ * 폼 정의(RIDDLE_FORMS)는 draft(편집 중 상태) ↔ config 변환과 검증을 담당한다.
+ */
+import { createRiddleElement } from './component-factory.js';
+import { fileToDataUrl } from './image-data-url.js';
+import { getCocoClasses, getCocoLabel } from './coco-labels.js';
+import { StrokePad } from './stroke-pad.js';
+
+const PREVIEW_DELAY = 300;
+
+/**
+ * 유형별 폼 정의
+ * - fields: 입력 필드 목록 (type: 'text' | 'select' | 'list' | 'strokes' | 'image')
+ *   - list: columns(draft) 로 열 정의, answerKey 가 있으면 정답 라디오 표시
+ *   - 열 kind: 'text'(기본) | 'image' | 'select'(options)
+ *   - strokes: 캔버스에 직접 그린 획 (0~1 좌표)
+ *   - image: 사진 한 장 (data URL, maxSize 로 긴 변 제한)
+ * - toDraft(config): 저장된 config → 편집 상태
+ * - build(draft): 편집 상태 → { config } 또는 { error }
+ * - previewConfig(config, context): 미리보기에만 쓰는 config 보정 (선택, context 는 생성자 옵션 참고)
+ * 제한 시간(timeLimit)과 힌트 목록(hints)은 모든 유형에 공통으로 붙는다 (getFields 참고).
+ */
+export const RIDDLE_FORMS = {
+  text: {
+    label: '텍스트 입력',
+    fields: [
+      { key: 'question', label: '문제', placeholder: '문제를 입력하세요' },
+      { key: 'answer', label: '정답', placeholder: '정답을 입력하세요' },
+      { key: 'extraAnswers', label: '함께 인정할 답 (쉼표로 구분, 선택)', placeholder: '예: 냉장고, 김치냉장고' },
+      {
+        key: 'fuzzy',
+        type: 'select',
+        label: '오타 허용',
+        options: [
+          { value: '', label: '허용 안 함' },
+          { value: 'auto', label: '자동 (답 길이에 맞춰)' },
+          { value: '1', label: '1글자까지' },
+          { value: '2', label: '2글자까지' }
+        ]
+      }
+    ],
+    toDraft: (c) => ({
+      question: c.question ?? '',
+      answer: c.answer ?? '',
+      extraAnswers: (c.answers ?? []).join(', '),
+      fuzzy: c.fuzzy === true ? 'auto' : String(c.fuzzy ?? '')
+    }),
+    build(d) {
+      if (!d.question || !d.answer) return { error: '문제와 정답을 입력하세요.' };
+      const answers = d.extraAnswers.split(',').map((a) => a.trim()).filter(Boolean);
+      return {
+        config: {
+          question: d.question,
+          answer: d.answer,
+          ...(answers.length ? { answers } : {}),
+          ...(d.fuzzy === 'auto' ? { fuzzy: true } : d.fuzzy ? { fuzzy: Number(d.fuzzy) } : {})
+        }
+      };
+    }
+  },
+
+  choice: {
+    label: 'N지선다',
+    fields: [
+      { key: 'question', label: '문제', placeholder: '문제를 입력하세요' },
+      {
+        key: 'options',
+        type: 'list',
+        label: '선택지 (정답에 체크)',
+        answerKey: 'answerIndex',
+        min: 2,
+        max: 6,
+        columns: () => [{ key: 'text', placeholder: '선택지' }]
+      }
+    ],
+    toDraft: (c) => ({
+      question: c.question ?? '',
+      options: (c.options ?? ['', '', '', '']).map((text) => ({ text })),
+      answerIndex: c.answerIndex ?? 0
+    }),
+    build(d) {
+      if (!d.question) return { error: '문제를 입력하세요.' };
+      if (d.options.some((o) => !o.text)) return { error: '모든 선택지를 입력하세요.' };
+      return {
+        config: {
+          question: d.question,
+          options: d.options.map((o) => o.text),
+          answerIndex: Math.min(d.answerIndex, d.options.length - 1)
+        }
+      };
+    }
+  },
+
+  'image-choice': {
+    label: '그림 고르기',
+    fields: [
+      { key: 'question', label: '문제', placeholder: '예: 방금 찾은 물건은 어느 사진일까요?' },
+      {
+        key: 'options',
+        type: 'list',
+        label: '그림 선택지 (정답에 체크)',
+        answerKey: 'answerIndex',
+        min: 2,
+        max: 6,
+        columns: () => [{ key: 'src', kind: 'image', placeholder: '그림' }]
+      }
+    ],
+    toDraft: (c) => ({
+      question: c.question ?? '',
+      options: (c.options ?? ['', '', '', '']).map((src) => ({ src })),
+      answerIndex: c.answerIndex ?? 0
+    }),
+    build(d) {
+      if (d.options.some((o) => !o.src)) return { error: '모든 선택지에 그림을 넣으세요.' };
+      return {
+        config: {
+          question: d.question || '알맞은 그림을 골라보세요!',
+          options: d.options.map((o) => o.src),
+          answerIndex: Math.min(d.answerIndex, d.options.length - 1)
+        }
+      };
+    }
+  },
+
+  'object-hunt': {
+    label: '물건 보여주기 (카메라)',
+    fields: [
+      {
+        key: 'targetClass',
+        type: 'select',
+        label: '보여줘야 하는 물건',
+        options: getCocoClasses()
+          .map((c) => ({ value: c, label: getCocoLabel(c) }))
+          .sort((a, b) => a.label.localeCompare(b.label, 'ko'))
+      },
+      { key: 'prompt', label: '안내 문구 (선택)', placeholder: '예: 컵을 보여줘!' },
+      {
+        key: 'frames',
+        type: 'select',
+        label: '인식 기준',
+        options: [
+          { value: '3', label: '느슨하게 (3프레임)' },
+          { value: '5', label: '보통 (5프레임)' },
+          { value: '10', label: '엄격하게 (10프레임)' }
+        ]
+      }
+    ],
+    toDraft: (c) => ({
+      targetClass: c.targetClass ?? 'cup',
+      prompt: c.prompt ?? '',
+      frames: String(c.frames ?? 5)
+    }),
+    build: (d) => ({
+      config: {
+        targetClass: d.targetClass,
+        ...(d.prompt ? { prompt: d.prompt } : {}),
+        frames: Number(d.frames)
+      }
+    })
+  },
+
+  draw: {
+    label: '따라 그리기',
+    fields: [
+      { key: 'instruction', label: '안내 문구', placeholder: "예: 'ㄱ'을 따라 그려 보세요" },
+      { key: 'template', type: 'strokes', label: '본보기 (아래 칸에 직접 그려 주세요)' },
+      {
+        key: 'tolerance',
+        type: 'select',
+        label: '채점',
+        options: [
+          { value: '0.2', label: '너그럽게' },
+          { value: '0.15', label: '보통' },
+          { value: '0.1', label: '꼼꼼하게' }
+        ]
+      },
+      {
+        key: 'hideGuide',
+        type: 'select',
+        label: '본보기 점선',
+        options: [
+          { value: '', label: '보여주기 (따라 그리기)' },
+          { value: '1', label: '숨기기 (기억해서 그리기)' }
+        ]
+      }
+    ],
+    toDraft: (c) => ({
+      instruction: c.instruction ?? '',
+      template: c.template ?? [],
+      tolerance: String(c.tolerance ?? 0.15),
+      hideGuide: c.hideGuide ? '1' : ''
+    }),
+    build(d) {
+      if (!d.template.some((stroke) => stroke.length > 1)) return { error: '본보기를 그려 주세요.' };
+      return {
+        config: {
+          instruction: d.instruction || '점선을 따라 그려 보세요!',
+          template: d.template,
+          tolerance: Number(d.tolerance),
+          ...(d.hideGuide ? { hideGuide: true } : {})
+        }
+      };
+    }
+  },
+
+  sequence: {
+    label: '순서 맞추기',
+    fields: [
+      { key: 'instruction', label: '안내 문구', placeholder: '예: 숫자를 순서대로 정렬하세요' },
+      {
+        key: 'steps',
+        type: 'list',
+        label: '항목 (정답 순서대로 입력, 문제에서는 섞여서 나와요)',
+        min: 2,
+        max: 8,
+        columns: () => [{ key: 'text', placeholder: '항목' }]
+      }
+    ],
+    toDraft(c) {
+      const items = c.items ?? [];
+      const order = c.correctOrder ?? items.map((_, i) => i);
+      const steps = order.map((i) => ({ text: items[i] ?? '' }));
+      return {
+        instruction: c.instruction ?? '',
+        steps: steps.length ? steps : [{ text: '' }, { text: '' }, { text: '' }]
+      };
+    },
+    build(d) {
+      if (d.steps.some((s) => !s.text)) return { error: '모든 항목을 입력하세요.' };
+      const perm = shuffledIndices(d.steps.length);
+      return {
+        config: {
+          instruction: d.instruction || '순서대로 정렬하세요',
+          items: perm.map((i) => d.steps[i].text),
+          correctOrder: d.steps.map((_, step) => perm.indexOf(step))
+        }
+      };
+    }
+  },
+
+  memory: {
+    label: '카드 짝 맞추기',
+    fields: [
+      { key: 'instruction', label: '안내 문구', placeholder: '예: 같은 뜻의 카드를 찾아보세요' },
+      {
+        key: 'matchType',
+        type: 'select',
+        label: '카드 종류',
+        rerender: true,
+        options: [
+          { value: 'text-text', label: '글자 - 글자' },
+          { value: 'image-text', label: '그림 - 글자' },
+          { value: 'image-image', label: '그림 - 그림' }
+        ]
+      },
+      {
+        key: 'pairs',
+        type: 'list',
+        label: '짝',
+        min: 2,
+        max: 8,
+        columns: (d) => {
+          const [front, back] = d.matchType.split('-');
+          return [
+            { key: 'front', kind: front, placeholder: '앞면' },
+            { key: 'back', kind: back, placeholder: '짝' }
+          ];
+        }
+      }
+    ],
+    toDraft: (c) => ({
+      instruction: c.instruction ?? '',
+      matchType: c.matchType ?? 'text-text',
+      pairs: (c.pairs ?? [{}, {}, {}]).map((p) => ({ front: p.front ?? '', back: p.back ?? '' }))
+    }),
+    build(d) {
+      if (d.pairs.some((p) => !p.front || !p.back)) return { error: '모든 짝을 입력하세요.' };
+      return {
+        config: {
+          ...(d.instruction ? { instruction: d.instruction } : {}),
+          pairs: d.pairs.map((p, i) => ({ id: i + 1, front: p.front, back: p.back })),
+          matchType: d.matchType
+        }
+      };
+    }
+  },
+
+  connect: {
+    label: '선 잇기',
+    fields: [
+      { key: 'instruction', label: '안내 문구', placeholder: '예: 동물과 울음소리를 연결하세요' },
+      {
+        key: 'pairs',
+        type: 'list',
+        label: '연결 쌍 (오른쪽은 문제에서 섞여서 나와요)',
+        min: 2,
+        max: 6,
+        columns: () => [
+          { key: 'left', placeholder: '왼쪽' },
+          { key: 'right', placeholder: '오른쪽' }
+        ]
+      }
+    ],
+    toDraft(c) {
+      const left = c.leftItems ?? [];
+      const right = c.rightItems ?? [];
+      const pairs = (c.correctPairs ?? []).map(([l, r]) => ({ left: left[l] ?? '', right: right[r] ?? '' }));
+      return {
+        instruction: c.instruction ?? '',
+        pairs: pairs.length ? pairs : [{ left: '', right: '' }, { left: '', right: '' }, { left: '', right: '' }]
+      };
+    },
+    build(d) {
+      if (d.pairs.some((p) => !p.left || !p.right)) return { error: '모든 쌍을 입력하세요.' };
+      const perm = shuffledIndices(d.pairs.length);
+      return {
+        config: {
+          instruction: d.instruction || '알맞은 것끼리 연결하세요',
+          leftItems: d.pairs.map((p) => p.left),
+          rightItems: perm.map((i) => d.pairs[i].right),
+          correctPairs: d.pairs.map((_, i) => [i, perm.indexOf(i)])
+        }
+      };
+    }
+  }
+};
+
+RIDDLE_FORMS.jigsaw = {
+  label: '사진 조각 맞추기',
+  fields: [
+    { key: 'instruction', label: '안내 문구', placeholder: '예: 조각을 바꿔서 사진을 완성하세요!' },
+    { key: 'image', type: 'image', label: '사진 (비우면 게임에서 보물 사진을 써요)', maxSize: 640 },
+    {
+      key: 'difficulty',
+      type: 'select',
+      label: '조각 수',
+      options: [
+        { value: '', label: '문제 난이도에 맞춰 (기본 2×2)' },
+        { value: 'easy', label: '⭐ 쉬움 (2×2)' },
+        { value: 'medium', label: '⭐⭐ 보통 (3×3)' },
+        { value: 'hard', label: '⭐⭐⭐ 어려움 (4×4)' }
+      ]
+    }
+  ],
+  toDraft: (c) => ({
+    instruction: c.instruction ?? '',
+    image: c.image ?? '',
+    difficulty: c.difficulty ?? ''
+  }),
+  build: (d) => ({
+    config: {
+      instruction: d.instruction || '조각을 바꿔서 사진을 완성하세요!',
+      ...(d.image ? { image: d.image } : {}),
+      ...(d.difficulty ? { difficulty: d.difficulty } : {})
+    }
+  }),
+  // 사진이 비어 있으면 지금 찍어 둔 보물 사진으로 미리보기
+  previewConfig: (config, context) => (
+    config.image || !context.capturedImage ? config : { ...config, image: context.capturedImage }
+  )
+};
+
+// 말로 대답하기: 입력 항목은 텍스트 입력과 같다
+RIDDLE_FORMS.voice = { ...RIDDLE_FORMS.text, label: '말로 대답하기 (음성)' };
+
+/**
+ * 공통 힌트 목록 필드: 유형별로 지원하는 힌트 종류는 riddle-* 의 static hintTypes 에서 가져온다
+ * @param {string} type - 수수께끼 유형
+ */
+function hintsField(type) {
+  const hintTypes = customElements.get(`riddle-${type}`)?.hintTypes ?? { text: '직접 쓴 힌트' };
+  return {
+    key: 'hints',
+    type: 'list',
+    label: '힌트 (게임에서 점수를 내고 순서대로 볼 수 있어요, 선택)',
+    min: 0,
+    max: 5,
+    columns: () => [
+      {
+        key: 'type',
+        kind: 'select',
+        default: 'text',
+        options: Object.entries(hintTypes).map(([value, label]) => ({ value, label }))
+      },
+      { key: 'value', placeholder: '힌트 문구 (직접 쓴 힌트일 때)' }
+    ]
+  };
+}
+
+const TIME_LIMIT_FIELD = {
+  key: 'timeLimit',
+  label: '제한 시간 (초, 비우면 레벨 설정을 따라요)',
+  placeholder: '예: 30'
+};
+
+/**
+ * 유형의 입력 필드 (공통 제한 시간·힌트 필드 포함)
+ * @param {string} type
+ */
+function getFields(type) {
+  return [...RIDDLE_FORMS[type].fields, TIME_LIMIT_FIELD, hintsField(type)];
+}
+
+/**
+ * 저장된 config → 편집 상태 (힌트 포함)
+ */
+function toDraft(type, config) {
+  return {
+    ...RIDDLE_FORMS[type].toDraft(config),
+    timeLimit: config.timeLimit != null ? String(config.timeLimit) : '',
+    hints: (config.hints ?? []).map((h) => ({ type: h.type ?? 'text', value: h.value ?? '' }))
+  };
+}
+
+/**
+ * 편집 상태 → { config } 또는 { error } (힌트 포함)
+ */
+function buildConfig(type, draft) {
+  const result = RIDDLE_FORMS[type].build(draft);
+  if (result.error) return result;
+  const timeLimit = draft.timeLimit ? Number(draft.timeLimit) : null;
+  if (timeLimit != null && !(timeLimit > 0)) return { error: '제한 시간은 0보다 큰 숫자로 입력하세요.' };
+  const hints = draft.hints ?? [];
+  if (hints.some((h) => h.type === 'text' && !h.value)) {
+    return { error: '직접 쓴 힌트의 문구를 입력하세요.' };
+  }
+  return {
+    config: {
+      ...result.config,
+      ...(timeLimit ? { timeLimit } : {}),
+      ...(hints.length ? {
+        hints: hints.map((h) => (h.type === 'text' ? { type: h.type, value: h.value } : { type: h.type }))
+      } : {})
+    }
+  };
+}
+
+/**
+ * 직접 입력 가능한 수수께끼 유형 목록
+ * @returns {{ type: string, label: string }[]}
+ */
+export function getCustomRiddleTypes() {
+  return Object.entries(RIDDLE_FORMS).map(([type, form]) => ({ type, label: form.label }));
+}
+
+export class RiddleEditorView {
+  /**
+   * @param {HTMLElement} formEl - 입력 폼이 렌더링될 엘리먼트
+   * @param {HTMLElement} previewEl - riddle-* 미리보기가 마운트될 엘리먼트
+   * @param {{ getCapturedImage?: () => string|null }} [opts] - 미리보기용 보물 사진
+   */
+  constructor(formEl, previewEl, opts = {}) {
+    this.formEl = formEl;
+    this.previewEl = previewEl;
+    this._getCapturedImage = opts.getCapturedImage ?? (() => null);
+    this._type = 'text';
+    this._draft = toDraft('text', {});
+    this._previewTimer = null;
+    this._pads = [];
+
+    this._onInput = (e) => this.handleInput(e);
+    this._onClick = (e) => this.handleClick(e);
+    formEl.addEventListener('input', this._onInput);
+    formEl.addEventListener('change', this._onInput);
+    formEl.addEventListener('click', this._onClick);
+  }
+
+  get type() { return this._type; }
+
+  /**
+   * 저장된 수수께끼로 초기화 (유형이 지원되지 않으면 text)
+   * @param {{ type: string, config: Object }|null} riddle
+   */
+  setRiddle(riddle) {
+    const type = riddle && RIDDLE_FORMS[riddle.type] ? riddle.type : 'text';
+    this._type = type;
+    this._draft = toDraft(type, riddle?.type === type ? riddle.config ?? {} : {});
+    this.render();
+  }
+
+  /**
+   * 유형 변경 (같은 키의 question/instruction 과 직접 쓴 힌트는 유지)
+   * @param {string} type
+   */
+  setType(type) {
+    if (!RIDDLE_FORMS[type] || type === this._type) return;
+    const carry = {
+      question: this._draft.question ?? this._draft.instruction,
+      instruction: this._draft.instruction ?? this._draft.question,
+      timeLimit: this._draft.timeLimit || null,
+      hints: this._draft.hints.filter((h) => h.type === 'text')
+    };
+    this._type = type;
+    this._draft = toDraft(type, carry);
+    this.render();
+  }
+
+  /**
+   * 현재 입력으로 수수께끼 생성
+   * @returns {{ riddle: { type: string, config: Object }|null, error: string|null }}
+   */
+  getRiddle() {
+    this.readForm();
+    const result = buildConfig(this._type, this._draft);
+    if (result.error) return { riddle: null, error: result.error };
+    return { riddle: { type: this._type, config: result.config }, error: null };
+  }
+
+  render() {
+    this.destroyPads();
+    this.formEl.innerHTML = getFields(this._type).map((field) => renderField(field, this._draft)).join('');
+    this.formEl.querySelectorAll('[data-strokes]').forEach((canvas) => {
+      const key = canvas.dataset.strokes;
+      const pad = new StrokePad(canvas, {
+        onChange: (strokes) => {
+          this._draft[key] = strokes.map((stroke) => [...stroke]);
+          this.schedulePreview();
+        }
+      });
+      pad.setStrokes(this._draft[key]);
+      this._pads.push(pad);
+    });
+    this.updatePreview();
+  }
+
+  /** 폼 DOM → draft */
+  readForm() {
+    for (const field of getFields(this._type)) {
+      if (field.type === 'list') {
+        const rows = this.formEl.querySelectorAll(`[data-list="${field.key}"] .riddle-editor-row`);
+        const columns = field.columns(this._draft);
+        rows.forEach((rowEl, i) => {
+          const row = this._draft[field.key][i];
+          if (!row) return;
+          for (const col of columns) {
+            if (col.kind === 'image') continue;
+            const input = rowEl.querySelector(`[data-col="${col.key}"]`);
+            if (input) row[col.key] = input.value.trim();
+          }
+        });
+        if (field.answerKey) {
+          const checked = this.formEl.querySelector(`input[name="${field.key}-answer"]:checked`);
+          if (checked) this._draft[field.answerKey] = parseInt(checked.value);
+        }
+      } else if (field.type !== 'strokes' && field.type !== 'image') {
+        const input = this.formEl.querySelector(`[data-field="${field.key}"]`);
+        if (input) this._draft[field.key] = field.type === 'select' ? input.value : input.value.trim();
+      }
+    }
+  }
+
+  handleInput(e) {
+    const target = e.target;
+    if (target.type === 'file') {
+      if (e.type === 'change') this.handleImageFile(target);
+      return;
+    }
+    this.readForm();
+    const field = getFields(this._type).find((f) => f.key === target.dataset.field);
+    if (e.type === 'change' && field?.rerender) {
+      this.render();
+      return;
+    }
+    this.schedulePreview();
+  }
+
+  handleClick(e) {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+    e.preventDefault();
+    if (btn.dataset.action === 'undo-strokes' || btn.dataset.action === 'clear-strokes') {
+      const canvas = this.formEl.querySelector(`[data-strokes="${btn.dataset.field}"]`);
+      const pad = this._pads.find((p) => p.canvas === canvas);
+      if (btn.dataset.action === 'undo-strokes') pad?.undo();
+      else pad?.clear();
+      return;
+    }
+    if (btn.dataset.action === 'clear-image') {
+      this.readForm();
+      this._draft[btn.dataset.field] = '';
+      this.render();
+      return;
+    }
+    this.readForm();
+    const field = getFields(this._type).find((f) => f.key === btn.dataset.list);
+    if (!field) return;
+    const rows = this._draft[field.key];
+
+    if (btn.dataset.action === 'add-row' && rows.length < (field.max ?? Infinity)) {
+      rows.push(Object.fromEntries(field.columns(this._draft).map((col) => [col.key, col.default ?? ''])));
+    } else if (btn.dataset.action === 'remove-row' && rows.length > (field.min ?? 0)) {
+      const index = parseInt(btn.dataset.index);
+      rows.splice(index, 1);
+      if (field.answerKey) {
+        const answer = this._draft[field.answerKey];
+        if (answer === index) this._draft[field.answerKey] = 0;
+        else if (answer > index) this._draft[field.answerKey] = answer - 1;
+      }
+    }
+    this.render();
+  }
+
+  async handleImageFile(input) {
+    const file = input.files?.[0];
+    if (!file) return;
+    this.readForm();
+    try {
+      if (input.dataset.image) {
+        const field = getFields(this._type).find((f) => f.key === input.dataset.image);
+        this._draft[input.dataset.image] = await fileToDataUrl(file, { maxSize: field?.maxSize ?? 256 });
+      } else {
+        const row = this._draft[input.dataset.list]?.[parseInt(input.dataset.index)];
+        if (!row) return;
+        row[input.dataset.col] = await fileToDataUrl(file, { maxSize: 256 });
+      }
+    } catch (err) {
+      console.error('Image load failed:', err);
+    }
+    this.render();
+  }
+
+  schedulePreview() {
+    clearTimeout(this._previewTimer);
+    this._previewTimer = setTimeout(() => this.updatePreview(), PREVIEW_DELAY);
+  }
+
+  /** 실제 riddle-* 엘리먼트를 미리보기에 마운트 */
+  updatePreview() {
+    clearTimeout(this._previewTimer);
+    const result = buildConfig(this._type, this._draft);
+    this.previewEl.innerHTML = '';
+    if (result.error) {
+      this.previewEl.innerHTML = `<p class="riddle-preview-empty">${escapeHtml(result.error)}</p>`;
+      return;
+    }
+    const { previewConfig } = RIDDLE_FORMS[this._type];
+    const config = previewConfig
+      ? previewConfig(result.config, { capturedImage: this._getCapturedImage() })
+      : result.config;
+    const el = createRiddleElement({ type: this._type, config });
+    // 미리보기 안의 정답 제출·힌트 사용·시간 초과는 밖으로 전파하지 않음
+    for (const type of ['answer-submit', 'hint-used', 'answer-timeout']) {
+      el.addEventListener(type, (e) => e.stopPropagation());
+    }
+    this.previewEl.appendChild(el);
+  }
+
+  destroyPads() {
+    this._pads.forEach((pad) => pad.destroy());
+    this._pads = [];
+  }
+
+  destroy() {
+    clearTimeout(this._previewTimer);
+    this.destroyPads();
+    this.formEl.removeEventListener('input', this._onInput);
+    this.formEl.removeEventListener('change', this._onInput);
+    this.formEl.removeEventListener('click', this._onClick);
+    this.previewEl.innerHTML = '';
+  }
+}
+
+function renderField(field, draft) {
+  const value = draft[field.key];
+
+  if (field.type === 'select') {
+    return `
+      <div class="form-group">
+        <label class="form-label">${field.label}</label>
+        <select class="form-input" data-field="${field.key}">
+          ${field.options.map((o) => `
+            <option value="${o.value}" ${o.value === value ? 'selected' : ''}>${o.label}</option>
+          `).join('')}
+        </select>
+      </div>
+    `;
+  }
+
+  if (field.type === 'strokes') {
+    return `
+      <div class="form-group">
+        <label class="form-label">${field.label}</label>
+        <canvas class="riddle-editor-pad" data-strokes="${field.key}"></canvas>
+        <div class="riddle-editor-pad-tools">
+          <button type="button" class="btn btn-secondary btn-small" data-action="undo-strokes" data-field="${field.key}">↩️ 한 획 지우기</button>
+          <button type="button" class="btn btn-secondary btn-small" data-action="clear-strokes" data-field="${field.key}">🧽 모두 지우기</button>
+        </div>
+      </div>
+    `;
+  }
+
+  if (field.type === 'image') {
+    return `
+      <div class="form-group">
+        <label class="form-label">${field.label}</label>
+        <div class="riddle-editor-image-field">
+          <label class="riddle-editor-image">
+            ${value ? `<img src="${escapeAttr(value)}" alt="">` : '<span>🖼️ 사진 고르기</span>'}
+            <input type="file" accept="image/*" hidden data-image="${field.key}">
+          </label>
+          ${value ? `<button type="button" class="btn btn-secondary btn-small" data-action="clear-image" data-field="${field.key}">✕</button>` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  if (field.type === 'list') {
+    const columns = field.columns(draft);
+    return `
+      <div class="form-group">
+        <label class="form-label">${field.label}</label>
+        <div class="riddle-editor-list" data-list="${field.key}">
+          ${value.map((row, i) => `
+            <div class="riddle-editor-row" data-index="${i}">
+              ${field.answerKey
+                ? `<input type="radio" name="${field.key}-answer" value="${i}" ${draft[field.answerKey] === i ? 'checked' : ''}>`
+                : `<span class="riddle-editor-row-no">${i + 1}</span>`}
+              ${columns.map((col) => renderCell(field.key, i, col, row[col.key])).join('')}
+              <button type="button" class="btn btn-secondary btn-small" data-action="remove-row"
+                      data-list="${field.key}" data-index="${i}" ${value.length <= (field.min ?? 0) ? 'disabled' : ''}>✕</button>
+            </div>
+          `).join('')}
+        </div>
+        <button type="button" class="btn btn-secondary btn-small riddle-editor-add" data-action="add-row"
+                data-list="${field.key}" ${value.length >= (field.max ?? Infinity) ? 'disabled' : ''}>+ 추가</button>
+      </div>
+    `;
+  }
+
+  return `
+    <div class="form-group">
+      <label class="form-label">${field.label}</label>
+      <input type="text" class="form-input" data-field="${field.key}"
+             value="${escapeAttr(value)}" placeholder="${field.placeholder || ''}">
+    </div>
+  `;
+}
+
+function renderCell(listKey, index, col, value) {
+  if (col.kind === 'image') {
+    return `
+      <label class="riddle-editor-image">
+        ${value ? `<img src="${escapeAttr(value)}" alt="">` : `<span>🖼️ ${col.placeholder}</span>`}
+        <input type="file" accept="image/*" hidden
+               data-list="${listKey}" data-index="${index}" data-col="${col.key}">
+      </label>
+    `;
+  }
+  if (col.kind === 'select') {
+    return `
+      <select class="form-input" data-col="${col.key}">
+        ${col.options.map((o) => `
+          <option value="${o.value}" ${o.value === value ? 'selected' : ''}>${o.label}</option>
+        `).join('')}
+      </select>
+    `;
+  }
+  return `
+    <input type="text" class="form-input" data-col="${col.key}"
+           value="${escapeAttr(value)}" placeholder="${col.placeholder || ''}">
+  `;
+}
+
+/**
+ * 0..n-1 을 섞은 배열 (n > 1 이면 원래 순서와 다르게)
+ * @param {number} n
+ * @returns {number[]}
+ */
+function shuffledIndices(n) {
+  const out = Array.from({ length: n }, (_, i) => i);
+  if (n < 2) return out;
+  do {
+    for (let i = n - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [out[i], out[j]] = [out[j], out[i]];
+    }
+  } while (out.every((v, i) => v === i));
+  return out;
+}
+
+function escapeHtml(str) {
+  if (str == null || typeof str !== 'string') return '';
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+function escapeAttr(str) {
+  return escapeHtml(str).replace(/"/g, '&quot;');
+}
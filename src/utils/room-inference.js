@@ -0,0 +1,87 @@
+/**
+ * 검출된 물체들로 방 종류 추정 (설정의 방 정보 표시 / 자동 힌트 공통)
+ */
+
+/**
+ * Infer room type from detected objects
+ * @param {Array<{ class: string, score: number }>} predictions
+ * @returns {{ key: string, name: string, icon: string }|null}
+ */
+export function inferRoom(predictions) {
+  const classes = predictions.filter(p => p.score > 0.4).map(p => p.class);
+  const has = (...items) => items.some(i => classes.includes(i));
+
+  const scores = {
+    kitchen:    0,
+    livingRoom: 0,
+    bedroom:    0,
+    bathroom:   0,
+    office:     0,
+    dining:     0,
+  };
+
+  // Kitchen signals
+  if (has('refrigerator'))  scores.kitchen += 3;
+  if (has('oven'))          scores.kitchen += 3;
+  if (has('microwave'))     scores.kitchen += 2;
+  if (has('toaster'))       scores.kitchen += 2;
+  if (has('sink'))          scores.kitchen += 1;
+  if (has('bottle'))        scores.kitchen += 1;
+  if (has('bowl', 'cup'))   scores.kitchen += 1;
+  if (has('knife', 'fork', 'spoon')) scores.kitchen += 1;
+
+  // Living room signals
+  if (has('couch'))         scores.livingRoom += 3;
+  if (has('tv'))            scores.livingRoom += 2;
+  if (has('remote'))        scores.livingRoom += 2;
+  if (has('potted plant'))  scores.livingRoom += 1;
+  if (has('vase'))          scores.livingRoom += 1;
+  if (has('clock'))         scores.livingRoom += 1;
+
+  // Bedroom signals
+  if (has('bed'))           scores.bedroom += 4;
+  if (has('teddy bear'))    scores.bedroom += 2;
+  if (has('clock'))         scores.bedroom += 1;
+  if (has('book'))          scores.bedroom += 1;
+
+  // Bathroom signals
+  if (has('toilet'))        scores.bathroom += 4;
+  if (has('sink'))          scores.bathroom += 2;
+  if (has('toothbrush'))    scores.bathroom += 3;
+  if (has('hair drier'))    scores.bathroom += 2;
+
+  // Office signals
+  if (has('laptop'))        scores.office += 3;
+  if (has('keyboard'))      scores.office += 2;
+  if (has('mouse'))         scores.office += 2;
+  if (has('cell phone'))    scores.office += 1;
+  if (has('book'))          scores.office += 1;
+  if (has('chair'))         scores.office += 1;
+
+  // Dining signals
+  if (has('dining table'))  scores.dining += 3;
+  if (has('chair'))         scores.dining += 1;
+  if (has('bowl', 'cup'))   scores.dining += 1;
+  if (has('wine glass'))    scores.dining += 2;
+  if (has('fork', 'knife', 'spoon')) scores.dining += 2;
+
+  const roomMap = {
+    kitchen:    { name: '주방',     icon: '🍳' },
+    livingRoom: { name: '거실',     icon: '🛋️' },
+    bedroom:    { name: '침실',     icon: '🛏️' },
+    bathroom:   { name: '욕실',     icon: '🚿' },
+    office:     { name: '서재/작업실', icon: '💻' },
+    dining:     { name: '식당',     icon: '🍽️' },
+  };
+
+  const best = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+  if (best[1] >= 2) {
+    return { key: best[0], ...roomMap[best[0]] };
+  }
+  
+  // Fallback: if objects detected but no room match
+  if (classes.length > 0) {
+    return { key: 'indoor', name: '실내', icon: '🏠' };
+  }
+  return null;
+}
@@ -0,0 +1,140 @@
+/**
+ * 캔버스 손그림 입력 (riddle-draw / 설정의 본보기 그리기 공통)
+ * 획은 캔버스 크기에 대한 0~1 좌표 [[x, y], ...] 배열로 저장한다.
+ */
+
+export class StrokePad {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {{ onChange?: (strokes: Array) => void, guide?: Array, color?: string }} [opts]
+   */
+  constructor(canvas, opts = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.onChange = opts.onChange ?? null;
+    this.guide = opts.guide ?? null;
+    this.color = opts.color ?? '#6366f1';
+    this.strokes = [];
+    this._current = null;
+    /** false면 그리기 입력을 받지 않음 (캔버스를 다른 용도로 누를 때) */
+    this.enabled = true;
+
+    this._onDown = (e) => this.handleDown(e);
+    this._onMove = (e) => this.handleMove(e);
+    this._onUp = () => this.handleUp();
+    canvas.addEventListener('pointerdown', this._onDown);
+    canvas.addEventListener('pointermove', this._onMove);
+    canvas.addEventListener('pointerup', this._onUp);
+    canvas.addEventListener('pointercancel', this._onUp);
+    canvas.style.touchAction = 'none';
+
+    this._resizeObserver = new ResizeObserver(() => this.resize());
+    this._resizeObserver.observe(canvas);
+    this.resize();
+  }
+
+  /** 표시 크기에 맞춰 캔버스 해상도 조정 후 다시 그리기 */
+  resize() {
+    const rect = this.canvas.getBoundingClientRect();
+    const ratio = window.devicePixelRatio || 1;
+    if (!rect.width || !rect.height) return;
+    this.canvas.width = Math.round(rect.width * ratio);
+    this.canvas.height = Math.round(rect.height * ratio);
+    this.redraw();
+  }
+
+  /**
+   * @param {Array<Array<[number, number]>>} strokes
+   */
+  setStrokes(strokes) {
+    this.strokes = (strokes ?? []).map((s) => s.map(([x, y]) => [x, y]));
+    this.redraw();
+  }
+
+  clear() {
+    this.strokes = [];
+    this._current = null;
+    this.redraw();
+    this.onChange?.(this.strokes);
+  }
+
+  /** 마지막 획 지우기 */
+  undo() {
+    this.strokes.pop();
+    this.redraw();
+    this.onChange?.(this.strokes);
+  }
+
+  toPoint(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const clamp = (v) => Math.min(1, Math.max(0, v));
+    return [
+      Math.round(clamp((e.clientX - rect.left) / rect.width) * 1000) / 1000,
+      Math.round(clamp((e.clientY - rect.top) / rect.height) * 1000) / 1000
+    ];
+  }
+
+  handleDown(e) {
+    if (!this.enabled) return;
+    e.preventDefault();
+    this.canvas.setPointerCapture?.(e.pointerId);
+    this._current = [this.toPoint(e)];
+    this.strokes.push(this._current);
+    this.redraw();
+  }
+
+  handleMove(e) {
+    if (!this._current) return;
+    const [x, y] = this.toPoint(e);
+    const [px, py] = this._current[this._current.length - 1];
+    // 너무 촘촘한 점은 건너뜀
+    if (Math.hypot(x - px, y - py) < 0.005) return;
+    this._current.push([x, y]);
+    this.redraw();
+  }
+
+  handleUp() {
+    if (!this._current) return;
+    this._current = null;
+    this.onChange?.(this.strokes);
+  }
+
+  redraw() {
+    const { width, height } = this.canvas;
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, width, height);
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    if (this.guide?.length) {
+      ctx.save();
+      ctx.setLineDash([width * 0.03, width * 0.03]);
+      this.drawStrokes(this.guide, 'rgba(148, 163, 184, 0.6)', width * 0.05);
+      ctx.restore();
+    }
+    this.drawStrokes(this.strokes, this.color, width * 0.025);
+  }
+
+  drawStrokes(strokes, color, lineWidth) {
+    const { width, height } = this.canvas;
+    const ctx = this.ctx;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = lineWidth;
+    for (const stroke of strokes) {
+      if (stroke.length === 0) continue;
+      ctx.beginPath();
+      ctx.moveTo(stroke[0][0] * width, stroke[0][1] * height);
+      if (stroke.length === 1) ctx.lineTo(stroke[0][0] * width + 0.1, stroke[0][1] * height);
+      for (const [x, y] of stroke.slice(1)) ctx.lineTo(x * width, y * height);
+      ctx.stroke();
+    }
+  }
+
+  destroy() {
+    this._resizeObserver.disconnect();
+    this.canvas.removeEventListener('pointerdown', this._onDown);
+    this.canvas.removeEventListener('pointermove', this._onMove);
+    this.canvas.removeEventListener('pointerup', this._onUp);
+    this.canvas.removeEventListener('pointercancel', this._onUp);
+  }
+}
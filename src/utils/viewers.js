@@ -4,14 +4,9 @@
  * - DetectionOverlayView: bbox + 이미지(비디오) 오버레이 (contain/cover, ResizeObserver, 예측·세그먼트 그리기)
  */
 
-// --- TreasureInfoViewer ---
+import { escapeHtml } from './escape-html.js';
 
-function escapeHtml(str) {
-  if (str == null || typeof str !== 'string') return '';
-  const div = document.createElement('div');
-  div.textContent = str;
-  return div.innerHTML;
-}
+// --- TreasureInfoViewer ---
 
 /**
  * 보물 정보 뷰어: 보물 목록·카드 UI 렌더링